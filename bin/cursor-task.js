@@ -2,10 +2,72 @@
 
 const { program } = require('commander');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
 const fs = require('fs-extra');
 const path = require('path');
 const taskManager = require('../lib/taskManager');
-const { getTasksFilePath } = require('../lib/utils');
+const renderers = require('../lib/renderers');
+const { getTasksFilePath, createTaskError } = require('../lib/utils');
+const { setConfigOverrides } = require('../lib/config');
+const { setHistoryContext, getUserName } = require('../lib/history');
+const { setActiveTag } = require('../lib/tags');
+
+/**
+ * Build a command action that prints its result
+ * The result is shown by `render` (if any), or printed to stdout as JSON when the
+ * command is run with --json; other console output then goes to stderr. A command
+ * that returns nothing has failed and exits with status 1.
+ * @param {string} failure - Prefix of the error message when the action throws
+ * @param {Function} action - Receives the command's arguments and options, returns the result
+ * @param {Function} render - Optional renderer for the result (receives the result and the command's options)
+ * @returns {Function} Action handler for commander
+ */
+function runCommand(failure, action, render) {
+  return async (...args) => {
+    const json = Boolean(args[args.length - 1].opts().json);
+    const log = console.log;
+    if (json) {
+      console.log = console.error;
+    }
+
+    try {
+      const result = await action(...args.slice(0, -1));
+      if (json) {
+        process.stdout.write(`${JSON.stringify(result === undefined ? null : result, null, 2)}\n`);
+      } else if (render && result !== undefined) {
+        render(result, args[args.length - 1].opts());
+      }
+      if (result === undefined) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      if (json) {
+        process.stdout.write(`${JSON.stringify({ error: { code: error.code || 'ERROR', message: error.message } }, null, 2)}\n`);
+      } else {
+        console.error(chalk.red(`${failure}: ${error.message}`));
+      }
+      process.exit(1);
+    } finally {
+      console.log = log;
+    }
+  };
+}
+
+/**
+ * Show the changes `update` proposes and ask whether to apply them
+ * @param {Array<Object>} changes - Proposed changes from updateTasks
+ * @returns {Promise<boolean>} Whether to apply them
+ */
+async function confirmTaskUpdate(changes) {
+  renderers.renderTaskUpdateDiff(changes);
+  const { confirmed } = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'confirmed',
+    message: `Apply these changes to ${changes.length} task(s)?`,
+    default: false
+  }]);
+  return confirmed;
+}
 
 // Set up the CLI program
 program
@@ -18,58 +80,56 @@ program
   .command('init')
   .description('Initialize task management in the current project')
   .option('-p, --prd <path>', 'Path to PRD file to parse for initial tasks')
-  .action(async (options) => {
-    try {
-      console.log(chalk.blue('Initializing task management system...'));
-      await taskManager.initializeTaskSystem(options.prd);
-      console.log(chalk.green('Task management system initialized successfully!'));
-    } catch (error) {
-      console.error(chalk.red(`Error initializing task system: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--ai', 'Draft tasks from the PRD through the Cursor agent (for prose PRDs)')
+  .action(runCommand('Error initializing task system', (options) =>
+    taskManager.initializeTaskSystem(options.prd, { ai: options.ai }), renderers.renderInit));
+
+// Parse PRD command - re-imports an edited PRD into the existing tasks
+program
+  .command('parse-prd')
+  .description('Import a PRD into the existing tasks without losing progress')
+  .argument('<file>', 'Path to the PRD file')
+  .option('--append', 'Only add tasks for new requirements')
+  .option('--merge', 'Add new tasks, refresh matched ones and flag removed requirements (default)')
+  .option('--ai', 'Draft tasks from the PRD through the Cursor agent (for prose PRDs)')
+  .action(runCommand('Error parsing PRD', (file, options) => taskManager.parsePrd(file, options), renderers.renderPrdImport));
 
 // List tasks command
 program
   .command('list')
-  .description('List all tasks')
-  .option('-s, --status <status>', 'Filter tasks by status (pending, in-progress, done)')
+  .description('List tasks, optionally matching a query such as: priority:high status:pending,in-progress has:subtasks text:auth')
+  .argument('[query...]', 'Query terms (field:value, -field:value to exclude, bare words search the text)')
+  .option('-s, --status <status>', 'Filter tasks by status (pending, in-progress, blocked, review, done, deferred, cancelled or a custom status)')
+  .option('--sort <fields>', 'Sort by comma-separated fields, "-" for descending (e.g. priority,-updatedAt)')
+  .option('-n, --limit <number>', 'Show at most this many tasks')
+  .option('-c, --columns <columns>', 'Comma-separated columns (id, title, status, priority, dependencies, complexity, estimate, epic, createdAt, updatedAt)')
   .option('-w, --with-subtasks', 'Include subtasks in the list')
-  .action(async (options) => {
-    try {
-      await taskManager.listTasks(options);
-    } catch (error) {
-      console.error(chalk.red(`Error listing tasks: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand('Error listing tasks', (terms, options) => taskManager.listTasks({
+    status: options.status,
+    // The shell has removed the quotes around values with spaces (text:"sign in"); put them back,
+    // unless the argument is a whole query ("status:pending -has:subtasks")
+    query: terms.map(term => (/\s/.test(term) && !/"|\s-?[A-Za-z]+:/.test(term) ?
+      term.replace(/^(-?[A-Za-z]+:)?(.*)$/, '$1"$2"') :
+      term)).join(' '),
+    sort: options.sort,
+    limit: options.limit,
+    columns: options.columns,
+    withSubtasks: options.withSubtasks
+  }), renderers.renderTaskList));
 
 // Show next task command
 program
   .command('next')
-  .description('Show the next task to work on based on dependencies and status')
-  .action(async () => {
-    try {
-      await taskManager.showNextTask();
-    } catch (error) {
-      console.error(chalk.red(`Error showing next task: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .description('Show the next task or subtask to work on, ranked by status, priority, dependents and complexity')
+  .option('--explain', 'Show why it was chosen and the other candidates')
+  .action(runCommand('Error showing next task', () => taskManager.showNextTask(), renderers.renderNextTask));
 
 // Show specific task command
 program
   .command('show')
-  .description('Show details of a specific task')
-  .argument('<id>', 'Task ID to show')
-  .action(async (id) => {
-    try {
-      await taskManager.showTask(id);
-    } catch (error) {
-      console.error(chalk.red(`Error showing task: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .description('Show details of a specific task or subtask')
+  .argument('<id>', 'Task ID to show (subtasks as 3.2)')
+  .action(runCommand('Error showing task', (id) => taskManager.showTask(id), renderers.renderTask));
 
 // Update tasks command
 program
@@ -77,43 +137,41 @@ program
   .description('Update tasks based on implementation changes')
   .requiredOption('--from <id>', 'Task ID to update from')
   .requiredOption('--prompt <prompt>', 'Context about the implementation changes')
-  .action(async (options) => {
-    try {
-      await taskManager.updateTasks(options.from, options.prompt);
-    } catch (error) {
-      console.error(chalk.red(`Error updating tasks: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--dependents', 'Only update tasks that transitively depend on the --from task')
+  .option('-y, --yes', 'Apply the changes without asking for confirmation')
+  .action(runCommand('Error updating tasks', (options) => taskManager.updateTasks(options.from, options.prompt, {
+    dependents: options.dependents,
+    yes: options.yes,
+    // Asking for confirmation needs a terminal; without one, --yes is required
+    confirm: process.stdin.isTTY ? confirmTaskUpdate : undefined
+  }), renderers.renderTaskUpdate));
 
 // Generate task files command
 program
   .command('generate')
   .description('Generate individual task files from tasks.json')
-  .action(async () => {
-    try {
-      await taskManager.generateTaskFiles();
-    } catch (error) {
-      console.error(chalk.red(`Error generating task files: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand('Error generating task files', () => taskManager.generateTaskFiles(), renderers.renderTaskFiles));
+
+// Sync task files command
+program
+  .command('sync')
+  .description('Sync edits made to the generated task files back into tasks.json')
+  .action(runCommand('Error syncing task files', () => taskManager.syncTaskFiles(), renderers.renderTaskSync));
 
 // Set task status command
 program
   .command('set-status')
-  .description('Set status of a task or multiple tasks')
-  .requiredOption('--id <ids>', 'Task IDs (comma-separated for multiple)')
-  .requiredOption('--status <status>', 'Status to set (pending, in-progress, done)')
-  .action(async (options) => {
-    try {
-      const ids = options.id.split(',');
-      await taskManager.setTaskStatus(ids, options.status);
-    } catch (error) {
-      console.error(chalk.red(`Error setting task status: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .description('Set status of tasks or subtasks; parent tasks follow their subtasks')
+  .requiredOption('--id <ids>', 'Task IDs, subtasks as 3.2 (comma-separated for multiple)')
+  .requiredOption('--status <status>', 'Status to set (pending, in-progress, blocked, review, done, deferred, cancelled or a custom status)')
+  .option('--no-auto-complete', 'Do not mark a task done when all its subtasks are done')
+  .action(runCommand('Error setting task status', (options) => {
+    const ids = options.id.split(',');
+    // Without the flag, the project config decides
+    return taskManager.setTaskStatus(ids, options.status, {
+      autoComplete: options.autoComplete === false ? false : undefined
+    });
+  }, renderers.renderStatusUpdate));
 
 // Expand tasks command
 program
@@ -124,14 +182,7 @@ program
   .option('--prompt <context>', 'Additional context for expansion')
   .option('--all', 'Expand all pending tasks')
   .option('--force', 'Force regeneration of subtasks')
-  .action(async (options) => {
-    try {
-      await taskManager.expandTasks(options);
-    } catch (error) {
-      console.error(chalk.red(`Error expanding tasks: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand('Error expanding tasks', (options) => taskManager.expandTasks(options), renderers.renderExpansion));
 
 // Clear subtasks command
 program
@@ -139,69 +190,67 @@ program
   .description('Clear subtasks from tasks')
   .option('--id <ids>', 'Task IDs (comma-separated for multiple)')
   .option('--all', 'Clear subtasks from all tasks')
-  .action(async (options) => {
-    try {
-      if (options.all) {
-        await taskManager.clearAllSubtasks();
-      } else if (options.id) {
-        const ids = options.id.split(',');
-        await taskManager.clearSubtasks(ids);
-      } else {
-        console.error(chalk.red('Either --id or --all option is required'));
-        process.exit(1);
-      }
-    } catch (error) {
-      console.error(chalk.red(`Error clearing subtasks: ${error.message}`));
-      process.exit(1);
+  .action(runCommand('Error clearing subtasks', (options) => {
+    if (options.all) {
+      return taskManager.clearAllSubtasks();
     }
-  });
+    if (!options.id) {
+      throw createTaskError('INVALID_OPTIONS', 'Either --id or --all option is required');
+    }
+    return taskManager.clearSubtasks(options.id.split(','));
+  }, renderers.renderSubtasksCleared));
+
+// Restore subtasks command
+program
+  .command('restore-subtasks')
+  .description('Restore subtasks removed by clear-subtasks or expand --force')
+  .requiredOption('--id <id>', 'Task ID to restore subtasks for')
+  .option('--entry <number>', 'Trash entry to restore (defaults to the most recent)')
+  .option('--list', 'List the trashed subtask snapshots for the task')
+  .action(runCommand('Error restoring subtasks', (options) => taskManager.restoreSubtasks(options.id, {
+    entry: options.entry,
+    list: options.list
+  }), renderers.renderSubtasksRestored));
 
 // Add new task command
 program
   .command('add-task')
   .description('Add a new task')
-  .requiredOption('--prompt <description>', 'Description of the new task')
+  .option('--prompt <description>', 'Description of the new task, drafted through the Cursor agent')
   .option('--dependencies <ids>', 'Comma-separated list of task IDs this task depends on')
   .option('--priority <priority>', 'Task priority (low, medium, high)')
-  .action(async (options) => {
-    try {
-      const dependencies = options.dependencies ? options.dependencies.split(',').map(Number) : [];
-      await taskManager.addTask(options.prompt, dependencies, options.priority);
-    } catch (error) {
-      console.error(chalk.red(`Error adding task: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--manual', 'Create the task from --title and --description without the Cursor agent')
+  .option('--title <title>', 'Task title (with --manual)')
+  .option('--description <description>', 'Task description (with --manual)')
+  .option('--estimate <estimate>', 'Effort, e.g. "4h", "2d" or "1w 2d"')
+  .action(runCommand('Error adding task', (options) => {
+    const dependencies = options.dependencies ? options.dependencies.split(',').map(id => id.trim()) : [];
+    return taskManager.addTask(options.prompt, dependencies, options.priority, {
+      manual: options.manual,
+      title: options.title,
+      description: options.description,
+      estimate: options.estimate
+    });
+  }, renderers.renderNewTask));
 
 // Analyze task complexity command
 program
   .command('analyze-complexity')
   .description('Analyze complexity of tasks')
   .option('--output <path>', 'Path to save the complexity report')
-  .option('--threshold <number>', 'Complexity threshold (1-10)', '6')
+  .option('--threshold <number>', 'Complexity threshold (1-10, defaults to tasks.complexityThreshold in the config)')
   .option('--file <path>', 'Path to tasks file')
-  .action(async (options) => {
-    try {
-      await taskManager.analyzeComplexity(options);
-    } catch (error) {
-      console.error(chalk.red(`Error analyzing complexity: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand('Error analyzing complexity', (options) => taskManager.analyzeComplexity(options), renderers.renderComplexityAnalysis));
 
 // View complexity report command
 program
   .command('complexity-report')
   .description('Display the task complexity analysis report')
-  .option('--file <path>', 'Path to complexity report file')
-  .action(async (options) => {
-    try {
-      await taskManager.showComplexityReport(options.file);
-    } catch (error) {
-      console.error(chalk.red(`Error showing complexity report: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .option('--report <path>', 'Path to complexity report file')
+  .option('--threshold <number>', 'Highlight tasks scoring above this complexity (1-10)')
+  .action(runCommand('Error showing complexity report', (options) => taskManager.showComplexityReport(options.report, {
+    threshold: options.threshold
+  }), renderers.renderComplexityReport));
 
 // Add dependency command
 program
@@ -209,14 +258,8 @@ program
   .description('Add a dependency to a task')
   .requiredOption('--id <id>', 'Task ID to add dependency to')
   .requiredOption('--depends-on <id>', 'Task ID this task depends on')
-  .action(async (options) => {
-    try {
-      await taskManager.addDependency(options.id, options.dependsOn);
-    } catch (error) {
-      console.error(chalk.red(`Error adding dependency: ${error.message}`));
-      process.exit(1);
-    }
-  });
+  .action(runCommand('Error adding dependency', (options) => taskManager.addDependency(options.id, options.dependsOn),
+    renderers.renderDependencyChange(true)));
 
 // Remove dependency command
 program
@@ -224,41 +267,212 @@ program
   .description('Remove a dependency from a task')
   .requiredOption('--id <id>', 'Task ID to remove dependency from')
   .requiredOption('--depends-on <id>', 'Task ID to remove from dependencies')
-  .action(async (options) => {
-    try {
-      await taskManager.removeDependency(options.id, options.dependsOn);
-    } catch (error) {
-      console.error(chalk.red(`Error removing dependency: ${error.message}`));
-      process.exit(1);
+  .action(runCommand('Error removing dependency', (options) => taskManager.removeDependency(options.id, options.dependsOn),
+    renderers.renderDependencyChange(false)));
+
+// Validate tasks file command
+program
+  .command('validate')
+  .description('Check tasks.json against its schema and report every problem')
+  .option('--file <path>', 'Path to tasks file')
+  .action(runCommand('Error validating tasks file', async (options) => {
+    const result = await taskManager.validateTasksFile({ file: options.file });
+    if (!result.valid) {
+      process.exitCode = 1;
     }
-  });
+    return result;
+  }, renderers.renderValidation));
 
 // Validate dependencies command
 program
   .command('validate-dependencies')
   .description('Validate task dependencies')
-  .action(async () => {
-    try {
-      await taskManager.validateDependencies();
-    } catch (error) {
-      console.error(chalk.red(`Error validating dependencies: ${error.message}`));
-      process.exit(1);
+  .action(runCommand('Error validating dependencies', async () => {
+    const result = await taskManager.validateDependencies();
+    if (!result.valid) {
+      process.exitCode = 1;
     }
-  });
+    return result;
+  }, renderers.renderDependencyValidation));
 
 // Fix dependencies command
 program
   .command('fix-dependencies')
   .description('Find and fix invalid dependencies')
+  .action(runCommand('Error fixing dependencies', () => taskManager.fixDependencies(), renderers.renderDependencyFix));
+
+// History command
+program
+  .command('history')
+  .description('Show the change history of the tasks file')
+  .option('-i, --id <id>', 'Only changes to this task or subtask')
+  .option('-n, --limit <number>', 'Number of entries to show (latest)', '20')
+  .action(runCommand('Error showing history', (options) => taskManager.showHistory(options), renderers.renderHistory));
+
+// Undo command
+program
+  .command('undo')
+  .description('Undo the latest change to the tasks file')
+  .action(runCommand('Error undoing change', () => taskManager.undoChange(), renderers.renderHistoryReplay('Undid')));
+
+// Redo command
+program
+  .command('redo')
+  .description('Redo the latest undone change')
+  .action(runCommand('Error redoing change', () => taskManager.redoChange(), renderers.renderHistoryReplay('Redid')));
+
+// Graph command
+program
+  .command('graph')
+  .description('Export the dependency graph as Mermaid, Graphviz DOT or JSON')
+  .option('-f, --format <format>', 'Output format (mermaid, dot, json)', 'mermaid')
+  .option('-s, --subtasks', 'Show subtasks, grouped with their task')
+  .option('-i, --id <id>', 'Only this task or subtask and the tasks connected to it')
+  .option('--upstream', 'With --id: only what the task depends on')
+  .option('--downstream', 'With --id: only what depends on the task')
+  .option('-o, --output <file>', 'Write the graph to a file (Mermaid in a code block for .md files)')
+  .action(runCommand('Error exporting graph', (options) => taskManager.exportGraph({
+    format: options.format,
+    subtasks: options.subtasks,
+    id: options.id,
+    upstream: options.upstream,
+    downstream: options.downstream,
+    output: options.output
+  }), renderers.renderGraph));
+
+// Estimate command
+program
+  .command('estimate')
+  .description('Set the effort estimate of a task or subtask')
+  .argument('<id>', 'Task ID (or subtask ID, e.g. 3.2)')
+  .argument('[estimate]', 'Effort in hours or with units: "90m", "4h", "2d", "1w 2d"')
+  .option('--clear', 'Remove the estimate')
+  .action(runCommand('Error setting estimate', (id, estimate, options) =>
+    taskManager.setEstimate(id, options.clear ? null : estimate), renderers.renderEstimate));
+
+// Schedule command
+program
+  .command('schedule')
+  .description('Show the critical path and forecast when the unfinished tasks will be done')
+  .option('-w, --workers <number>', 'People working in parallel (defaults to schedule.workers in the config)')
+  .option('--start <date>', 'First day of work (YYYY-MM-DD, defaults to today)')
+  .action(runCommand('Error computing schedule', (options) => taskManager.showSchedule({
+    workers: options.workers,
+    start: options.start
+  }), renderers.renderSchedule));
+
+// Tags command
+program
+  .command('tags')
+  .description('List the tags (separate task lists) of the tasks file')
+  .action(runCommand('Error listing tags', () => taskManager.listTags(), renderers.renderTagList));
+
+// Add tag command
+program
+  .command('add-tag')
+  .description('Create a tag, e.g. for a feature branch or workstream')
+  .argument('[name]', 'Tag name')
+  .option('--copy-from <tag>', 'Start with a copy of the tasks of this tag')
+  .option('-d, --description <text>', 'What the tag is for')
+  .option('--from-branch', 'Name the tag after the current git branch')
+  .action(runCommand('Error adding tag', (name, options) => taskManager.addTag(name, {
+    copyFrom: options.copyFrom,
+    description: options.description,
+    fromBranch: options.fromBranch
+  }), renderers.renderTagCreated));
+
+// Use tag command
+program
+  .command('use-tag')
+  .description('Switch the tag commands work on')
+  .argument('<name>', 'Tag name')
+  .action(runCommand('Error switching tag', (name) => taskManager.useTag(name), renderers.renderTagSwitch));
+
+// Copy tag command
+program
+  .command('copy-tag')
+  .description('Copy a tag and its tasks into a new tag')
+  .argument('<source>', 'Tag to copy')
+  .argument('<target>', 'Name of the new tag')
+  .option('-d, --description <text>', 'What the new tag is for')
+  .action(runCommand('Error copying tag', (source, target, options) => taskManager.copyTag(source, target, {
+    description: options.description
+  }), renderers.renderTagCreated));
+
+// Delete tag command
+program
+  .command('delete-tag')
+  .description('Delete a tag and its tasks')
+  .argument('<name>', 'Tag name')
+  .action(runCommand('Error deleting tag', (name) => taskManager.deleteTag(name), renderers.renderTagDeleted));
+
+// Git sync command
+program
+  .command('git-sync')
+  .description('Link commits to the tasks they reference ("refs #3", "closes #4.2") and update their status')
+  .option('-c, --commit <revision>', 'Only sync this commit (used by the post-commit hook)')
+  .option('-n, --limit <number>', 'Number of latest commits to scan', '100')
+  .option('--all', 'Scan the whole history')
+  .option('--no-status', 'Link the commits without changing task statuses')
+  .option('--dry-run', 'Show what would change without saving')
+  .action(runCommand('Error syncing commits', (options) => taskManager.syncCommits({
+    commit: options.commit,
+    limit: options.limit,
+    all: options.all,
+    status: options.status,
+    dryRun: options.dryRun
+  }), renderers.renderGitSync));
+
+// Install hook command
+program
+  .command('install-hook')
+  .description('Install a git post-commit hook that runs git-sync for each commit')
+  .option('--force', 'Replace an existing post-commit hook')
+  .option('--uninstall', 'Remove the hook')
+  .action(runCommand('Error installing hook', (options) => taskManager.installGitHook({
+    force: options.force,
+    uninstall: options.uninstall
+  }), renderers.renderHookInstall));
+
+// MCP server command
+program
+  .command('mcp')
+  .description('Run a Model Context Protocol server over stdio exposing the task tools')
   .action(async () => {
     try {
-      await taskManager.fixDependencies();
+      const { startMCPServer } = require('../lib/mcp-server');
+      await startMCPServer();
     } catch (error) {
-      console.error(chalk.red(`Error fixing dependencies: ${error.message}`));
+      console.error(chalk.red(`Error running MCP server: ${error.message}`));
       process.exit(1);
     }
   });
 
+// Every command except the MCP server can print its result as JSON
+program.commands
+  .filter(command => command.name() !== 'mcp')
+  .forEach(command => command.option('--json', 'Print the result as JSON'));
+
+// Every command takes the config file, tasks file and tag to use
+program.commands.forEach(command => {
+  command.option('--config <path>', 'Config file to use instead of the nearest one');
+  command.option('--tag <name>', 'Tag (task list) to work on instead of the active one');
+  command.option('--reason <text>', 'Why the change is made, recorded in the history');
+  if (!command.options.some(option => option.long === '--file')) {
+    command.option('--file <path>', 'Path to tasks file');
+  }
+});
+
+program.hook('preAction', (thisCommand, actionCommand) => {
+  const options = actionCommand.opts();
+  setConfigOverrides({
+    configPath: options.config,
+    tasksFile: options.file
+  });
+  setActiveTag(options.tag);
+  setHistoryContext({ actor: `cli:${getUserName()}`, operation: actionCommand.name(), reason: options.reason });
+});
+
 // Parse the command line arguments
 program.parse(process.argv);
 
@@ -0,0 +1,326 @@
+/**
+ * AI provider registry for Cursor Task Master
+ *
+ * A provider is an object with a `name` and an async
+ * `complete(prompt, schema)` method that resolves to the raw text response.
+ * When a JSON schema is given the provider is expected to answer with JSON
+ * matching it; `requestCompletion` parses and validates that output.
+ *
+ * Built-in providers:
+ * - openai:  any OpenAI-compatible chat completions endpoint
+ * - command: a local shell command that reads the prompt on stdin
+ * - fixture: recorded responses from a JSON file, for tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { validateSchema } = require('./schema');
+
+const providerFactories = {};
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider name used in config (`ai.provider`)
+ * @param {Function} factory - Function taking provider settings and returning a provider
+ */
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Provider factory for "${name}" must be a function`);
+  }
+  providerFactories[name] = factory;
+}
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+  return Object.keys(providerFactories);
+}
+
+/**
+ * Create the provider selected by the AI configuration
+ * @param {Object} aiConfig - The `ai` section of the project config
+ * @returns {Object} Provider instance
+ */
+function createProvider(aiConfig = {}) {
+  const name = aiConfig.provider;
+  if (!name) {
+    throw new Error('No AI provider configured. Set "ai.provider" in cursor-task.config.json');
+  }
+
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${name}". Available providers: ${listProviders().join(', ')}`);
+  }
+
+  return factory(aiConfig[name] || {});
+}
+
+/**
+ * Build the instruction that asks for JSON output matching a schema
+ * @param {Object} schema - JSON Schema of the expected output
+ * @returns {string} Instruction text
+ */
+function buildSchemaInstruction(schema) {
+  return 'Respond only with JSON (no prose, no code fences) matching this JSON Schema:\n' +
+    JSON.stringify(schema, null, 2);
+}
+
+/**
+ * Extract a JSON value from a model response
+ * Accepts bare JSON, fenced code blocks, or JSON surrounded by prose.
+ * @param {string} text - Raw response text
+ * @returns {*} Parsed JSON value
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const trimmed = text.trim();
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    // Fall through to the more lenient strategies below
+  }
+
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    try {
+      return JSON.parse(fenced[1].trim());
+    } catch (error) {
+      // Fall through
+    }
+  }
+
+  const starts = [trimmed.indexOf('{'), trimmed.indexOf('[')].filter(index => index !== -1);
+  if (starts.length > 0) {
+    const start = Math.min(...starts);
+    const closing = trimmed[start] === '{' ? '}' : ']';
+    const end = trimmed.lastIndexOf(closing);
+    if (end > start) {
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (error) {
+        // Fall through
+      }
+    }
+  }
+
+  throw new Error('Response does not contain valid JSON');
+}
+
+/**
+ * Send a prompt to the configured provider
+ * @param {string} prompt - Prompt text
+ * @param {Object} schema - Optional JSON Schema of the expected output
+ * @param {Object} aiConfig - The `ai` section of the project config
+ * @returns {Promise<*>} Raw text, or parsed and validated JSON when a schema is given
+ */
+async function requestCompletion(prompt, schema, aiConfig) {
+  const provider = createProvider(aiConfig);
+  const text = await provider.complete(prompt, schema);
+
+  if (!schema) {
+    return text;
+  }
+
+  const data = extractJson(text);
+  const errors = validateSchema(data, schema);
+  if (errors.length > 0) {
+    const summary = errors.slice(0, 3).map(error => `${error.path} ${error.message}`).join('; ');
+    throw new Error(`${provider.name} response does not match the expected schema: ${summary}`);
+  }
+
+  return data;
+}
+
+/**
+ * POST a JSON body and parse the JSON response
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} headers - Extra request headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ */
+function postJson(url, body, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : https;
+    const payload = JSON.stringify(body);
+
+    const request = client.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+      },
+      timeout
+    }, response => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`HTTP ${response.statusCode}: ${data.slice(0, 200)}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${target.host}: ${error.message}`));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Request timed out after ${timeout}ms`)));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+/**
+ * Provider for OpenAI-compatible chat completion endpoints
+ * @param {Object} settings - { baseUrl, model, apiKey, apiKeyEnv, temperature, timeout }
+ * @returns {Object} Provider instance
+ */
+function createOpenAIProvider(settings) {
+  return {
+    name: 'openai',
+    async complete(prompt, schema) {
+      const apiKey = settings.apiKey || process.env[settings.apiKeyEnv || 'OPENAI_API_KEY'];
+      const messages = [];
+      if (schema) {
+        messages.push({ role: 'system', content: buildSchemaInstruction(schema) });
+      }
+      messages.push({ role: 'user', content: prompt });
+
+      const baseUrl = (settings.baseUrl || 'https://api.openai.com/v1').replace(/\/$/, '');
+      const response = await postJson(`${baseUrl}/chat/completions`, {
+        model: settings.model,
+        temperature: settings.temperature,
+        messages
+      }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, settings.timeout || 60000);
+
+      const choice = response.choices && response.choices[0];
+      if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+        throw new Error('OpenAI-compatible endpoint returned no message content');
+      }
+      return choice.message.content;
+    }
+  };
+}
+
+/**
+ * Provider that pipes the prompt to a local shell command and reads stdout
+ * @param {Object} settings - { command, timeout }
+ * @returns {Object} Provider instance
+ */
+function createCommandProvider(settings) {
+  if (!settings.command) {
+    throw new Error('The command provider requires "ai.command.command"');
+  }
+
+  return {
+    name: 'command',
+    complete(prompt, schema) {
+      const input = schema ? `${prompt}\n\n${buildSchemaInstruction(schema)}` : prompt;
+
+      return new Promise((resolve, reject) => {
+        // In its own process group, so a timeout ends the command and not just the shell running it
+        const group = process.platform !== 'win32';
+        const child = spawn(settings.command, { shell: true, detached: group, stdio: ['pipe', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        const timeout = settings.timeout || 120000;
+        const timer = setTimeout(() => {
+          try {
+            process.kill(group ? -child.pid : child.pid, 'SIGTERM');
+          } catch (error) {
+            // Already gone
+          }
+          reject(new Error(`Command timed out after ${timeout}ms`));
+        }, timeout);
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+        child.on('close', code => {
+          clearTimeout(timer);
+          if (code !== 0) {
+            reject(new Error(`Command exited with code ${code}: ${stderr.trim()}`));
+            return;
+          }
+          resolve(stdout);
+        });
+
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      });
+    }
+  };
+}
+
+/**
+ * Hash a prompt the way fixture entries are keyed
+ * @param {string} prompt - Prompt text
+ * @returns {string} SHA-256 hex digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Provider that replays recorded responses from a fixture file
+ * The file contains `{ "responses": [{ "hash" | "match", "response" }] }`;
+ * an entry applies when its `hash` equals the prompt's SHA-256 or when the
+ * prompt contains its `match` text.
+ * @param {Object} settings - { file }
+ * @returns {Object} Provider instance
+ */
+function createFixtureProvider(settings) {
+  return {
+    name: 'fixture',
+    async complete(prompt) {
+      const fixturePath = path.resolve(process.cwd(), settings.file || 'ai-fixtures.json');
+      if (!(await fs.pathExists(fixturePath))) {
+        throw new Error(`Fixture file not found: ${fixturePath}`);
+      }
+
+      const fixtures = await fs.readJson(fixturePath);
+      const hash = hashPrompt(prompt);
+      const entry = (fixtures.responses || []).find(candidate =>
+        candidate.hash === hash || (candidate.match && prompt.includes(candidate.match))
+      );
+
+      if (!entry) {
+        throw new Error(`No fixture matches prompt (sha256 ${hash})`);
+      }
+
+      return typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+    }
+  };
+}
+
+registerProvider('openai', createOpenAIProvider);
+registerProvider('command', createCommandProvider);
+registerProvider('fixture', createFixtureProvider);
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  createProvider,
+  requestCompletion,
+  extractJson,
+  hashPrompt
+};
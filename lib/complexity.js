@@ -0,0 +1,149 @@
+/**
+ * Task complexity scoring for Cursor Task Master
+ * Provides the heuristic scorer used when the Cursor agent is unavailable,
+ * plus the prompt and schema for agent-based analysis.
+ */
+
+const COMPLEXITY_KEYWORDS = [
+  'integrat', 'auth', 'security', 'encrypt', 'migrat', 'concurren', 'parallel',
+  'performance', 'optimi', 'database', 'schema', 'sync', 'real-time', 'realtime',
+  'distributed', 'payment', 'api', 'protocol', 'cache', 'refactor'
+];
+
+/**
+ * JSON Schema of the Cursor agent's complexity analysis
+ */
+const COMPLEXITY_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['taskId', 'complexityScore', 'recommendedSubtasks', 'reasoning'],
+        properties: {
+          taskId: { type: 'integer' },
+          complexityScore: { type: 'integer', minimum: 1, maximum: 10 },
+          recommendedSubtasks: { type: 'integer', minimum: 0, maximum: 20 },
+          reasoning: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Keep a number within bounds
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Recommend a subtask count for a complexity score
+ * @param {number} score - Complexity score (1-10)
+ * @returns {number} Recommended number of subtasks
+ */
+function recommendSubtaskCount(score) {
+  return clamp(Math.round(score * 0.8), 2, 10);
+}
+
+/**
+ * Score a task's complexity from its text and structure
+ * @param {Object} task - Task to score
+ * @returns {Object} { complexityScore, recommendedSubtasks, reasoning }
+ */
+function scoreTaskComplexity(task) {
+  const reasons = [];
+  let score = 3;
+
+  const text = [task.title, task.description, task.implementation, task.details]
+    .filter(Boolean)
+    .join(' ');
+  const lowerText = text.toLowerCase();
+
+  const lengthPoints = clamp(Math.floor(text.length / 200), 0, 3);
+  if (lengthPoints > 0) {
+    score += lengthPoints;
+    reasons.push(`detailed scope (${text.length} characters of description)`);
+  }
+
+  const keywords = COMPLEXITY_KEYWORDS.filter(keyword => lowerText.includes(keyword));
+  const keywordPoints = clamp(keywords.length, 0, 3);
+  if (keywordPoints > 0) {
+    score += keywordPoints;
+    reasons.push(`technically involved areas (${keywords.slice(0, 3).join(', ')})`);
+  }
+
+  const dependencyCount = (task.dependencies || []).length;
+  if (dependencyCount >= 2) {
+    score += dependencyCount >= 4 ? 2 : 1;
+    reasons.push(`${dependencyCount} dependencies to integrate with`);
+  }
+
+  const criteriaCount = (task.acceptanceCriteria || []).length;
+  if (criteriaCount >= 3) {
+    score += 1;
+    reasons.push(`${criteriaCount} acceptance criteria`);
+  }
+
+  const subtaskCount = (task.subtasks || []).length;
+  if (subtaskCount > 5) {
+    score += 1;
+    reasons.push(`already split into ${subtaskCount} subtasks`);
+  }
+
+  const complexityScore = clamp(score, 1, 10);
+  return {
+    complexityScore,
+    recommendedSubtasks: recommendSubtaskCount(complexityScore),
+    reasoning: reasons.length > 0 ?
+      `Heuristic estimate based on ${reasons.join('; ')}.` :
+      'Heuristic estimate: small, self-contained task.'
+  };
+}
+
+/**
+ * Build the prompt asking the Cursor agent to score tasks
+ * @param {Array<Object>} tasks - Tasks to analyze
+ * @returns {string} Prompt text
+ */
+function buildComplexityPrompt(tasks) {
+  const taskList = tasks.map(task => [
+    `Task ${task.id}: ${task.title}`,
+    task.description ? `  Description: ${task.description}` : '',
+    task.implementation ? `  Implementation: ${task.implementation}` : '',
+    task.dependencies && task.dependencies.length > 0 ? `  Dependencies: ${task.dependencies.join(', ')}` : ''
+  ].filter(Boolean).join('\n')).join('\n\n');
+
+  return [
+    'Rate the implementation complexity of each task below from 1 (trivial) to 10 (very complex).',
+    'For each task give the score, the number of subtasks it should be broken into, and a one-sentence rationale.',
+    '',
+    taskList
+  ].join('\n');
+}
+
+/**
+ * Build the expand command suggested for a complex task
+ * @param {Object} task - Task to expand
+ * @param {number} recommendedSubtasks - Number of subtasks to generate
+ * @returns {string} CLI invocation
+ */
+function buildExpansionCommand(task, recommendedSubtasks) {
+  const force = task.subtasks && task.subtasks.length > 0 ? ' --force' : '';
+  return `cursor-task expand --id ${task.id} --num ${recommendedSubtasks}${force}`;
+}
+
+module.exports = {
+  COMPLEXITY_SCHEMA,
+  scoreTaskComplexity,
+  recommendSubtaskCount,
+  buildComplexityPrompt,
+  buildExpansionCommand
+};
@@ -0,0 +1,273 @@
+/**
+ * Project configuration for Cursor Task Master
+ * Reads `cursor-task.config.json` or `.cursortaskrc` (JSON5), found by walking
+ * up from the cwd like git does, and merges it over the built-in defaults.
+ * Environment variables (ENV_OVERRIDES) and the global --config and --file
+ * options take precedence over the file.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const JSON5 = require('json5');
+
+const CONFIG_FILES = ['cursor-task.config.json', '.cursortaskrc'];
+
+// Without a config file, the nearest directory with this file is the project root
+const DEFAULT_TASKS_FILE = 'tasks.json';
+
+const DEFAULT_CONFIG = {
+  ai: {
+    provider: null,
+    openai: {
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini',
+      apiKeyEnv: 'OPENAI_API_KEY',
+      temperature: 0.2,
+      timeout: 60000
+    },
+    command: {
+      command: null,
+      timeout: 120000
+    },
+    fixture: {
+      file: 'ai-fixtures.json'
+    }
+  },
+  tasks: {
+    // Paths are relative to the project root
+    file: DEFAULT_TASKS_FILE,
+    dir: 'tasks',
+    complexityReport: 'task-complexity-report.json',
+    defaultSubtasks: 5,
+    complexityThreshold: 6,
+    // Mark a task done once all of its subtasks are done
+    autoCompleteParents: true
+  },
+  // Task contexts (see lib/tags.js)
+  tags: {
+    // Work on the tag named like the current git branch, when there is one
+    fromGitBranch: false
+  },
+  // Estimates and forecasts (see lib/schedule.js)
+  schedule: {
+    hoursPerDay: 8,
+    // Days of the week work happens on, 0 for Sunday
+    workDays: [1, 2, 3, 4, 5],
+    // People working on the tasks in parallel
+    workers: 1,
+    // Effort assumed for tasks without an estimate
+    defaultEstimate: '4h'
+  },
+  // Statuses and their meaning (see lib/workflow.js)
+  workflow: {
+    statuses: {
+      pending: { color: 'yellow', selectable: true },
+      'in-progress': { color: 'blue', selectable: true, started: true },
+      blocked: { color: 'red' },
+      review: { color: 'magenta', started: true },
+      done: { color: 'green', satisfies: true, final: true },
+      deferred: { color: 'gray' },
+      cancelled: { color: 'gray', satisfies: true, final: true }
+    }
+  }
+};
+
+// Environment variables overriding config settings; paths are relative to the cwd
+const ENV_OVERRIDES = {
+  CURSOR_TASK_FILE: { setting: ['tasks', 'file'], type: 'path' },
+  CURSOR_TASK_DIR: { setting: ['tasks', 'dir'], type: 'path' },
+  CURSOR_TASK_SUBTASKS: { setting: ['tasks', 'defaultSubtasks'], type: 'integer' },
+  CURSOR_TASK_COMPLEXITY_THRESHOLD: { setting: ['tasks', 'complexityThreshold'], type: 'number' },
+  CURSOR_TASK_AUTO_COMPLETE: { setting: ['tasks', 'autoCompleteParents'], type: 'boolean' },
+  CURSOR_TASK_TAG_FROM_BRANCH: { setting: ['tags', 'fromGitBranch'], type: 'boolean' },
+  CURSOR_TASK_WORKERS: { setting: ['schedule', 'workers'], type: 'integer' },
+  CURSOR_TASK_AI_PROVIDER: { setting: ['ai', 'provider'], type: 'string' }
+};
+
+// Settings holding paths, resolved against the project root
+const PATH_SETTINGS = ['file', 'dir', 'complexityReport'];
+
+// Set from the global CLI options ({ configPath, tasksFile })
+let cliOverrides = {};
+let cachedConfig = null;
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge configuration objects; arrays and scalars from `override` win
+ * @param {Object} base - Base configuration
+ * @param {Object} override - Overriding configuration
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(base, override) {
+  const merged = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ?
+      mergeConfig(base[key], value) :
+      value;
+  });
+  return merged;
+}
+
+/**
+ * Find the nearest directory, starting at `dir` and walking up, that contains one of the files
+ * @param {string} dir - Directory to start from
+ * @param {Array<string>} names - File names to look for
+ * @returns {string|null} Path of the first file found, or null if none exists
+ */
+function findUp(dir, names) {
+  let current = path.resolve(dir);
+
+  for (;;) {
+    const found = names
+      .map(name => path.join(current, name))
+      .find(file => fs.existsSync(file));
+    if (found) {
+      return found;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Find the project config file in a directory or its ancestors
+ * @param {string} dir - Directory to start from
+ * @returns {string|null} Path to the config file, or null if none exists
+ */
+function findConfigFile(dir = process.cwd()) {
+  return findUp(dir, CONFIG_FILES);
+}
+
+/**
+ * Find the project root: the directory of the config file or, without one,
+ * the nearest directory with a tasks.json
+ * @param {string} dir - Directory to start from
+ * @returns {string} Project root (`dir` itself when nothing is found)
+ */
+function findProjectRoot(dir = process.cwd()) {
+  const found = findConfigFile(dir) || findUp(dir, [DEFAULT_TASKS_FILE]);
+  return found ? path.dirname(found) : path.resolve(dir);
+}
+
+/**
+ * Parse the value of an environment variable override
+ * @param {string} name - Variable name
+ * @param {string} value - Variable value
+ * @param {string} type - Expected type ("path", "integer", "number", "boolean" or "string")
+ * @returns {*} Parsed value
+ */
+function parseEnvValue(name, value, type) {
+  switch (type) {
+    case 'path':
+      return path.resolve(process.cwd(), value);
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      if (value.trim() === '' || Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+        throw new Error(`${name} must be ${type === 'integer' ? 'an integer' : 'a number'}, got "${value}"`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (!['true', 'false', '1', '0'].includes(value)) {
+        throw new Error(`${name} must be true or false, got "${value}"`);
+      }
+      return value === 'true' || value === '1';
+    default:
+      return value;
+  }
+}
+
+/**
+ * Load the project configuration merged over the defaults
+ * Precedence: global CLI options, environment variables, config file, defaults.
+ * @param {string} dir - Directory to look for the project from (defaults to the cwd)
+ * @returns {Object} Configuration object with absolute `tasks` paths and the `projectRoot`;
+ *   `configPath` is set when a file was read
+ */
+function loadConfig(dir = process.cwd()) {
+  const explicitPath = cliOverrides.configPath || process.env.CURSOR_TASK_CONFIG;
+  const configPath = explicitPath ? path.resolve(process.cwd(), explicitPath) : findConfigFile(dir);
+  const projectRoot = configPath ? path.dirname(configPath) : findProjectRoot(dir);
+
+  let fileConfig = {};
+  if (configPath) {
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    try {
+      fileConfig = JSON5.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load config ${configPath}: ${error.message}`);
+    }
+  }
+
+  const config = mergeConfig(DEFAULT_CONFIG, fileConfig);
+  // Copy the section, which is shared with the defaults when the file does not set it
+  config.tasks = { ...config.tasks };
+  PATH_SETTINGS.forEach(setting => {
+    config.tasks[setting] = path.resolve(projectRoot, config.tasks[setting]);
+  });
+  if (config.ai.fixture && config.ai.fixture.file) {
+    config.ai = { ...config.ai };
+    config.ai.fixture = { ...config.ai.fixture, file: path.resolve(projectRoot, config.ai.fixture.file) };
+  }
+
+  Object.entries(ENV_OVERRIDES).forEach(([name, { setting, type }]) => {
+    const value = process.env[name];
+    if (value !== undefined) {
+      const [section, key] = setting;
+      config[section] = { ...config[section], [key]: parseEnvValue(name, value, type) };
+    }
+  });
+
+  if (cliOverrides.tasksFile) {
+    config.tasks.file = path.resolve(process.cwd(), cliOverrides.tasksFile);
+  }
+
+  return configPath ? { ...config, configPath, projectRoot } : { ...config, projectRoot };
+}
+
+/**
+ * Get the configuration of the current project, loaded once per process
+ * @returns {Object} Configuration object (see loadConfig)
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Apply the global CLI options
+ * @param {Object} overrides - { configPath: config file to use, tasksFile: tasks file to use }
+ */
+function setConfigOverrides(overrides = {}) {
+  cliOverrides = { ...overrides };
+  cachedConfig = null;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  ENV_OVERRIDES,
+  mergeConfig,
+  findConfigFile,
+  findProjectRoot,
+  loadConfig,
+  getConfig,
+  setConfigOverrides
+};
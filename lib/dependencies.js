@@ -0,0 +1,303 @@
+/**
+ * Dependency graph helpers for Cursor Task Master
+ *
+ * Tasks and subtasks form a single graph. Nodes are keyed by their ID as a
+ * string ("3" for a task, "3.2" for subtask 2 of task 3). Dependencies on
+ * tasks are stored as numbers, dependencies on subtasks as dotted strings.
+ */
+
+const { tokenize } = require('./utils');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'with', 'add', 'implement', 'create', 'make', 'new',
+  'support', 'task', 'update', 'use'
+]);
+
+/**
+ * Normalize a dependency ID to its stored form
+ * @param {number|string} id - Task ID ("3", 3) or subtask ID ("3.2")
+ * @returns {number|string|null} Number for tasks, dotted string for subtasks, null if invalid
+ */
+function normalizeDependencyId(id) {
+  const value = String(id).trim();
+
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  if (/^\d+\.\d+$/.test(value)) {
+    const [parentId, subtaskId] = value.split('.').map(Number);
+    return `${parentId}.${subtaskId}`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the dependency graph of all tasks and subtasks
+ * @param {Array} tasks - Array of tasks
+ * @returns {Map<string, Object>} Nodes keyed by ID ({ key, item, parent, dependencies })
+ */
+function buildDependencyGraph(tasks) {
+  const graph = new Map();
+
+  tasks.forEach(task => {
+    graph.set(String(task.id), {
+      key: String(task.id),
+      item: task,
+      parent: null,
+      dependencies: (task.dependencies || []).map(String)
+    });
+
+    (task.subtasks || []).forEach(subtask => {
+      const key = `${task.id}.${subtask.id}`;
+      graph.set(key, {
+        key,
+        item: subtask,
+        parent: task,
+        dependencies: (subtask.dependencies || []).map(String)
+      });
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Look up the dependencies of a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {Map<string, Object>} graph - Dependency graph of all tasks
+ * @returns {Array<Object>} Dependencies ({ id, title, status }); status is "missing" for unknown IDs
+ */
+function resolveDependencies(item, graph) {
+  return (item.dependencies || []).map(id => {
+    const node = graph.get(String(id));
+    return node ?
+      { id, title: node.item.title, status: node.item.status } :
+      { id, title: null, status: 'missing' };
+  });
+}
+
+/**
+ * Find a dependency path between two nodes
+ * @param {Map<string, Object>} graph - Dependency graph
+ * @param {string} from - Starting node key
+ * @param {string} to - Target node key
+ * @returns {Array<string>|null} Node keys from `from` to `to`, or null if unreachable
+ */
+function findDependencyPath(graph, from, to) {
+  const visited = new Set();
+
+  function visit(key, trail) {
+    if (key === to) {
+      return [...trail, key];
+    }
+    if (visited.has(key) || !graph.has(key)) {
+      return null;
+    }
+    visited.add(key);
+
+    for (const dependency of graph.get(key).dependencies) {
+      const found = visit(dependency, [...trail, key]);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  return visit(from, []);
+}
+
+/**
+ * Find dependency cycles with a depth-first search
+ * Every returned back edge closes one cycle; removing all of them leaves an acyclic graph.
+ * @param {Map<string, Object>} graph - Dependency graph
+ * @returns {Array<Object>} Cycles ({ from, to, cycle }) where `from -> to` is the back edge
+ */
+function findCycles(graph) {
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+
+  function visit(key) {
+    state.set(key, 'visiting');
+    stack.push(key);
+
+    graph.get(key).dependencies.forEach(dependency => {
+      if (!graph.has(dependency) || dependency === key) {
+        return;
+      }
+      if (state.get(dependency) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(dependency));
+        cycles.push({ from: key, to: dependency, cycle: [...cycle, dependency] });
+      } else if (!state.has(dependency)) {
+        visit(dependency);
+      }
+    });
+
+    stack.pop();
+    state.set(key, 'done');
+  }
+
+  graph.forEach((node, key) => {
+    if (!state.has(key)) {
+      visit(key);
+    }
+  });
+
+  return cycles;
+}
+
+/**
+ * Find every dependency problem in the task list
+ * @param {Array} tasks - Array of tasks
+ * @returns {Array<Object>} Issues ({ type, taskId, dependencyId, cycle? })
+ *   where type is one of "invalid", "self", "parent", "missing", "duplicate" or "cycle";
+ *   "parent" is a subtask depending on its own task, which can only finish after it
+ */
+function findDependencyIssues(tasks) {
+  const graph = buildDependencyGraph(tasks);
+  const issues = [];
+
+  graph.forEach(node => {
+    const seen = new Set();
+
+    (node.item.dependencies || []).forEach(raw => {
+      const normalized = normalizeDependencyId(raw);
+      const dependencyKey = normalized === null ? null : String(normalized);
+
+      if (dependencyKey === null) {
+        issues.push({ type: 'invalid', taskId: node.key, dependencyId: raw });
+      } else if (dependencyKey === node.key) {
+        issues.push({ type: 'self', taskId: node.key, dependencyId: raw });
+      } else if (node.parent && dependencyKey === String(node.parent.id)) {
+        issues.push({ type: 'parent', taskId: node.key, dependencyId: raw });
+      } else if (!graph.has(dependencyKey)) {
+        issues.push({ type: 'missing', taskId: node.key, dependencyId: raw });
+      } else if (seen.has(dependencyKey)) {
+        issues.push({ type: 'duplicate', taskId: node.key, dependencyId: raw });
+      }
+
+      if (dependencyKey !== null) {
+        seen.add(dependencyKey);
+      }
+    });
+  });
+
+  findCycles(graph).forEach(({ from, to, cycle }) => {
+    issues.push({ type: 'cycle', taskId: from, dependencyId: to, cycle });
+  });
+
+  return issues;
+}
+
+/**
+ * Remove invalid, self, parent, dangling and duplicate dependencies and break cycles
+ * Mutates the tasks in place.
+ * @param {Array} tasks - Array of tasks
+ * @returns {Array<Object>} Removed edges ({ type, taskId, dependencyId, cycle? })
+ */
+function fixDependencyIssues(tasks) {
+  const changes = [];
+  let graph = buildDependencyGraph(tasks);
+
+  graph.forEach(node => {
+    const kept = [];
+    const seen = new Set();
+
+    (node.item.dependencies || []).forEach(raw => {
+      const normalized = normalizeDependencyId(raw);
+      const dependencyKey = normalized === null ? null : String(normalized);
+      let type = null;
+
+      if (dependencyKey === null) {
+        type = 'invalid';
+      } else if (dependencyKey === node.key) {
+        type = 'self';
+      } else if (node.parent && dependencyKey === String(node.parent.id)) {
+        type = 'parent';
+      } else if (!graph.has(dependencyKey)) {
+        type = 'missing';
+      } else if (seen.has(dependencyKey)) {
+        type = 'duplicate';
+      }
+
+      if (type) {
+        changes.push({ type, taskId: node.key, dependencyId: raw });
+        return;
+      }
+
+      seen.add(dependencyKey);
+      kept.push(normalized);
+    });
+
+    if (node.item.dependencies) {
+      node.item.dependencies = kept;
+    }
+  });
+
+  graph = buildDependencyGraph(tasks);
+  findCycles(graph).forEach(({ from, to, cycle }) => {
+    const item = graph.get(from).item;
+    item.dependencies = item.dependencies.filter(dependency => String(dependency) !== to);
+    changes.push({ type: 'cycle', taskId: from, dependencyId: normalizeDependencyId(to), cycle });
+  });
+
+  return changes;
+}
+
+/**
+ * Get the significant words of a task
+ * @param {Object} task - Task or task draft
+ * @returns {Set<string>} Words from the title and description, without stop words
+ */
+function getTaskKeywords(task) {
+  return new Set(
+    tokenize(`${task.title || ''} ${task.description || ''}`)
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Suggest existing tasks a new task probably depends on
+ * Ranks tasks by the overlap (Jaccard index) of their significant words.
+ * @param {Object} newTask - The new task ({ title, description })
+ * @param {Array} tasks - Existing tasks
+ * @param {Object} options - { exclude: IDs to skip, limit: max suggestions, minScore: minimum overlap }
+ * @returns {Array<Object>} Suggestions ({ id, title, score, sharedWords }), best first
+ */
+function suggestDependencies(newTask, tasks, options = {}) {
+  const exclude = (options.exclude || []).map(String);
+  const limit = options.limit || 3;
+  const minScore = options.minScore || 0.15;
+  const keywords = getTaskKeywords(newTask);
+
+  if (keywords.size === 0) {
+    return [];
+  }
+
+  return tasks
+    .filter(task => !exclude.includes(String(task.id)))
+    .map(task => {
+      const taskKeywords = getTaskKeywords(task);
+      const sharedWords = [...keywords].filter(word => taskKeywords.has(word));
+      const union = new Set([...keywords, ...taskKeywords]).size;
+      return { id: task.id, title: task.title, score: union ? sharedWords.length / union : 0, sharedWords };
+    })
+    .filter(suggestion => suggestion.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.id - b.id)
+    .slice(0, limit);
+}
+
+module.exports = {
+  normalizeDependencyId,
+  buildDependencyGraph,
+  resolveDependencies,
+  findDependencyPath,
+  findCycles,
+  findDependencyIssues,
+  fixDependencyIssues,
+  suggestDependencies
+};
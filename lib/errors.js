@@ -0,0 +1,25 @@
+/**
+ * Errors for Cursor Task Master
+ *
+ * Every failure of a task operation is an Error with a machine-readable
+ * `code`, so the CLI's --json output and MCP tool results can tell them apart.
+ * This module has no dependencies, so low-level modules (tags, storage,
+ * workflow, ...) can use it without requiring lib/utils.js.
+ */
+
+/**
+ * Create an error for a failed task operation
+ * The code is kept in JSON output and MCP tool results so callers can tell failures apart.
+ * @param {String} code - Machine-readable error code (e.g. "TASK_NOT_FOUND")
+ * @param {String} message - Error message
+ * @returns {Error} Error carrying the code
+ */
+function createTaskError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  createTaskError
+};
@@ -0,0 +1,208 @@
+/**
+ * Git integration for Cursor Task Master
+ *
+ * Commit messages can reference tasks; `cursor-task git-sync` (run by hand or
+ * from the post-commit hook installed with `cursor-task install-hook`) links
+ * the commits to their tasks and moves the tasks along:
+ * - "task #4", "tasks 4, 5", "refs 3.2", "see #7" mark work on a task (in-progress)
+ * - "closes #7", "fixes task 3.2", "resolves #4 and #5" mark it finished (done)
+ * Bare IDs only count after the keywords naming a task ("task", "refs", ...), so
+ * "Fix 2 typos" or "see 3 files" reference nothing.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createTaskError } = require('./errors');
+
+// Keywords before task IDs, by the action they stand for
+const REFERENCE_KEYWORDS = {
+  refs: ['task', 'tasks', 'ref', 'refs', 'references', 'see', 'part of'],
+  closes: ['close', 'closes', 'closed', 'fix', 'fixes', 'fixed', 'resolve', 'resolves', 'resolved', 'complete', 'completes', 'completed']
+};
+
+// Keywords that name a task, so the ID after them may leave out the "#"
+const TASK_KEYWORDS = ['task', 'tasks', 'ref', 'refs', 'references', 'part of'];
+
+// A task or subtask ID, with an optional or a required "#": "4", "#4", "3.2"
+const ID = '#?\\d+(?:\\.\\d+)?';
+const HASH_ID = '#\\d+(?:\\.\\d+)?';
+
+const keywords = list => list.join('|').replace(/ /g, '\\s+');
+const idList = id => `(${id}(?:\\s*(?:,|and|&)\\s*${id})*)`;
+
+// "closes task 4" and "refs 4" (groups 1-3), or "closes #4" and "see #4" (groups 4-5)
+const REFERENCE_PATTERN = new RegExp(
+  `\\b(?:(?:(${keywords(REFERENCE_KEYWORDS.closes)})\\s+)?(${keywords(TASK_KEYWORDS)}):?\\s+${idList(ID)}` +
+  `|(${keywords([...REFERENCE_KEYWORDS.refs, ...REFERENCE_KEYWORDS.closes].filter(keyword => !TASK_KEYWORDS.includes(keyword)))}):?\\s+${idList(HASH_ID)})`,
+  'gi'
+);
+
+// Marks hooks written by install-hook, so they are never mistaken for the user's own
+const HOOK_MARKER = '# Installed by cursor-task';
+
+// Separators of the fields and records of `git log` output
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+/**
+ * Run a git command
+ * @param {Array<string>} args - Arguments of the git command
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string} Output of the command
+ * @throws {Error} NOT_A_GIT_REPOSITORY error outside a repository, GIT_ERROR if the command fails
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: 30000,
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (error) {
+    const stderr = String(error.stderr || error.message).trim();
+    if (/not a git repository/i.test(stderr)) {
+      throw createTaskError('NOT_A_GIT_REPOSITORY', `${cwd} is not inside a git repository.`);
+    }
+    throw createTaskError('GIT_ERROR', `git ${args[0]} failed: ${stderr}`);
+  }
+}
+
+/**
+ * Get the current git branch of the project
+ * @param {string} cwd - Directory inside the repository
+ * @returns {string|null} Branch name, or null outside a repository or on a detached HEAD
+ */
+function getGitBranch(cwd) {
+  try {
+    return runGit(['symbolic-ref', '--short', '-q', 'HEAD'], cwd).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the task references in a commit message
+ * @param {string} message - Commit message
+ * @returns {Array<Object>} Referenced IDs, in order of appearance, with what the commit does to them
+ *   ({ id, action: "refs" or "closes" }); a closing reference wins over a plain one to the same ID
+ */
+function parseTaskReferences(message) {
+  const references = new Map();
+
+  for (const match of String(message || '').matchAll(REFERENCE_PATTERN)) {
+    const [, closing, , ids, keyword, hashIds] = match;
+    const action = closing || (keyword && REFERENCE_KEYWORDS.closes.includes(keyword.toLowerCase())) ? 'closes' : 'refs';
+
+    (ids || hashIds).match(new RegExp(ID, 'g')).forEach(raw => {
+      const id = raw.replace('#', '');
+      const normalized = id.includes('.') ? id : Number(id);
+      const existing = references.get(id);
+      if (!existing || action === 'closes') {
+        references.set(id, { id: normalized, action: existing && existing.action === 'closes' ? 'closes' : action });
+      }
+    });
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Read commits from the repository, oldest first
+ * @param {string} cwd - Directory inside the repository
+ * @param {Object} options - { revision: a single commit to read, limit: number of latest commits
+ *   reachable from HEAD (all of them when not given) }
+ * @returns {Array<Object>} Commits ({ sha, author, date, subject, message })
+ */
+function readCommits(cwd, options = {}) {
+  const args = ['log', `--format=%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%aI${FIELD_SEPARATOR}%B${RECORD_SEPARATOR}`];
+  if (options.revision) {
+    args.push('-1', options.revision, '--');
+  } else {
+    if (options.limit) {
+      args.push(`-${options.limit}`);
+    }
+    // A repository without commits has nothing to read
+    try {
+      runGit(['rev-parse', '--verify', '-q', 'HEAD'], cwd);
+    } catch (error) {
+      if (error.code === 'GIT_ERROR') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  return runGit(args, cwd)
+    .split(RECORD_SEPARATOR)
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.trim())
+    .map(record => {
+      const [sha, author, date, message] = record.split(FIELD_SEPARATOR);
+      return { sha, author, date, subject: message.split('\n')[0], message: message.trim() };
+    })
+    .reverse();
+}
+
+/**
+ * Get the path of a hook of the repository (honours `core.hooksPath`)
+ * @param {string} cwd - Directory inside the repository
+ * @param {string} name - Hook name, such as "post-commit"
+ * @returns {string} Absolute path of the hook
+ */
+function getHookPath(cwd, name) {
+  return path.resolve(cwd, runGit(['rev-parse', '--git-path', `hooks/${name}`], cwd).trim());
+}
+
+/**
+ * Install a hook running a command after each commit
+ * @param {string} cwd - Directory inside the repository
+ * @param {string} command - Shell command the hook runs
+ * @param {Object} options - { force: replace a hook that was not installed by cursor-task }
+ * @returns {Promise<Object>} Path of the hook and whether an existing hook was replaced ({ path, replaced })
+ * @throws {Error} HOOK_EXISTS error if another post-commit hook exists and `force` is not set
+ */
+async function installHook(cwd, command, options = {}) {
+  const hookPath = getHookPath(cwd, 'post-commit');
+  const existing = (await fs.pathExists(hookPath)) ? await fs.readFile(hookPath, 'utf8') : null;
+
+  if (existing !== null && !existing.includes(HOOK_MARKER) && !options.force) {
+    throw createTaskError('HOOK_EXISTS', `${hookPath} already exists. Add "${command}" to it, or re-run with --force to replace it.`);
+  }
+
+  // A failed sync must never fail the commit itself
+  const script = `#!/bin/sh\n${HOOK_MARKER}: links commits to the tasks they reference\n${command} || true\n`;
+  await fs.ensureDir(path.dirname(hookPath));
+  await fs.writeFile(hookPath, script, { encoding: 'utf8', mode: 0o755 });
+  await fs.chmod(hookPath, 0o755);
+
+  return { path: hookPath, replaced: existing !== null };
+}
+
+/**
+ * Remove the hook installed by installHook
+ * @param {string} cwd - Directory inside the repository
+ * @returns {Promise<Object>} Path of the hook and whether it was removed ({ path, removed })
+ */
+async function uninstallHook(cwd) {
+  const hookPath = getHookPath(cwd, 'post-commit');
+  const existing = (await fs.pathExists(hookPath)) ? await fs.readFile(hookPath, 'utf8') : null;
+
+  if (existing === null || !existing.includes(HOOK_MARKER)) {
+    return { path: hookPath, removed: false };
+  }
+  await fs.remove(hookPath);
+  return { path: hookPath, removed: true };
+}
+
+module.exports = {
+  REFERENCE_KEYWORDS,
+  runGit,
+  getGitBranch,
+  parseTaskReferences,
+  readCommits,
+  installHook,
+  uninstallHook
+};
@@ -0,0 +1,253 @@
+/**
+ * Dependency graph export for Cursor Task Master
+ *
+ * `cursor-task graph` draws the dependency DAG as Mermaid (renders in
+ * Markdown), Graphviz DOT or adjacency JSON. Arrows point from a task to the
+ * tasks that depend on it, so the graph reads in the order work can be done.
+ * Without subtasks, dependencies of and on subtasks count as dependencies
+ * between their tasks; with them, each task and its subtasks form a cluster.
+ */
+
+const { buildDependencyGraph } = require('./dependencies');
+const { getStatus } = require('./workflow');
+
+const GRAPH_FORMATS = ['mermaid', 'dot', 'json'];
+
+// Fill colors for the status colors of the workflow (chalk names)
+const STATUS_FILLS = {
+  black: '#9ca3af',
+  red: '#fca5a5',
+  green: '#86efac',
+  yellow: '#fde68a',
+  blue: '#93c5fd',
+  magenta: '#f0abfc',
+  cyan: '#a5f3fc',
+  white: '#ffffff',
+  gray: '#d1d5db',
+  grey: '#d1d5db'
+};
+const DEFAULT_FILL = '#e5e7eb';
+
+/**
+ * Get the fill color of a status
+ * @param {string} status - Status name
+ * @returns {string} Hex color
+ */
+function getStatusFill(status) {
+  const definition = getStatus(status);
+  return (definition && STATUS_FILLS[definition.color]) || DEFAULT_FILL;
+}
+
+/**
+ * Build the nodes and edges to draw
+ * @param {Array} tasks - Array of tasks
+ * @param {Object} options - { subtasks: draw subtasks, id: only this task or subtask and its closure,
+ *   upstream: include what it depends on, downstream: include what depends on it (both when neither is set) }
+ * @returns {Object} Nodes in ID order and edges from prerequisite to dependent ({ nodes: [{ id, title,
+ *   status, type, parent }], edges: [{ from, to }], focus: ID of the node focused on or null }),
+ *   or null if `id` does not exist
+ */
+function buildGraphView(tasks, options = {}) {
+  const graph = buildDependencyGraph(tasks);
+  const visible = key => (options.subtasks ? key : key.split('.')[0]);
+
+  const nodes = new Map();
+  graph.forEach(node => {
+    if (options.subtasks || !node.parent) {
+      nodes.set(node.key, {
+        id: node.parent ? node.key : node.item.id,
+        title: node.item.title,
+        status: node.item.status,
+        type: node.parent ? 'subtask' : 'task',
+        parent: node.parent ? node.parent.id : null
+      });
+    }
+  });
+
+  // Edges between the drawn nodes; dependencies on missing tasks are left out
+  const edges = new Map();
+  graph.forEach(node => {
+    node.dependencies.filter(dependency => graph.has(dependency)).forEach(dependency => {
+      const from = visible(dependency);
+      const to = visible(node.key);
+      if (from !== to) {
+        edges.set(`${from}->${to}`, { from, to });
+      }
+    });
+  });
+
+  let keys = [...nodes.keys()];
+  let focus = null;
+  if (options.id !== undefined && options.id !== null) {
+    focus = visible(String(options.id));
+    if (!nodes.has(focus)) {
+      return null;
+    }
+
+    // Subtasks wait for their task's dependencies, so they are reached through their task
+    const neighbours = new Map(keys.map(key => [key, { upstream: [], downstream: [] }]));
+    const link = (from, to) => {
+      neighbours.get(to).upstream.push(from);
+      neighbours.get(from).downstream.push(to);
+    };
+    edges.forEach(({ from, to }) => link(from, to));
+    nodes.forEach((node, key) => {
+      if (node.parent !== null) {
+        link(String(node.parent), key);
+      }
+    });
+
+    const both = !options.upstream && !options.downstream;
+    const closure = new Set([focus]);
+    ['upstream', 'downstream'].filter(direction => both || options[direction]).forEach(direction => {
+      const queue = [focus];
+      const seen = new Set(queue);
+      while (queue.length > 0) {
+        neighbours.get(queue.shift())[direction].forEach(key => {
+          if (!seen.has(key)) {
+            seen.add(key);
+            closure.add(key);
+            queue.push(key);
+          }
+        });
+      }
+    });
+    keys = keys.filter(key => closure.has(key));
+  }
+
+  const order = key => key.split('.').map(Number);
+  keys.sort((a, b) => {
+    const [aTask, aSubtask = 0] = order(a);
+    const [bTask, bSubtask = 0] = order(b);
+    return aTask - bTask || aSubtask - bSubtask;
+  });
+
+  const included = new Set(keys);
+  return {
+    nodes: keys.map(key => nodes.get(key)),
+    edges: [...edges.values()]
+      .filter(edge => included.has(edge.from) && included.has(edge.to))
+      .map(edge => ({ from: nodes.get(edge.from).id, to: nodes.get(edge.to).id })),
+    focus: focus === null ? null : nodes.get(focus).id
+  };
+}
+
+/**
+ * Group the nodes of a view into top-level tasks and clusters of a task with its subtasks
+ * @param {Object} view - View from buildGraphView
+ * @returns {Array<Object>} Groups in ID order ({ task, members }); `task` is the task ID, `members`
+ *   its drawn nodes (a task without drawn subtasks is a group of one)
+ */
+function groupNodes(view) {
+  const groups = new Map();
+  view.nodes.forEach(node => {
+    const task = String(node.parent !== null ? node.parent : node.id);
+    if (!groups.has(task)) {
+      groups.set(task, { task, members: [] });
+    }
+    groups.get(task).members.push(node);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Render a view as a Mermaid flowchart
+ * @param {Object} view - View from buildGraphView
+ * @returns {string} Mermaid source
+ */
+function renderMermaid(view) {
+  const nodeId = id => `t${String(id).replace('.', '_')}`;
+  const label = node => `${node.id}: ${node.title || ''} (${node.status})`.replace(/"/g, '#quot;');
+  const statusClass = status => `status_${status.replace(/[^A-Za-z0-9]/g, '_')}`;
+  const lines = ['flowchart LR'];
+
+  groupNodes(view).forEach(({ task, members }) => {
+    const declare = node => `${nodeId(node.id)}["${label(node)}"]`;
+    if (members.length === 1 && members[0].type === 'task') {
+      lines.push(`  ${declare(members[0])}`);
+      return;
+    }
+    lines.push(`  subgraph cluster_${task}["Task ${task}"]`);
+    members.forEach(node => lines.push(`    ${declare(node)}`));
+    lines.push('  end');
+  });
+
+  view.edges.forEach(({ from, to }) => lines.push(`  ${nodeId(from)} --> ${nodeId(to)}`));
+
+  const statuses = [...new Set(view.nodes.map(node => node.status))];
+  statuses.forEach(status => {
+    lines.push(`  classDef ${statusClass(status)} fill:${getStatusFill(status)},stroke:#374151,color:#111827`);
+    const members = view.nodes.filter(node => node.status === status).map(node => nodeId(node.id));
+    lines.push(`  class ${members.join(',')} ${statusClass(status)}`);
+  });
+  if (view.focus !== null) {
+    lines.push(`  style ${nodeId(view.focus)} stroke-width:3px`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a view as a Graphviz DOT digraph
+ * @param {Object} view - View from buildGraphView
+ * @returns {string} DOT source
+ */
+function renderDot(view) {
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const quote = value => `"${escape(value)}"`;
+  const declare = node => {
+    const attributes = [
+      `label="${escape(`${node.id}: ${node.title || ''}`)}\\n(${escape(node.status)})"`,
+      `fillcolor=${quote(getStatusFill(node.status))}`
+    ];
+    if (node.id === view.focus) {
+      attributes.push('penwidth=3');
+    }
+    return `${quote(node.id)} [${attributes.join(', ')}];`;
+  };
+
+  const lines = [
+    'digraph tasks {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+
+  groupNodes(view).forEach(({ task, members }) => {
+    if (members.length === 1 && members[0].type === 'task') {
+      lines.push(`  ${declare(members[0])}`);
+      return;
+    }
+    lines.push(`  subgraph ${quote(`cluster_${task}`)} {`);
+    lines.push(`    label=${quote(`Task ${task}`)};`);
+    members.forEach(node => lines.push(`    ${declare(node)}`));
+    lines.push('  }');
+  });
+
+  view.edges.forEach(({ from, to }) => lines.push(`  ${quote(from)} -> ${quote(to)};`));
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a view as adjacency JSON
+ * @param {Object} view - View from buildGraphView
+ * @returns {Object} Nodes, edges and, per node ID, the IDs it depends on
+ *   ({ nodes, edges, dependencies: { id: [ids] } })
+ */
+function toAdjacency(view) {
+  const dependencies = {};
+  view.nodes.forEach(node => {
+    dependencies[node.id] = view.edges.filter(edge => edge.to === node.id).map(edge => edge.from);
+  });
+  return { nodes: view.nodes, edges: view.edges, dependencies };
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  getStatusFill,
+  buildGraphView,
+  renderMermaid,
+  renderDot,
+  toAdjacency
+};
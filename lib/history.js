@@ -0,0 +1,402 @@
+/**
+ * Change history of tasks.json for Cursor Task Master
+ *
+ * Every write of the tasks file appends one entry to `tasks.history.jsonl`
+ * next to it: the operation, who ran it (the CLI user or an MCP client), when,
+ * why (`--reason`) and the tasks and fields before and after. The log is only
+ * ever appended to; `undo` and `redo` add entries of their own.
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Metadata fields changed by every write, not worth recording
+const UNTRACKED_METADATA = ['lastUpdated', 'revision'];
+
+const contextStorage = new AsyncLocalStorage();
+let defaultContext = { actor: 'api', operation: null, reason: null };
+
+/**
+ * Get the name of the user running the process
+ * @returns {string} User name ("unknown" if it cannot be determined)
+ */
+function getUserName() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+/**
+ * Set who is making changes for the rest of the process (e.g. the CLI user)
+ * @param {Object} context - { actor, operation, reason }
+ */
+function setHistoryContext(context) {
+  defaultContext = { ...defaultContext, ...context };
+}
+
+/**
+ * Run a function with its own history context (e.g. one MCP tool call)
+ * Fields not given are taken from the surrounding context.
+ * @param {Object} context - { actor, operation, reason }
+ * @param {Function} fn - Function to run (may be async)
+ * @returns {*} Result of the function
+ */
+function withHistoryContext(context, fn) {
+  return contextStorage.run({ ...getHistoryContext(), ...context }, fn);
+}
+
+/**
+ * Get the current history context
+ * @returns {Object} { actor, operation, reason }
+ */
+function getHistoryContext() {
+  return contextStorage.getStore() || defaultContext;
+}
+
+/**
+ * Get the path of the history log of a tasks file
+ * @param {string} tasksPath - Path of the tasks file
+ * @returns {string} Path of the log (`tasks.json` -> `tasks.history.jsonl`)
+ */
+function getHistoryPath(tasksPath) {
+  const name = path.basename(tasksPath, path.extname(tasksPath));
+  return path.join(path.dirname(tasksPath), `${name}.history.jsonl`);
+}
+
+/**
+ * Get the recorded part of the metadata
+ * @param {Object} metadata - Metadata of the tasks file
+ * @returns {Object} Metadata without the fields every write changes
+ */
+function trackedMetadata(metadata) {
+  const tracked = { ...(metadata || {}) };
+  UNTRACKED_METADATA.forEach(field => delete tracked[field]);
+  return tracked;
+}
+
+/**
+ * Compare the tasks and other fields of one task list (the file itself or a tag)
+ * @param {Object} oldData - List before the write
+ * @param {Object} newData - List after the write
+ * @param {string|null} tag - Tag of the list (null for the file itself), recorded on each change
+ * @param {Array<string>} skip - Fields compared elsewhere
+ * @returns {Array<Object>} Changes (see diffTasksData)
+ */
+function diffContext(oldData, newData, tag, skip) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const inTag = tag ? { tag } : {};
+
+  const oldTasks = new Map((oldData.tasks || []).map((task, index) => [String(task.id), { task, index }]));
+  const newTasks = new Map((newData.tasks || []).map((task, index) => [String(task.id), { task, index }]));
+
+  newTasks.forEach(({ task, index }, id) => {
+    const old = oldTasks.get(id);
+    if (!old || !same(old.task, task)) {
+      changes.push({ type: 'task', ...inTag, id: task.id, index, before: old ? old.task : null, after: task });
+    }
+  });
+  oldTasks.forEach(({ task, index }, id) => {
+    if (!newTasks.has(id)) {
+      changes.push({ type: 'task', ...inTag, id: task.id, index, before: task, after: null });
+    }
+  });
+
+  const names = new Set([...Object.keys(oldData), ...Object.keys(newData)]);
+  ['tasks', ...skip].forEach(name => names.delete(name));
+  names.forEach(name => {
+    const oldValue = name === 'metadata' ? trackedMetadata(oldData.metadata) : oldData[name];
+    const newValue = name === 'metadata' ? trackedMetadata(newData.metadata) : newData[name];
+    if (!same(oldValue, newValue)) {
+      changes.push({ type: 'field', ...inTag, name, before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two versions of the tasks data
+ * @param {Object|null} before - Data before the write (null for a new file)
+ * @param {Object} after - Data after the write
+ * @returns {Array<Object>} Changes: tasks ({ type: "task", id, index, before, after }, with null
+ *   for added or removed tasks), other top-level fields ({ type: "field", name, before, after })
+ *   and added or removed tags ({ type: "tag", name, before, after }); changes inside a tag other
+ *   than the default one carry its name in `tag`
+ */
+function diffTasksData(before, after) {
+  const oldData = before || {};
+  const changes = diffContext(oldData, after, null, ['tags']);
+
+  const oldTags = oldData.tags || {};
+  const newTags = after.tags || {};
+  new Set([...Object.keys(oldTags), ...Object.keys(newTags)]).forEach(name => {
+    if (oldTags[name] && newTags[name]) {
+      changes.push(...diffContext(oldTags[name], newTags[name], name, []));
+    } else {
+      changes.push({ type: 'tag', name, before: oldTags[name] || null, after: newTags[name] || null });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Read the history log of a tasks file
+ * @param {string} tasksPath - Path of the tasks file
+ * @returns {Promise<Array<Object>>} Entries, oldest first
+ */
+async function readHistory(tasksPath) {
+  const historyPath = getHistoryPath(tasksPath);
+  if (!(await fs.pathExists(historyPath))) {
+    return [];
+  }
+
+  const content = await fs.readFile(historyPath, 'utf8');
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(historyPath)} line ${index + 1} is not valid JSON: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Append an entry for a write of the tasks file
+ * Must be called while holding the lock on the tasks file.
+ * @param {string} tasksPath - Path of the tasks file
+ * @param {Object|null} before - Data before the write
+ * @param {Object} after - Data written
+ * @param {Object} extra - Additional fields for the entry (e.g. { undoes: 12 })
+ * @returns {Promise<Object|null>} The entry, or null if nothing worth recording changed
+ */
+async function recordChange(tasksPath, before, after, extra = {}) {
+  const changes = diffTasksData(before, after);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  const history = await readHistory(tasksPath);
+  const context = getHistoryContext();
+  const entry = {
+    id: history.length > 0 ? history[history.length - 1].id + 1 : 1,
+    timestamp: new Date().toISOString(),
+    actor: context.actor,
+    operation: context.operation,
+    reason: context.reason || null,
+    revision: after.metadata ? after.metadata.revision : null,
+    ...extra,
+    changes
+  };
+
+  await fs.appendFile(getHistoryPath(tasksPath), `${JSON.stringify(entry)}\n`, 'utf8');
+  return entry;
+}
+
+/**
+ * Work out which entries undo and redo would apply next
+ * Undo takes back the latest change that is not undone yet; redo re-applies the
+ * latest undone change, until a new change is made.
+ * @param {Array<Object>} history - Entries, oldest first
+ * @returns {Object} Entries that can be undone and redone, latest last ({ undoable, redoable })
+ */
+function getUndoState(history) {
+  const byId = new Map(history.map(entry => [entry.id, entry]));
+  const undoable = [];
+  let redoable = [];
+
+  history.forEach(entry => {
+    if (entry.undoes !== undefined) {
+      undoable.pop();
+      redoable.push(byId.get(entry.undoes));
+    } else if (entry.redoes !== undefined) {
+      redoable.pop();
+      undoable.push(byId.get(entry.redoes));
+    } else {
+      undoable.push(entry);
+      redoable = [];
+    }
+  });
+
+  return { undoable, redoable };
+}
+
+/**
+ * Take back or re-apply the changes of an entry
+ * A task or field is only changed if it still has the value the entry left it with
+ * (for undo) or started from (for redo); the others are reported as conflicts.
+ * @param {Object} data - Tasks data (mutated only when there are no conflicts)
+ * @param {Array<Object>} changes - Changes of the entry
+ * @param {string} direction - "undo" to restore the values before, "redo" to restore those after
+ * @returns {Array<string>} Conflicting tasks and fields; nothing was changed if not empty
+ */
+function applyChanges(data, changes, direction) {
+  const [from, to] = direction === 'undo' ? ['after', 'before'] : ['before', 'after'];
+  const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+  const tags = data.tags || {};
+  const contextOf = change => (change.tag ? tags[change.tag] : data);
+  const findTask = (context, id) => context.tasks.findIndex(task => String(task.id) === String(id));
+
+  const conflicts = changes.filter(change => {
+    if (change.type === 'tag') {
+      return !same(tags[change.name], change[from]);
+    }
+    const context = contextOf(change);
+    if (!context) {
+      return true;
+    }
+    if (change.type === 'task') {
+      const index = findTask({ tasks: context.tasks || [] }, change.id);
+      return !same(index === -1 ? null : context.tasks[index], change[from]);
+    }
+    const current = change.name === 'metadata' ? trackedMetadata(context.metadata) : context[change.name];
+    return !same(current, change[from]);
+  }).map(change => {
+    const label = change.type === 'task' ? `task ${change.id}` : change.name;
+    return change.type === 'tag' ? `tag ${change.name}` : change.tag ? `tag ${change.tag} ${label}` : label;
+  });
+
+  if (conflicts.length > 0) {
+    return conflicts;
+  }
+
+  // Tags first, so changes inside a tag brought back with it apply to it
+  changes.filter(change => change.type === 'tag').forEach(change => {
+    if (change[to] === null) {
+      delete tags[change.name];
+    } else {
+      tags[change.name] = change[to];
+    }
+  });
+  if (Object.keys(tags).length > 0 || data.tags) {
+    data.tags = tags;
+  }
+
+  changes.filter(change => change.type !== 'tag').forEach(change => {
+    const context = contextOf(change);
+    const value = change[to];
+    if (change.type === 'field') {
+      if (change.name === 'metadata') {
+        const kept = {};
+        UNTRACKED_METADATA.filter(field => context.metadata && field in context.metadata).forEach(field => {
+          kept[field] = context.metadata[field];
+        });
+        context.metadata = { ...(value || {}), ...kept };
+      } else if (value === null) {
+        delete context[change.name];
+      } else {
+        context[change.name] = value;
+      }
+      return;
+    }
+
+    context.tasks = context.tasks || [];
+    const index = findTask(context, change.id);
+    if (value === null) {
+      context.tasks.splice(index, 1);
+    } else if (index === -1) {
+      context.tasks.splice(Math.min(change.index, context.tasks.length), 0, value);
+    } else {
+      context.tasks[index] = value;
+    }
+  });
+  data.tasks = data.tasks || [];
+
+  return [];
+}
+
+/**
+ * Describe what a change did, field by field
+ * @param {Object} change - Change from an entry
+ * @returns {Array<string>} Descriptions such as "status: pending -> done"
+ */
+function describeChange(change) {
+  const show = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (change.type === 'tag') {
+    const tag = change.after || change.before;
+    return [`${change.after ? 'added' : 'removed'} with ${(tag.tasks || []).length} task(s)`];
+  }
+  if (change.type === 'field') {
+    if (!isObject(change.before) || !isObject(change.after)) {
+      return [`${show(change.before)} -> ${show(change.after)}`];
+    }
+    const keys = new Set([...Object.keys(change.before), ...Object.keys(change.after)]);
+    return [...keys]
+      .filter(key => JSON.stringify(change.before[key]) !== JSON.stringify(change.after[key]))
+      .map(key => `${key}: ${show(change.before[key])} -> ${show(change.after[key])}`);
+  }
+  if (!change.before) {
+    return [`added "${change.after.title}"`];
+  }
+  if (!change.after) {
+    return [`removed "${change.before.title}"`];
+  }
+
+  const lines = [];
+  const fields = new Set([...Object.keys(change.before), ...Object.keys(change.after)]);
+  fields.forEach(field => {
+    const oldValue = change.before[field];
+    const newValue = change.after[field];
+    if (field === 'updatedAt' || JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      return;
+    }
+
+    if (field === 'commits') {
+      const linked = new Set((oldValue || []).map(commit => commit.sha));
+      (newValue || []).filter(commit => !linked.has(commit.sha)).forEach(commit => {
+        lines.push(`commit ${commit.sha.substring(0, 7)} linked: ${commit.subject}`);
+      });
+      return;
+    }
+    if (field !== 'subtasks') {
+      lines.push(`${field}: ${show(oldValue)} -> ${show(newValue)}`);
+      return;
+    }
+
+    const oldSubtasks = new Map((oldValue || []).map(subtask => [subtask.id, subtask]));
+    const newSubtasks = new Map((newValue || []).map(subtask => [subtask.id, subtask]));
+    newSubtasks.forEach((subtask, id) => {
+      const old = oldSubtasks.get(id);
+      const key = `${change.id}.${id}`;
+      if (!old) {
+        lines.push(`subtask ${key} added`);
+      } else if (old.status !== subtask.status) {
+        lines.push(`subtask ${key} status: ${old.status} -> ${subtask.status}`);
+      } else if (JSON.stringify(old) !== JSON.stringify(subtask)) {
+        lines.push(`subtask ${key} changed`);
+      }
+    });
+    oldSubtasks.forEach((subtask, id) => {
+      if (!newSubtasks.has(id)) {
+        lines.push(`subtask ${change.id}.${id} removed`);
+      }
+    });
+  });
+
+  return lines;
+}
+
+module.exports = {
+  getUserName,
+  setHistoryContext,
+  withHistoryContext,
+  getHistoryContext,
+  getHistoryPath,
+  diffTasksData,
+  readHistory,
+  recordChange,
+  getUndoState,
+  applyChanges,
+  describeChange
+};
@@ -8,112 +8,338 @@
 
 const { MCP_TOOLS, ...utils } = require('./utils');
 const taskManager = require('./taskManager');
+const { getStatusNames } = require('./workflow');
+const { withHistoryContext, getHistoryContext } = require('./history');
+const { withTag } = require('./tags');
+const { validateSchema } = require('./schema');
+const { createTaskError } = require('./errors');
+
+// Status parameter; the statuses are read when used, so those added in the project config are accepted
+const statusParameter = (description, required) => ({
+  type: "string",
+  get enum() {
+    return getStatusNames();
+  },
+  description,
+  required
+});
+
+// Added to every tool: the tag (task list) the call works on
+const TAG_PARAMETER = {
+  type: "string",
+  description: "Tag (task list) to work on instead of the active one",
+  required: false
+};
+
+// Task management commands exposed as MCP tools.
+// `args` lists the parameters in the order the function takes them; a nested
+// array collects those parameters into a single options object.
+const TASK_MANAGER_TOOLS = {
+  listTasks: {
+    description: "List the tasks matching a query, sorted and cut to the columns asked for",
+    args: [['status', 'query', 'sort', 'limit', 'columns', 'withSubtasks']],
+    parameters: {
+      status: statusParameter("Filter tasks by status (pending, in-progress, done, ...)", false),
+      query: {
+        type: "string",
+        description: "Query such as 'priority:high status:pending,in-progress epic:api has:subtasks blocked:true deps:3 text:\"auth\"'; \"-\" before a term excludes its matches, and 'tag:api,web' or '-tag:archive' searches those tags' task lists instead of the active one",
+        required: false
+      },
+      sort: {
+        type: "string",
+        description: "Comma-separated fields to sort by, \"-\" for descending (e.g. \"priority,-updatedAt\")",
+        required: false
+      },
+      limit: {
+        type: "integer",
+        description: "Return at most this many tasks",
+        required: false
+      },
+      columns: {
+        type: "string",
+        description: "Comma-separated fields to return (id, title, status, priority, dependencies, complexity, estimate, epic, createdAt, updatedAt)",
+        required: false
+      },
+      withSubtasks: {
+        type: "boolean",
+        description: "Include subtasks in the list",
+        required: false
+      }
+    }
+  },
+  showNextTask: {
+    description: "Rank the tasks and subtasks that can be worked on now and explain the scores",
+    args: [],
+    parameters: {}
+  },
+  showTask: {
+    description: "Show details of a specific task or subtask (\"3.2\")",
+    args: ['id'],
+    parameters: {
+      id: {
+        type: "string", 
+        description: "Task ID to show",
+        required: true
+      }
+    }
+  },
+  setTaskStatus: {
+    description: "Set status of tasks or subtasks; parent tasks follow the status of their subtasks",
+    args: ['ids', 'status', ['autoComplete']],
+    parameters: {
+      ids: {
+        type: "array",
+        items: { type: "string" },
+        description: "Task IDs to update (subtasks as \"3.2\")",
+        required: true
+      },
+      status: statusParameter("Status to set (pending, in-progress, done, ...); the workflow may restrict transitions", true),
+      autoComplete: {
+        type: "boolean",
+        description: "Mark a task done once all its subtasks are done (defaults to the project config)",
+        required: false
+      }
+    }
+  },
+  expandTasks: {
+    description: "Expand a task with subtasks",
+    args: [['id', 'num', 'prompt', 'all', 'force']],
+    parameters: {
+      id: {
+        type: "string",
+        description: "Task ID to expand (required unless all is true)",
+        required: false
+      },
+      num: {
+        type: "integer",
+        description: "Number of subtasks to generate",
+        required: false
+      },
+      prompt: {
+        type: "string",
+        description: "Additional context for expansion",
+        required: false
+      },
+      all: {
+        type: "boolean",
+        description: "Expand all pending tasks",
+        required: false
+      },
+      force: {
+        type: "boolean",
+        description: "Regenerate subtasks for tasks that already have them",
+        required: false
+      }
+    }
+  },
+  showHistory: {
+    description: "Show who changed which tasks and when, including changes made by agents",
+    args: [['id', 'limit']],
+    parameters: {
+      id: {
+        type: "string",
+        description: "Only changes to this task or subtask (\"3.2\")",
+        required: false
+      },
+      limit: {
+        type: "integer",
+        description: "Number of entries to return (latest, default 20)",
+        required: false
+      }
+    }
+  },
+  listTags: {
+    description: "List the tags (separate task lists, e.g. per feature branch) and which one is active",
+    args: [],
+    parameters: {}
+  },
+  showSchedule: {
+    description: "Compute the critical path, earliest and latest start of each unfinished task and the projected completion date",
+    args: [['workers', 'start']],
+    parameters: {
+      workers: {
+        type: "integer",
+        description: "People working in parallel (defaults to the project config)",
+        required: false
+      },
+      start: {
+        type: "string",
+        description: "First day of work as YYYY-MM-DD (defaults to today)",
+        required: false
+      }
+    }
+  }
+};
 
 /**
- * Registers tools with MCP
- * @param {Object} mcp - MCP instance to register tools with
+ * Coerce a single argument to its declared type where the intent is unambiguous
+ * (numeric strings to numbers, numbers to strings, "true"/"false" to booleans,
+ * comma-separated strings or single values to arrays)
+ * @param {*} value - Argument value
+ * @param {Object} config - Parameter declaration ({ type, items })
+ * @returns {*} Coerced value (unchanged when no coercion applies)
  */
-function registerMCPTools(mcp) {
-  if (!mcp || typeof mcp.registerTool !== 'function') {
-    console.error('Invalid MCP instance provided for tool registration');
-    return;
+function coerceValue(value, config) {
+  switch (config.type) {
+    case 'number':
+    case 'integer':
+      return typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'string':
+      return typeof value === 'number' ? String(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'array': {
+      let items = value;
+      if (typeof value === 'string') {
+        items = value.split(',').map(item => item.trim()).filter(Boolean);
+      } else if (!Array.isArray(value) && (typeof value === 'number' || typeof value === 'boolean')) {
+        items = [value];
+      }
+      return Array.isArray(items) && config.items ? items.map(item => coerceValue(item, config.items)) : items;
+    }
+    default:
+      return value;
   }
+}
 
-  // Register basic utility tools
-  Object.entries(MCP_TOOLS).forEach(([name, config]) => {
-    mcp.registerTool({
-      name: `cursor_task_${name}`,
-      description: config.description,
-      parameters: config.parameters,
-      handler: async (params) => {
-        try {
-          return await utils[name](...Object.values(params));
-        } catch (error) {
-          console.error(`Error executing ${name}:`, error);
-          throw error;
-        }
+/**
+ * Coerce and validate a tool call's arguments against its parameter declarations
+ * @param {string} toolName - Name of the tool
+ * @param {Object} parameters - Parameter declarations
+ * @param {Object} params - Arguments of the call
+ * @returns {Object} Coerced arguments; optional parameters given as null are left out
+ * @throws {Error} INVALID_PARAMS error listing the problems
+ */
+function prepareParams(toolName, parameters, params) {
+  const coerced = {};
+  let issues;
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    issues = [{ path: '$', message: 'arguments must be an object' }];
+  } else {
+    Object.entries(params).forEach(([name, value]) => {
+      // Clients send null for optional parameters they leave out
+      if (value === null && parameters[name] && !parameters[name].required) {
+        return;
       }
+      coerced[name] = parameters[name] && value !== null && value !== undefined ?
+        coerceValue(value, parameters[name]) :
+        value;
     });
-  });
+    issues = validateSchema(coerced, { ...toInputSchema(parameters), additionalProperties: false });
+  }
 
-  // Register task management commands
-  const taskManagerCommands = {
-    listTasks: {
-      description: "List all tasks with optional filtering",
-      parameters: {
-        status: {
-          type: "string",
-          description: "Filter tasks by status (pending, in-progress, done)",
-          required: false
-        },
-        withSubtasks: {
-          type: "boolean",
-          description: "Include subtasks in the list",
-          required: false
-        }
-      }
-    },
-    showNextTask: {
-      description: "Show the next task to work on based on dependencies and status",
-      parameters: {}
-    },
-    showTask: {
-      description: "Show details of a specific task",
-      parameters: {
-        id: {
-          type: "string", 
-          description: "Task ID to show",
-          required: true
-        }
-      }
-    },
-    setTaskStatus: {
-      description: "Set status of a task or multiple tasks",
-      parameters: {
-        ids: {
-          type: "array",
-          description: "Task IDs to update",
-          required: true
-        },
-        status: {
-          type: "string",
-          description: "Status to set (pending, in-progress, done)",
-          required: true
-        }
-      }
-    },
-    expandTasks: {
-      description: "Expand a task with subtasks",
-      parameters: {
-        options: {
-          type: "object",
-          description: "Options for task expansion",
-          required: true
+  if (issues.length > 0) {
+    const summary = issues.map(issue => `${issue.path} ${issue.message}`).join('; ');
+    const error = createTaskError('INVALID_PARAMS', `Invalid arguments for ${toolName}: ${summary}`);
+    // The MCP server passes the problems on in the error result
+    error.issues = issues;
+    throw error;
+  }
+  return coerced;
+}
+
+/**
+ * Map named arguments onto a function's positional arguments
+ * @param {Array<string|Array<string>>} args - Argument layout (see TASK_MANAGER_TOOLS)
+ * @param {Object} params - Named arguments
+ * @returns {Array} Positional arguments
+ */
+function bindArguments(args, params) {
+  return args.map(arg => {
+    if (Array.isArray(arg)) {
+      const options = {};
+      arg.forEach(name => {
+        if (params[name] !== undefined) {
+          options[name] = params[name];
         }
-      }
+      });
+      return options;
     }
-  };
+    return params[arg];
+  });
+}
 
-  // Register taskManager commands
-  Object.entries(taskManagerCommands).forEach(([name, config]) => {
-    mcp.registerTool({
+/**
+ * Build the tool definitions shared by registerMCPTools and the MCP server
+ * Handlers validate their arguments and throw an INVALID_PARAMS error on bad input.
+ * @returns {Array<Object>} Tools ({ name, description, parameters, handler })
+ */
+function getToolDefinitions() {
+  const define = (source, functions) => Object.entries(source).map(([name, config]) => {
+    const parameters = { ...config.parameters, tag: TAG_PARAMETER };
+    return {
       name: `cursor_task_${name}`,
       description: config.description,
-      parameters: config.parameters,
-      handler: async (params) => {
+      parameters,
+      handler: async (params = {}) => {
+        const prepared = prepareParams(`cursor_task_${name}`, parameters, params);
+        const args = bindArguments(config.args, prepared);
+        // Changes made by agents are recorded in the history as such
+        const { actor } = getHistoryContext();
+        const context = { actor: actor.startsWith('mcp') ? actor : 'mcp', operation: `cursor_task_${name}` };
         try {
-          return await taskManager[name](...Object.values(params));
+          return await withHistoryContext(context, () => withTag(prepared.tag, () => functions[name](...args)));
         } catch (error) {
           console.error(`Error executing ${name}:`, error);
           throw error;
         }
       }
-    });
+    };
+  });
+
+  return [
+    ...define(MCP_TOOLS, utils),
+    ...define(TASK_MANAGER_TOOLS, taskManager)
+  ];
+}
+
+/**
+ * Convert a tool's parameter declarations into a JSON Schema
+ * @param {Object} parameters - Parameter declarations ({ name: { type, description, required, enum, items } })
+ * @returns {Object} JSON Schema describing the tool input
+ */
+function toInputSchema(parameters = {}) {
+  const properties = {};
+  const required = [];
+
+  Object.entries(parameters).forEach(([name, config]) => {
+    properties[name] = { type: config.type, description: config.description };
+    if (config.enum) {
+      properties[name].enum = config.enum;
+    }
+    if (config.items) {
+      properties[name].items = config.items;
+    }
+    if (config.required) {
+      required.push(name);
+    }
   });
 
+  const schema = { type: 'object', properties };
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+/**
+ * Registers tools with MCP
+ * @param {Object} mcp - MCP instance to register tools with
+ */
+function registerMCPTools(mcp) {
+  if (!mcp || typeof mcp.registerTool !== 'function') {
+    console.error('Invalid MCP instance provided for tool registration');
+    return;
+  }
+
+  getToolDefinitions().forEach(tool => mcp.registerTool(tool));
+
   console.log('Cursor Task Master tools registered with MCP');
 }
 
 module.exports = {
+  TASK_MANAGER_TOOLS,
+  getToolDefinitions,
+  toInputSchema,
   registerMCPTools
 };
\ No newline at end of file
@@ -0,0 +1,259 @@
+/**
+ * Model Context Protocol server for cursor-task-master
+ *
+ * Speaks JSON-RPC 2.0 over stdio (one message per line) so MCP clients such
+ * as Cursor can use the task tools natively:
+ * - initialize / ping
+ * - tools/list and tools/call for every tool from getToolDefinitions()
+ * - resources/list, resources/templates/list and resources/read for
+ *   tasks.json and the individual tasks
+ */
+
+const readline = require('readline');
+const { getToolDefinitions, toInputSchema } = require('./mcp-integration');
+const { setHistoryContext } = require('./history');
+const { loadTasks, getTasksFilePath } = require('./utils');
+const { version } = require('../package.json');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const TASKS_RESOURCE_URI = 'tasks://tasks.json';
+const TASK_RESOURCE_PREFIX = 'tasks://task/';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Create an error that is reported to the client as a JSON-RPC error
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the code
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Build a text content block holding JSON
+ * @param {*} value - Value to serialize
+ * @returns {Object} MCP text content
+ */
+function jsonContent(value) {
+  return { type: 'text', text: JSON.stringify(value === undefined ? null : value, null, 2) };
+}
+
+/**
+ * Create an MCP server instance
+ * @returns {Object} Server with `handleMessage(message)` returning the response (or null for notifications)
+ */
+function createMCPServer() {
+  const tools = new Map(getToolDefinitions().map(tool => [tool.name, tool]));
+  let initialized = false;
+
+  const methods = {
+    initialize(params = {}) {
+      initialized = true;
+      // Changes made through this server are recorded with the client's name
+      const client = params.clientInfo && params.clientInfo.name;
+      setHistoryContext({ actor: client ? `mcp:${client}` : 'mcp' });
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { subscribe: false, listChanged: false }
+        },
+        serverInfo: { name: 'cursor-task-master', version }
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: [...tools.values()].map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          inputSchema: toInputSchema(tool.parameters)
+        }))
+      };
+    },
+
+    async 'tools/call'(params = {}) {
+      const tool = tools.get(params.name);
+      if (!tool) {
+        throw rpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+      }
+
+      // Tool failures are results the model should see, not protocol errors
+      try {
+        const result = await tool.handler(params.arguments || {});
+        return { content: [jsonContent(result)], isError: false };
+      } catch (error) {
+        const details = { code: error.code || 'TOOL_ERROR', message: error.message };
+        if (error.issues) {
+          details.issues = error.issues;
+        }
+        return { content: [jsonContent({ error: details })], isError: true };
+      }
+    },
+
+    async 'resources/list'() {
+      const { tasks = [] } = await loadTasks();
+      return {
+        resources: [
+          {
+            uri: TASKS_RESOURCE_URI,
+            name: 'tasks.json',
+            description: `All tasks (${getTasksFilePath()})`,
+            mimeType: 'application/json'
+          },
+          ...tasks.map(task => ({
+            uri: `${TASK_RESOURCE_PREFIX}${task.id}`,
+            name: `Task ${task.id}: ${task.title}`,
+            description: `Status: ${task.status}`,
+            mimeType: 'application/json'
+          }))
+        ]
+      };
+    },
+
+    'resources/templates/list'() {
+      return {
+        resourceTemplates: [{
+          uriTemplate: `${TASK_RESOURCE_PREFIX}{id}`,
+          name: 'Task',
+          description: 'A single task, including its subtasks',
+          mimeType: 'application/json'
+        }]
+      };
+    },
+
+    async 'resources/read'(params = {}) {
+      const uri = params.uri;
+      const tasksData = await loadTasks();
+
+      if (uri === TASKS_RESOURCE_URI) {
+        return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(tasksData, null, 2) }] };
+      }
+
+      if (typeof uri === 'string' && uri.startsWith(TASK_RESOURCE_PREFIX)) {
+        const id = Number(uri.slice(TASK_RESOURCE_PREFIX.length));
+        const task = (tasksData.tasks || []).find(t => t.id === id);
+        if (task) {
+          return { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(task, null, 2) }] };
+        }
+      }
+
+      throw rpcError(INVALID_PARAMS, `Resource not found: ${uri}`);
+    }
+  };
+
+  /**
+   * Handle one JSON-RPC message
+   * @param {Object} message - Parsed JSON-RPC request or notification
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async function handleMessage(message) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      const id = message && message.id !== undefined ? message.id : null;
+      return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    // Notifications (notifications/initialized, notifications/cancelled, ...) get no response
+    if (message.id === undefined || message.id === null) {
+      return null;
+    }
+
+    try {
+      const method = methods[message.method];
+      if (!method) {
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+      if (!initialized && !['initialize', 'ping'].includes(message.method)) {
+        throw rpcError(INVALID_REQUEST, 'Server not initialized');
+      }
+
+      const result = await method(message.params);
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: Number.isInteger(error.code) ? error.code : INTERNAL_ERROR, message: error.message }
+      };
+    }
+  }
+
+  return { handleMessage };
+}
+
+/**
+ * Run the MCP server over stdio until the input closes
+ * stdout carries protocol messages only, so console output is redirected to stderr.
+ * @param {Object} streams - { input, output } (defaults to process.stdin/stdout)
+ * @returns {Promise<void>} Resolves when the input stream ends
+ */
+function startMCPServer({ input = process.stdin, output = process.stdout } = {}) {
+  console.log = console.error;
+  console.info = console.error;
+  console.warn = console.error;
+
+  const server = createMCPServer();
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // Messages are handled one at a time so tool calls never write tasks.json concurrently
+  let queue = Promise.resolve();
+
+  lines.on('line', line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      queue = queue.then(() => send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } }));
+      return;
+    }
+
+    queue = queue.then(async () => {
+      if (!Array.isArray(message)) {
+        const response = await server.handleMessage(message);
+        if (response) {
+          send(response);
+        }
+        return;
+      }
+
+      const responses = [];
+      for (const item of message) {
+        responses.push(await server.handleMessage(item));
+      }
+      const replies = responses.filter(Boolean);
+      if (replies.length > 0) {
+        send(replies);
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    lines.on('close', () => queue.then(() => resolve()));
+  });
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createMCPServer,
+  startMCPServer
+};
@@ -0,0 +1,184 @@
+/**
+ * Next task selection for Cursor Task Master
+ *
+ * `cursor-task next`, the MCP tools and utils.getNextTask all rank work with
+ * this module. Candidates are tasks without subtasks, subtasks, and tasks
+ * whose subtasks are all final, provided their status is selectable and their
+ * dependencies (and their parent's) are satisfied (see lib/workflow.js).
+ * Every candidate gets a score made of explained parts, so the choice can be
+ * shown with `next --explain`.
+ */
+
+const { buildDependencyGraph, resolveDependencies } = require('./dependencies');
+const { isFinal, isSelectable, isSatisfied, isStarted } = require('./workflow');
+
+// Points per ranking factor
+const SCORE_WEIGHTS = {
+  inProgress: 100,
+  parentInProgress: 40,
+  priority: { high: 30, medium: 20, low: 10 },
+  unblocks: 5,
+  simplicity: 1
+};
+
+/**
+ * Collect the unfinished items that depend on a node, directly or transitively
+ * @param {Map<string, Object>} graph - Dependency graph
+ * @param {Map<string, Array<string>>} dependents - Keys of the direct dependents of each node
+ * @param {string} key - Node key
+ * @returns {Set<string>} Keys of the dependent items that are not final
+ */
+function collectDownstream(graph, dependents, key) {
+  const found = new Set();
+  const queue = [key];
+
+  while (queue.length > 0) {
+    (dependents.get(queue.shift()) || []).forEach(dependent => {
+      if (!found.has(dependent) && dependent !== key && !isFinal(graph.get(dependent).item.status)) {
+        found.add(dependent);
+        queue.push(dependent);
+      }
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Score a candidate
+ * @param {Object} node - Graph node of the candidate
+ * @param {Set<string>} downstream - Unfinished items waiting on the candidate
+ * @returns {Object} Total score and its parts ({ score, reasons: [{ factor, points, detail }] })
+ */
+function scoreCandidate(node, downstream) {
+  const { item, parent } = node;
+  const reasons = [];
+
+  if (isStarted(item.status)) {
+    reasons.push({ factor: 'in-progress', points: SCORE_WEIGHTS.inProgress, detail: `already ${item.status}` });
+  } else if (parent && isStarted(parent.status)) {
+    reasons.push({ factor: 'parent-in-progress', points: SCORE_WEIGHTS.parentInProgress, detail: `task ${parent.id} is ${parent.status}` });
+  }
+
+  const priority = (parent || item).priority || 'medium';
+  reasons.push({
+    factor: 'priority',
+    points: SCORE_WEIGHTS.priority[priority] || SCORE_WEIGHTS.priority.medium,
+    detail: `${priority} priority${parent ? ` (task ${parent.id})` : ''}`
+  });
+
+  if (downstream.size > 0) {
+    reasons.push({
+      factor: 'unblocks',
+      points: SCORE_WEIGHTS.unblocks * downstream.size,
+      detail: `unblocks ${downstream.size} item(s): ${[...downstream].sort((a, b) => parseFloat(a) - parseFloat(b)).join(', ')}`
+    });
+  }
+
+  // Prefer quick wins; subtasks share their parent's complexity, so it does not apply to them
+  if (!parent && typeof item.complexity === 'number') {
+    reasons.push({
+      factor: 'complexity',
+      points: SCORE_WEIGHTS.simplicity * Math.max(0, 10 - item.complexity),
+      detail: `complexity ${item.complexity}/10`
+    });
+  }
+
+  return { score: reasons.reduce((total, reason) => total + reason.points, 0), reasons };
+}
+
+/**
+ * Rank everything that can be worked on now
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object} Candidates, best first, the unfinished items waiting on dependencies and those
+ *   whose status is not selectable ({ candidates: [{ id, type, title, status, score, reasons, task, parent }],
+ *   blocked: [{ id, type, task, waitingOn }], onHold: [{ id, type, title, status }] })
+ */
+function rankNextTasks(tasks) {
+  const graph = buildDependencyGraph(tasks);
+
+  const dependents = new Map();
+  graph.forEach(node => {
+    node.dependencies.forEach(dependency => {
+      dependents.set(dependency, [...(dependents.get(dependency) || []), node.key]);
+    });
+  });
+
+  const waitingOn = node => resolveDependencies(node.item, graph).filter(dependency => !isSatisfied(dependency.status));
+
+  const candidates = [];
+  const blocked = [];
+  const onHold = [];
+
+  graph.forEach(node => {
+    const { item, parent } = node;
+    if (isFinal(item.status)) {
+      return;
+    }
+
+    const id = parent ? node.key : item.id;
+    const type = parent ? 'subtask' : 'task';
+    const unmet = waitingOn(node);
+    if (unmet.length > 0) {
+      blocked.push({ id, type, task: item, waitingOn: unmet });
+      return;
+    }
+
+    // Statuses such as blocked, review or deferred wait for someone to change them
+    if (!isSelectable(item.status)) {
+      onHold.push({ id, type, title: item.title, status: item.status });
+      return;
+    }
+    if (parent && (isFinal(parent.status) || waitingOn(graph.get(String(parent.id))).length > 0)) {
+      return;
+    }
+
+    // Tasks are worked on through their subtasks until all of those are final
+    if (!parent && (item.subtasks || []).some(subtask => !isFinal(subtask.status))) {
+      return;
+    }
+
+    const downstream = collectDownstream(graph, dependents, node.key);
+    if (parent) {
+      collectDownstream(graph, dependents, String(parent.id)).forEach(key => downstream.add(key));
+    }
+
+    candidates.push({
+      id,
+      type,
+      title: item.title,
+      status: item.status,
+      ...scoreCandidate(node, downstream),
+      task: item,
+      parent
+    });
+  });
+
+  // Highest score first, then in ID order
+  const order = candidate => String(candidate.id).split('.').map(Number);
+  candidates.sort((a, b) => {
+    if (b.score !== a.score) {
+      return b.score - a.score;
+    }
+    const [aTask, aSubtask = 0] = order(a);
+    const [bTask, bSubtask = 0] = order(b);
+    return aTask - bTask || aSubtask - bSubtask;
+  });
+
+  return { candidates, blocked, onHold };
+}
+
+/**
+ * Pick the next task or subtask to work on
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object|null} Best candidate (see rankNextTasks), or null if nothing can be worked on
+ */
+function pickNextTask(tasks) {
+  return rankNextTasks(tasks).candidates[0] || null;
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  rankNextTasks,
+  pickNextTask
+};
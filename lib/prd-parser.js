@@ -0,0 +1,627 @@
+/**
+ * PRD parser for Cursor Task Master
+ *
+ * Turns a Markdown PRD into task drafts:
+ * - headings become epics (task groups); a single leading H1 is the document title
+ * - top-level list items (bulleted or numbered) become tasks
+ * - nested list items become subtasks
+ * - "Acceptance criteria" items (nested label or section heading) become acceptance criteria
+ * - "(depends on: 2, 5)" and "(after <title>)" become dependencies; numbers are
+ *   task positions in the PRD (sibling subtask positions inside nested items), and a
+ *   trailing "after <title>" counts when it names a task listed before it
+ * - "[high]", "[low]", "P0".."P3" markers become priorities
+ * - "{#key}" sets the stable key used to match tasks when the PRD is re-imported
+ */
+
+const { textSimilarity } = require('./utils');
+
+const TITLE_MATCH_THRESHOLD = 0.8;
+
+const PRIORITY_MARKERS = {
+  critical: 'high',
+  high: 'high',
+  medium: 'medium',
+  normal: 'medium',
+  low: 'low',
+  p0: 'high',
+  p1: 'high',
+  p2: 'medium',
+  p3: 'low',
+  p4: 'low'
+};
+
+const ACCEPTANCE_LABEL = /^(?:acceptance criteria|ac)\s*(?::\s*(.*))?$/i;
+const IGNORED_SECTIONS = /^(non[- ]?goals?|out of scope|open questions|references|glossary)$/i;
+
+/**
+ * Extract priority, dependency and stable key markers from an item's text
+ * @param {string} text - Raw list item text
+ * @param {Array<string>} titles - Titles of the tasks drafted so far, for an unquoted trailing "after <title>"
+ * @returns {Object} Clean title plus { priority, dependsOn, after, key }
+ */
+function extractMarkers(text, titles = []) {
+  let title = text;
+  let priority = null;
+  const dependsOn = [];
+  const after = [];
+  let key = null;
+
+  // Stable key: {#auth-login}
+  title = title.replace(/\{#([\w.-]+)\}/, (match, value) => {
+    key = value;
+    return '';
+  });
+
+  // (depends on: 2, 5) / (depends on #2 and #5) / (deps: 2)
+  title = title.replace(/\((?:depends on|deps|dependencies)\s*:?\s*([^)]*)\)/gi, (match, list) => {
+    (list.match(/\d+(?:\.\d+)?/g) || []).forEach(id => dependsOn.push(id));
+    return '';
+  });
+
+  // (after Login page) / after "Login page"
+  title = title.replace(/\(after\s+([^)]+)\)/gi, (match, name) => {
+    after.push(name.trim());
+    return '';
+  });
+  title = title.replace(/\bafter\s+"([^"]+)"/gi, (match, name) => {
+    after.push(name.trim());
+    return '';
+  });
+
+  // [high] / (low) / [P0] / P1
+  title = title.replace(/[[(](critical|high|medium|normal|low|p[0-4])[\])]/gi, (match, marker) => {
+    priority = priority || PRIORITY_MARKERS[marker.toLowerCase()];
+    return '';
+  });
+  title = title.replace(/\bP([0-4])\b:?/g, (match, level) => {
+    priority = priority || PRIORITY_MARKERS[`p${level}`];
+    return '';
+  });
+
+  title = title
+    .replace(/\*\*|__/g, '')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([.,;:])/g, '$1')
+    .replace(/^[\s:–—-]+|[\s:–—-]+$/g, '')
+    .trim();
+
+  // REST endpoints after Login page: only an exact title keeps "Redirect after login" intact
+  const known = new Set(titles.map(normalizeTitle));
+  const trailing = [...title.matchAll(/\s+after\s+/gi)]
+    .find(match => known.has(normalizeTitle(title.slice(match.index + match[0].length))));
+  if (trailing) {
+    after.push(title.slice(trailing.index + trailing[0].length).trim());
+    title = title.slice(0, trailing.index).replace(/[\s,;:–—-]+$/, '');
+  }
+
+  return { title, priority, dependsOn, after, key };
+}
+
+/**
+ * Clean up a heading's text (drops numbering like "2." or "2.1")
+ * @param {string} text - Raw heading text
+ * @returns {string} Heading title
+ */
+function cleanHeading(text) {
+  return text.replace(/^\d+(\.\d+)*\.?\s+/, '').replace(/\*\*|__/g, '').trim();
+}
+
+/**
+ * Parse a Markdown PRD into task drafts
+ * @param {string} content - PRD Markdown content
+ * @returns {Object} Document title and task drafts
+ *   ({ title, description, priority, epic, key, dependsOn, after, acceptanceCriteria, subtasks })
+ */
+function parseMarkdownPrd(content) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const h1Count = lines.filter(line => /^#\s+/.test(line)).length;
+
+  let documentTitle = null;
+  const headings = [];
+  const drafts = [];
+
+  let currentTask = null;
+  let currentTaskIndent = 0;
+  let currentSubtask = null;
+  let acceptanceIndent = null;
+  let acceptanceSection = false;
+  let ignoredSection = false;
+  let lastItem = null;
+  let inCodeBlock = false;
+
+  lines.forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) {
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const text = cleanHeading(heading[2]);
+
+      if (level === 1 && h1Count === 1 && drafts.length === 0 && !documentTitle) {
+        documentTitle = text;
+        return;
+      }
+
+      if (ACCEPTANCE_LABEL.test(text) && !ACCEPTANCE_LABEL.exec(text)[1]) {
+        // Criteria sections attach to the last task of the enclosing section
+        acceptanceSection = true;
+        lastItem = null;
+        return;
+      }
+
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, text });
+      acceptanceSection = false;
+      ignoredSection = IGNORED_SECTIONS.test(text);
+      currentTask = null;
+      currentSubtask = null;
+      acceptanceIndent = null;
+      lastItem = null;
+      return;
+    }
+
+    if (ignoredSection) {
+      return;
+    }
+
+    const item = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+    if (item) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      const text = item[2].trim();
+
+      if (acceptanceSection) {
+        const target = drafts[drafts.length - 1];
+        if (target) {
+          target.acceptanceCriteria.push(extractMarkers(text).title);
+        }
+        return;
+      }
+
+      if (acceptanceIndent !== null && indent > acceptanceIndent && currentTask) {
+        currentTask.acceptanceCriteria.push(extractMarkers(text).title);
+        lastItem = null;
+        return;
+      }
+      acceptanceIndent = null;
+
+      if (!currentTask || indent <= currentTaskIndent) {
+        const markers = extractMarkers(text, drafts.map(draft => draft.title));
+        currentTask = {
+          title: markers.title,
+          description: '',
+          priority: markers.priority,
+          epic: headings.length > 0 ? headings[headings.length - 1].text : null,
+          key: markers.key,
+          dependsOn: markers.dependsOn,
+          after: markers.after,
+          acceptanceCriteria: [],
+          subtasks: []
+        };
+        currentTaskIndent = indent;
+        currentSubtask = null;
+        drafts.push(currentTask);
+        lastItem = currentTask;
+        return;
+      }
+
+      const label = text.match(ACCEPTANCE_LABEL);
+      if (label) {
+        if (label[1]) {
+          currentTask.acceptanceCriteria.push(extractMarkers(label[1]).title);
+        }
+        acceptanceIndent = indent;
+        lastItem = null;
+        return;
+      }
+
+      if (currentSubtask && indent > currentSubtask.indent) {
+        // Deeper nesting is folded into the subtask's description
+        const detail = extractMarkers(text).title;
+        currentSubtask.description = currentSubtask.description ?
+          `${currentSubtask.description}\n- ${detail}` :
+          `- ${detail}`;
+        return;
+      }
+
+      const markers = extractMarkers(text);
+      currentSubtask = {
+        title: markers.title,
+        description: '',
+        dependsOn: markers.dependsOn,
+        indent
+      };
+      currentTask.subtasks.push(currentSubtask);
+      lastItem = currentSubtask;
+      return;
+    }
+
+    // Indented continuation lines extend the description of the last item
+    if (line.trim() && /^\s+/.test(line) && lastItem) {
+      lastItem.description = lastItem.description ?
+        `${lastItem.description} ${line.trim()}` :
+        line.trim();
+      return;
+    }
+
+    if (!line.trim()) {
+      return;
+    }
+
+    // Unindented prose ends the current list
+    currentTask = null;
+    currentSubtask = null;
+    acceptanceIndent = null;
+    lastItem = null;
+  });
+
+  drafts.forEach(draft => {
+    draft.subtasks.forEach(subtask => delete subtask.indent);
+  });
+
+  return { title: documentTitle, drafts };
+}
+
+/**
+ * Normalize a title for matching
+ * @param {string} title - Title to normalize
+ * @returns {string} Lowercase title with punctuation collapsed
+ */
+function normalizeTitle(title) {
+  return String(title).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Derive the stable key that links a task to its PRD requirement
+ * @param {Object} draft - Task draft
+ * @returns {string} Explicit `{#key}` marker, or a slug of the title
+ */
+function getPrdKey(draft) {
+  return draft.key || normalizeTitle(draft.title).replace(/\s+/g, '-');
+}
+
+/**
+ * Find the draft an "after <title>" reference points to
+ * @param {Array<Object>} drafts - Task drafts
+ * @param {string} name - Referenced title
+ * @returns {number} Index of the matching draft, or -1
+ */
+function findDraftByTitle(drafts, name) {
+  const target = normalizeTitle(name);
+  if (!target) {
+    return -1;
+  }
+
+  const exact = drafts.findIndex(draft => normalizeTitle(draft.title) === target);
+  if (exact !== -1) {
+    return exact;
+  }
+
+  return drafts.findIndex(draft => {
+    const title = normalizeTitle(draft.title);
+    return title.startsWith(target) || title.includes(target);
+  });
+}
+
+/**
+ * Turn task drafts into tasks.json task objects
+ * Draft `dependsOn` entries are 1-based positions in the draft list (or
+ * "position.subtask" for subtasks); `after` entries are titles. In subtask
+ * drafts, plain numbers are positions of sibling subtasks.
+ * @param {Array<Object>} drafts - Task drafts from the parser or the Cursor agent
+ * @param {Object} options - { startId: first task ID to assign (defaults to 1) }
+ * @returns {Array<Object>} Tasks
+ */
+function buildTasksFromDrafts(drafts, options = {}) {
+  const startId = options.startId || 1;
+  const now = new Date().toISOString();
+  const toId = position => startId + position - 1;
+
+  return drafts.map((draft, index) => {
+    const dependencies = [];
+    const addDependency = dependency => {
+      if (dependency !== toId(index + 1) && !dependencies.includes(dependency)) {
+        dependencies.push(dependency);
+      }
+    };
+
+    (draft.dependsOn || []).forEach(reference => {
+      const [position, subtaskId] = String(reference).split('.').map(Number);
+      if (position >= 1 && position <= drafts.length) {
+        addDependency(subtaskId ? `${toId(position)}.${subtaskId}` : toId(position));
+      }
+    });
+
+    (draft.after || []).forEach(name => {
+      const match = findDraftByTitle(drafts, name);
+      if (match !== -1) {
+        addDependency(toId(match + 1));
+      }
+    });
+
+    const task = {
+      id: toId(index + 1),
+      title: draft.title,
+      description: draft.description || `Implement: ${draft.title}`,
+      status: 'pending',
+      priority: draft.priority || 'medium',
+      complexity: null,
+      dependencies,
+      subtasks: (draft.subtasks || []).map((subtask, subtaskIndex) => ({
+        id: subtaskIndex + 1,
+        title: subtask.title,
+        description: subtask.description || '',
+        status: 'pending',
+        // Plain numbers in a subtask refer to its siblings
+        dependencies: (subtask.dependsOn || [])
+          .map(reference => String(reference).split('.').map(Number))
+          .filter(([position, subtaskId]) => subtaskId ?
+            position >= 1 && position <= drafts.length :
+            position >= 1 && position <= draft.subtasks.length && position !== subtaskIndex + 1)
+          .map(([position, subtaskId]) => subtaskId ?
+            `${toId(position)}.${subtaskId}` :
+            `${toId(index + 1)}.${position}`)
+      })),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    task.prdKey = getPrdKey(draft);
+    // What the PRD itself said, so a re-import can tell hand edits from imported values
+    task.prdImported = { description: draft.description || null, priority: draft.priority || null };
+    if (draft.epic) {
+      task.epic = draft.epic;
+    }
+    if (draft.acceptanceCriteria && draft.acceptanceCriteria.length > 0) {
+      task.acceptanceCriteria = draft.acceptanceCriteria;
+    }
+
+    return task;
+  });
+}
+
+/**
+ * Find the existing task a parsed PRD task corresponds to
+ * Matches on the stable PRD key first, then on the most similar title.
+ * @param {Object} parsed - Task built from the PRD
+ * @param {Array<Object>} candidates - Existing tasks not matched yet
+ * @returns {Object|null} Matching task and how it matched ("key" or "title")
+ */
+function findMatchingTask(parsed, candidates) {
+  const byKey = candidates.find(task => task.prdKey && task.prdKey === parsed.prdKey);
+  if (byKey) {
+    return { task: byKey, matchedBy: 'key' };
+  }
+
+  let best = null;
+  candidates.forEach(task => {
+    const score = textSimilarity(task.title, parsed.title);
+    if (score >= TITLE_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { task, matchedBy: 'title', score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Value buildTasksFromDrafts uses when the PRD gives none
+ * @param {string} field - "description" or "priority"
+ * @param {string} title - Task title
+ * @returns {string} Default value
+ */
+function getPrdDefault(field, title) {
+  return field === 'description' ? `Implement: ${title}` : 'medium';
+}
+
+/**
+ * Refresh a PRD-owned field of a matched task
+ * The field is overwritten when it still holds what the previous import put
+ * there, or when the PRD now says something new. Hand edits survive a
+ * re-import of an unchanged requirement, and defaults never replace them.
+ * @param {Object} task - Existing task (mutated in place)
+ * @param {Object} parsed - Task built from the PRD
+ * @param {string} field - "description" or "priority"
+ * @param {string} previousTitle - Title of the task before the merge
+ */
+function mergePrdField(task, parsed, field, previousTitle) {
+  const supplied = parsed.prdImported[field];
+  const previous = task.prdImported ? task.prdImported[field] : undefined;
+  const imported = previous || getPrdDefault(field, previousTitle);
+
+  if (task[field] === imported || !task[field]) {
+    task[field] = supplied || getPrdDefault(field, task.title);
+  } else if (supplied && supplied !== previous) {
+    task[field] = supplied;
+  }
+}
+
+/**
+ * Merge tasks parsed from a re-imported PRD into the existing task list
+ * New requirements are added with fresh IDs. In "merge" mode, matched tasks get
+ * their PRD-owned fields (description, priority, epic, acceptance criteria and
+ * new dependencies) refreshed, and tasks whose requirement disappeared from the
+ * PRD are flagged with `prdRemoved`. Descriptions and priorities edited by hand
+ * are kept unless the PRD changed them. Statuses and existing subtasks are never changed.
+ * @param {Array<Object>} existingTasks - Current tasks (mutated in place)
+ * @param {Array<Object>} parsedTasks - Tasks built from the PRD with IDs starting at 1
+ * @param {Object} options - { mode: "merge" (default) or "append" }
+ * @returns {Object} IDs of added, updated, unchanged, flagged and restored tasks
+ */
+function mergePrdTasks(existingTasks, parsedTasks, options = {}) {
+  const mode = options.mode || 'merge';
+  const now = new Date().toISOString();
+  const result = { added: [], updated: [], unchanged: [], flagged: [], restored: [] };
+
+  const unmatched = [...existingTasks];
+  const matches = parsedTasks.map(parsed => {
+    const match = findMatchingTask(parsed, unmatched);
+    if (match) {
+      unmatched.splice(unmatched.indexOf(match.task), 1);
+    }
+    return match;
+  });
+
+  // Map PRD positions to final task IDs
+  let nextId = existingTasks.reduce((max, task) => Math.max(max, task.id), 0) + 1;
+  const idMap = new Map();
+  parsedTasks.forEach((parsed, index) => {
+    idMap.set(parsed.id, matches[index] ? matches[index].task.id : nextId++);
+  });
+
+  const remapDependency = dependency => {
+    if (typeof dependency === 'string' && dependency.includes('.')) {
+      const [position, subtaskId] = dependency.split('.').map(Number);
+      return `${idMap.get(position)}.${subtaskId}`;
+    }
+    return idMap.get(dependency);
+  };
+
+  parsedTasks.forEach((parsed, index) => {
+    const match = matches[index];
+    const dependencies = parsed.dependencies.map(remapDependency);
+
+    if (!match) {
+      existingTasks.push({
+        ...parsed,
+        id: idMap.get(parsed.id),
+        dependencies,
+        subtasks: parsed.subtasks.map(subtask => ({
+          ...subtask,
+          dependencies: subtask.dependencies.map(remapDependency)
+        }))
+      });
+      result.added.push(idMap.get(parsed.id));
+      return;
+    }
+
+    const task = match.task;
+    if (mode !== 'merge') {
+      result.unchanged.push(task.id);
+      return;
+    }
+
+    const before = JSON.stringify(task);
+    const previousTitle = task.title;
+
+    if (match.matchedBy === 'key') {
+      task.title = parsed.title;
+    }
+    task.prdKey = parsed.prdKey;
+    mergePrdField(task, parsed, 'description', previousTitle);
+    mergePrdField(task, parsed, 'priority', previousTitle);
+    task.prdImported = parsed.prdImported;
+    if (parsed.epic) {
+      task.epic = parsed.epic;
+    }
+    if (parsed.acceptanceCriteria) {
+      task.acceptanceCriteria = parsed.acceptanceCriteria;
+    }
+
+    const currentDependencies = task.dependencies || [];
+    const newDependencies = dependencies.filter(dependency =>
+      dependency !== task.id && !currentDependencies.some(existing => String(existing) === String(dependency))
+    );
+    task.dependencies = [...currentDependencies, ...newDependencies];
+
+    // Only seed subtasks on tasks that have none; existing subtasks may hold progress
+    if ((!task.subtasks || task.subtasks.length === 0) && parsed.subtasks.length > 0) {
+      task.subtasks = parsed.subtasks.map(subtask => ({
+        ...subtask,
+        dependencies: subtask.dependencies.map(remapDependency)
+      }));
+    }
+
+    if (task.prdRemoved) {
+      delete task.prdRemoved;
+      result.restored.push(task.id);
+    }
+
+    if (JSON.stringify(task) !== before) {
+      task.updatedAt = now;
+      result.updated.push(task.id);
+    } else {
+      result.unchanged.push(task.id);
+    }
+  });
+
+  if (mode === 'merge') {
+    unmatched
+      .filter(task => task.prdKey && !task.prdRemoved)
+      .forEach(task => {
+        task.prdRemoved = true;
+        task.updatedAt = now;
+        result.flagged.push(task.id);
+      });
+  }
+
+  return result;
+}
+
+/**
+ * JSON Schema of the Cursor agent's answer when drafting tasks from a prose PRD
+ */
+const PRD_DRAFTS_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+          epic: { type: ['string', 'null'] },
+          dependsOn: { type: 'array', items: { type: ['integer', 'string'] } },
+          acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+          subtasks: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['title'],
+              properties: {
+                title: { type: 'string', minLength: 1 },
+                description: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the prompt asking the Cursor agent to draft tasks from a PRD
+ * @param {string} content - PRD content
+ * @returns {string} Prompt text
+ */
+function buildPrdPrompt(content) {
+  return [
+    'Break the following product requirements document into implementation tasks.',
+    'Group tasks by the feature area they belong to ("epic"), list subtasks for larger tasks,',
+    'and express dependencies as 1-based positions of earlier tasks in your list ("dependsOn").',
+    '',
+    content
+  ].join('\n');
+}
+
+module.exports = {
+  extractMarkers,
+  parseMarkdownPrd,
+  buildTasksFromDrafts,
+  normalizeTitle,
+  mergePrdTasks,
+  PRD_DRAFTS_SCHEMA,
+  buildPrdPrompt
+};
@@ -0,0 +1,905 @@
+/**
+ * Console rendering for Cursor Task Master
+ *
+ * taskManager functions return plain result objects. The CLI prints them
+ * with these renderers, or as JSON when a command is run with --json.
+ */
+
+const chalk = require('chalk');
+const { formatTask, createTableFromTasks, diffLines } = require('./utils');
+const { getStatus, getStatusColor } = require('./workflow');
+const { getScheduleSettings, formatEstimate } = require('./schedule');
+
+/**
+ * Get the color used for a status
+ * @param {string} status - Task status ("missing" for unknown dependencies)
+ * @returns {Function} chalk color
+ */
+function statusColor(status) {
+  if (status === 'missing') {
+    return chalk.red;
+  }
+  return getStatus(status) ? getStatusColor(status) : chalk.dim;
+}
+
+/**
+ * Shorten text to a maximum length
+ * @param {string} text - Text to shorten
+ * @param {number} length - Maximum length
+ * @returns {string} Text, ending in "..." if it was cut
+ */
+function truncate(text, length) {
+  const value = text || '';
+  return value.length > length ? `${value.substring(0, length)}...` : value;
+}
+
+// Headers and cells of the columns `list` can show, for tasks and for subtasks (under their task)
+const LIST_COLUMNS = {
+  id: {
+    header: 'ID',
+    // Tasks listed from several tags are critical as "<tag>:<id>"
+    task: (task, critical) => (critical.has(task.tag ? `${task.tag}:${task.id}` : task.id) ? chalk.red.bold(task.id) : task.id),
+    subtask: (subtask, task) => chalk.dim(`${task.id}.${subtask.id}`)
+  },
+  tag: {
+    header: 'Tag',
+    task: task => task.tag || '',
+    subtask: () => ''
+  },
+  title: {
+    header: 'Title',
+    task: task => truncate(task.title, 40),
+    subtask: subtask => chalk.dim(`  ${truncate(subtask.title, 38)}`)
+  },
+  status: {
+    header: 'Status',
+    task: task => statusColor(task.status)(task.status),
+    subtask: subtask => statusColor(subtask.status)(subtask.status)
+  },
+  priority: {
+    header: 'Priority',
+    task: task => task.priority || 'medium',
+    subtask: () => ''
+  },
+  dependencies: {
+    header: 'Dependencies',
+    task: task => (task.dependencies || []).join(', ') || 'None',
+    subtask: subtask => chalk.dim((subtask.dependencies || []).join(', '))
+  },
+  complexity: {
+    header: 'Complexity',
+    task: task => (typeof task.complexity === 'number' ? task.complexity : ''),
+    subtask: () => ''
+  },
+  estimate: {
+    header: 'Estimate',
+    task: task => (typeof task.estimate === 'number' ? formatEstimate(task.estimate, getScheduleSettings()) : ''),
+    subtask: subtask => (typeof subtask.estimate === 'number' ? chalk.dim(formatEstimate(subtask.estimate, getScheduleSettings())) : '')
+  },
+  epic: {
+    header: 'Epic',
+    task: task => truncate(task.epic, 25),
+    subtask: () => ''
+  },
+  createdAt: {
+    header: 'Created',
+    task: task => (task.createdAt || '').substring(0, 10),
+    subtask: () => ''
+  },
+  updatedAt: {
+    header: 'Updated',
+    task: task => (task.updatedAt || '').substring(0, 10),
+    subtask: () => ''
+  }
+};
+
+/**
+ * Print the result of listTasks as a table of the chosen columns
+ * Subtasks, when included, are listed under their task with dotted IDs; the IDs
+ * of tasks on the critical path are red.
+ * @param {Object} result - { tasks, total, counts, critical, columns }
+ */
+function renderTaskList(result) {
+  if (result.tasks.length === 0) {
+    console.log(chalk.yellow('No tasks found matching the criteria.'));
+    return;
+  }
+
+  console.log(chalk.blue('\nTask List:'));
+
+  const critical = new Set(result.critical || []);
+  const columns = result.columns.filter(column => LIST_COLUMNS[column]);
+  const row = cell => {
+    const values = {};
+    columns.forEach(column => {
+      values[LIST_COLUMNS[column].header] = cell(LIST_COLUMNS[column]);
+    });
+    return values;
+  };
+
+  const rows = [];
+  result.tasks.forEach(task => {
+    rows.push(row(column => column.task(task, critical)));
+    (task.subtasks || []).forEach(subtask => {
+      rows.push(row(column => column.subtask(subtask, task)));
+    });
+  });
+
+  console.log(createTableFromTasks(rows));
+
+  const counts = Object.entries(result.counts)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${status}: ${count}`)
+    .join(', ');
+  const shown = result.tasks.length < result.total ? `Showing ${result.tasks.length} of ${result.total}` : `Total: ${result.total}`;
+  console.log(chalk.blue(`\n${shown} task(s)`) + chalk.dim(` (all tasks: ${counts})`));
+  if (critical.size > 0) {
+    console.log(chalk.red(`Critical path: ${[...critical].join(', ')}`) + chalk.dim(' (see "cursor-task schedule")'));
+  }
+}
+
+/**
+ * Print the result of showNextTask
+ * @param {Object} result - { next, candidates, blocked, onHold }
+ * @param {Object} options - { explain: also show the score of the pick and the other candidates }
+ */
+function renderNextTask(result, options = {}) {
+  const { next, candidates, blocked, onHold } = result;
+
+  if (next) {
+    console.log(chalk.green(`\nNext ${next.type} to work on:`));
+    console.log(next.parent ? formatTask(next.task, true, true, next.parent.id) : formatTask(next.task, true));
+    if (next.critical) {
+      console.log(chalk.red(`On the critical path: delaying this ${next.type} delays the project.`));
+    }
+
+    if (options.explain) {
+      console.log(chalk.blue(`\nWhy (score ${next.score}):`));
+      next.reasons.forEach(reason => console.log(`${`+${reason.points}`.padStart(6)}  ${reason.detail}`));
+
+      if (candidates.length > 1) {
+        console.log(chalk.blue('\nOther candidates:'));
+        candidates.slice(1, 6).forEach(candidate => {
+          const critical = candidate.critical ? chalk.red(' (critical)') : '';
+          console.log(chalk.dim(`  ${String(candidate.score).padStart(4)}  ${candidate.id}: ${truncate(candidate.title, 50)} [${candidate.status}]`) + critical);
+        });
+        if (candidates.length > 6) {
+          console.log(chalk.dim(`  ... and ${candidates.length - 6} more`));
+        }
+      }
+    }
+    return;
+  }
+
+  if (blocked.length === 0 && onHold.length === 0) {
+    console.log(chalk.green('All tasks are complete! 🎉'));
+    return;
+  }
+
+  console.log(chalk.yellow('\nNo available tasks found.'));
+
+  if (onHold.length > 0) {
+    console.log(chalk.yellow('\nOn hold:'));
+    onHold.forEach(item => {
+      console.log(statusColor(item.status)(`  - ${item.id}: ${truncate(item.title, 50)} [${item.status}]`));
+    });
+  }
+
+  if (blocked.length === 0) {
+    return;
+  }
+
+  console.log(chalk.yellow('\nBlocked tasks:'));
+  blocked.slice(0, 3).forEach(({ id, type, task, waitingOn }) => {
+    console.log(chalk.dim(type === 'subtask' ? formatTask(task, false, true, String(id).split('.')[0]) : formatTask(task)));
+    console.log(chalk.red('  Waiting on:'));
+    waitingOn.forEach(dependency => {
+      console.log(chalk.red(`  - ${dependency.id}: ${dependency.title || '(missing)'} [${dependency.status}]`));
+    });
+  });
+}
+
+/**
+ * Print the result of showTask
+ * @param {Object} result - { task, parent, dependencies }
+ */
+function renderTask(result) {
+  const { task, parent, dependencies } = result;
+
+  console.log(parent ? formatTask(task, false, true, parent.id) : formatTask(task));
+  if (parent) {
+    console.log(chalk.dim(`Subtask of task ${parent.id}: ${parent.title} [${parent.status}]`));
+  }
+  if (typeof task.estimate === 'number') {
+    console.log(chalk.dim(`Estimate: ${formatEstimate(task.estimate, getScheduleSettings())}`));
+  }
+  if (task.description) {
+    console.log(`\n${task.description}`);
+  }
+
+  if (dependencies.length > 0) {
+    console.log(chalk.blue('\nDependencies:'));
+    dependencies.forEach(dependency => {
+      console.log(statusColor(dependency.status)(`- ${dependency.id}: ${dependency.title || '(missing)'} [${dependency.status}]`));
+    });
+  }
+
+  if (task.details) {
+    console.log(chalk.blue('\nDetails:'));
+    console.log(task.details);
+  }
+
+  if (task.implementation) {
+    console.log(chalk.blue('\nImplementation:'));
+    console.log(task.implementation);
+  }
+
+  if (task.testStrategy) {
+    console.log(chalk.blue('\nTest Strategy:'));
+    console.log(task.testStrategy);
+  }
+
+  if (task.commits && task.commits.length > 0) {
+    console.log(chalk.blue('\nCommits:'));
+    task.commits.forEach(commit => {
+      const closes = commit.action === 'closes' ? chalk.green(' (closes)') : '';
+      console.log(`- ${chalk.yellow(commit.sha.substring(0, 7))} ${commit.subject || ''}${closes} ${chalk.dim(`${commit.author || ''}, ${commit.date || ''}`)}`);
+    });
+  }
+
+  // Show subtasks if any
+  if (task.subtasks && task.subtasks.length > 0) {
+    console.log(chalk.blue('\nSubtasks:'));
+    task.subtasks.forEach(subtask => {
+      console.log(statusColor(subtask.status)(`- ${subtask.id}: ${subtask.title} [${subtask.status}]`));
+    });
+  }
+}
+
+/**
+ * Print the result of setTaskStatus
+ * @param {Object} result - { status, updated, unchanged, notFound, rejected, rolledUp }
+ */
+function renderStatusUpdate(result) {
+  console.log(chalk.green(`Updated ${result.updated.length} task(s) to status: ${result.status}`));
+
+  if (result.unchanged.length > 0) {
+    console.log(chalk.dim(`Already ${result.status}: ${result.unchanged.join(', ')}`));
+  }
+  if (result.notFound.length > 0) {
+    console.log(chalk.yellow(`No tasks found with IDs: ${result.notFound.join(', ')}`));
+  }
+  if (result.rejected.length > 0) {
+    const allowed = getStatus(result.status).from.join(', ');
+    const rejected = result.rejected.map(({ id, from }) => `${id} (${from})`).join(', ');
+    console.log(chalk.yellow(`Cannot change to ${result.status}, only allowed from ${allowed}: ${rejected}`));
+  }
+  result.rolledUp.forEach(({ id, from, to }) => {
+    console.log(statusColor(to)(`Task ${id} changed from ${from} to ${to} to follow its subtasks`));
+  });
+}
+
+/**
+ * Print the notice that the Cursor agent failed and a fallback was used
+ * @param {string} agentError - The agent's error message (nothing is printed without one)
+ * @param {string} fallback - What was used instead, e.g. "using templates"
+ */
+function renderAgentFallback(agentError, fallback) {
+  if (agentError) {
+    console.log(chalk.yellow(`Cursor agent unavailable (${agentError}), ${fallback}.`));
+  }
+}
+
+/**
+ * Describe a dependency issue for display
+ * @param {Object} issue - Issue from findDependencyIssues/fixDependencyIssues
+ * @returns {string} Human-readable description
+ */
+function describeDependencyIssue(issue) {
+  switch (issue.type) {
+    case 'invalid':
+      return `Task ${issue.taskId} has an invalid dependency ID: ${issue.dependencyId}`;
+    case 'self':
+      return `Task ${issue.taskId} depends on itself`;
+    case 'parent':
+      return `Subtask ${issue.taskId} depends on its own task ${issue.dependencyId}`;
+    case 'missing':
+      return `Task ${issue.taskId} depends on missing task ${issue.dependencyId}`;
+    case 'duplicate':
+      return `Task ${issue.taskId} lists dependency ${issue.dependencyId} more than once`;
+    case 'cycle':
+      return `Circular dependency: ${issue.cycle.join(' -> ')}`;
+    default:
+      return `Task ${issue.taskId}: ${issue.type} dependency ${issue.dependencyId}`;
+  }
+}
+
+/**
+ * Print the result of initializeTaskSystem
+ * @param {Object} result - { file, prd, method, agentError, prose, tasks }
+ */
+function renderInit(result) {
+  if (result.prd) {
+    renderAgentFallback(result.agentError, 'using the Markdown parser');
+    if (result.prose) {
+      console.log(chalk.yellow('No list items found in the PRD. For prose PRDs, try "cursor-task init --prd <path> --ai".'));
+    }
+    const subtaskCount = result.tasks.reduce((count, task) => count + task.subtasks.length, 0);
+    console.log(chalk.green(`Created ${result.tasks.length} tasks and ${subtaskCount} subtasks from ${result.prd}`));
+  } else {
+    console.log(chalk.yellow('No PRD provided. Created an empty tasks file.'));
+  }
+  console.log(chalk.green(`Tasks file created at: ${result.file}`));
+}
+
+/**
+ * Print the result of parsePrd
+ * @param {Object} result - { mode, agentError, added, updated, unchanged, flaggedTasks, dependencyIssues }
+ */
+function renderPrdImport(result) {
+  renderAgentFallback(result.agentError, 'using the Markdown parser');
+
+  console.log(chalk.green(`\nPRD imported (${result.mode} mode):`));
+  console.log(`  Added:     ${result.added.length > 0 ? result.added.join(', ') : 'none'}`);
+  if (result.mode === 'merge') {
+    console.log(`  Updated:   ${result.updated.length > 0 ? result.updated.join(', ') : 'none'}`);
+  }
+  console.log(`  Unchanged: ${result.unchanged.length}`);
+
+  if (result.flaggedTasks.length > 0) {
+    console.log(chalk.yellow('\nThese tasks no longer appear in the PRD and were flagged with "prdRemoved":'));
+    result.flaggedTasks.forEach(task => {
+      console.log(chalk.yellow(`  - ${task.id}: ${task.title} [${task.status}]`));
+    });
+  }
+
+  if (result.dependencyIssues.length > 0) {
+    console.log(chalk.yellow('\nThe imported dependencies have issues. Run "cursor-task validate-dependencies" for details.'));
+  }
+}
+
+/**
+ * Print the result of expandTasks
+ * @param {Object} result - { expanded, skipped }
+ */
+function renderExpansion(result) {
+  result.skipped.forEach(id => {
+    console.log(chalk.yellow(`Task ${id} already has subtasks. Use --force to regenerate.`));
+  });
+  result.expanded.forEach(({ id, title, subtasks, source, agentError, trashEntry }) => {
+    renderAgentFallback(agentError, 'using templates');
+    console.log(chalk.green(`Created ${subtasks} subtask(s) for task ${id}: ${title} (${source})`));
+    if (trashEntry !== null) {
+      console.log(chalk.dim(`Previous subtasks of task ${id} saved to trash (restore with: cursor-task restore-subtasks --id ${id} --entry ${trashEntry})`));
+    }
+  });
+  console.log(chalk.green(`\nExpanded ${result.expanded.length} task(s), skipped ${result.skipped.length}`));
+}
+
+/**
+ * Print the result of addDependency or removeDependency
+ * @param {boolean} added - Whether the dependency was being added
+ * @returns {Function} Renderer for { taskId, dependencyId, changed }
+ */
+function renderDependencyChange(added) {
+  return ({ taskId, dependencyId, changed }) => {
+    if (!changed) {
+      console.log(chalk.yellow(added ?
+        `Task ${taskId} already depends on ${dependencyId}.` :
+        `Task ${taskId} does not depend on ${dependencyId}.`));
+    } else {
+      console.log(chalk.green(added ?
+        `Task ${taskId} now depends on ${dependencyId}` :
+        `Removed dependency ${dependencyId} from task ${taskId}`));
+    }
+  };
+}
+
+/**
+ * Print the result of validateDependencies
+ * @param {Object} result - { valid, issues }
+ */
+function renderDependencyValidation(result) {
+  if (result.valid) {
+    console.log(chalk.green('All dependencies are valid.'));
+    return;
+  }
+  console.log(chalk.red(`Found ${result.issues.length} dependency issue(s):`));
+  result.issues.forEach(issue => console.log(chalk.red(`  - ${describeDependencyIssue(issue)}`)));
+  console.log(chalk.yellow('\nRun "cursor-task fix-dependencies" to fix them automatically.'));
+}
+
+/**
+ * Print the result of fixDependencies
+ * @param {Object} result - { changes }
+ */
+function renderDependencyFix(result) {
+  if (result.changes.length === 0) {
+    console.log(chalk.green('No dependency issues found. Nothing to fix.'));
+    return;
+  }
+  console.log(chalk.green(`Fixed ${result.changes.length} dependency issue(s):`));
+  result.changes.forEach(change => {
+    const action = change.type === 'cycle' ?
+      ` (removed dependency ${change.taskId} -> ${change.dependencyId})` :
+      ' (removed)';
+    console.log(chalk.dim(`  - ${describeDependencyIssue(change)}${action}`));
+  });
+}
+
+/**
+ * Print the result of analyzeComplexity
+ * @param {Object} result - Report with { meta, complexityAnalysis, reportPath, agentError }
+ */
+function renderComplexityAnalysis(result) {
+  if (result.complexityAnalysis.length === 0) {
+    console.log(chalk.yellow('No tasks to analyze.'));
+    return;
+  }
+  renderAgentFallback(result.agentError, 'using heuristic scoring');
+
+  const { threshold } = result.meta;
+  const complexCount = result.complexityAnalysis.filter(entry => entry.complexityScore > threshold).length;
+  console.log(chalk.green(`Analyzed ${result.complexityAnalysis.length} task(s); ${complexCount} scored above ${threshold}.`));
+  console.log(chalk.green(`Report saved to: ${result.reportPath}`));
+  console.log(chalk.dim('Run "cursor-task complexity-report" to view it.'));
+}
+
+/**
+ * Print the result of showComplexityReport as a table, the most complex tasks first
+ * @param {Object} result - { meta, complexityAnalysis, threshold }
+ */
+function renderComplexityReport(result) {
+  const { meta, complexityAnalysis: entries, threshold } = result;
+
+  console.log(chalk.blue('\nTask Complexity Report'));
+  console.log(chalk.dim(`Generated: ${meta.generatedAt || 'unknown'} (${meta.method || 'unknown'} analysis), threshold: ${threshold}`));
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('\nThe report contains no tasks.'));
+    return;
+  }
+
+  const rows = entries.map(entry => {
+    const highlight = entry.complexityScore > threshold ? chalk.red : text => text;
+    return {
+      ID: highlight(String(entry.taskId)),
+      Title: highlight(truncate(entry.taskTitle, 40)),
+      Score: highlight(String(entry.complexityScore)),
+      Subtasks: entry.recommendedSubtasks,
+      Reasoning: truncate(entry.reasoning, 60)
+    };
+  });
+
+  console.log(`\n${createTableFromTasks(rows)}`);
+
+  const complexEntries = entries.filter(entry => entry.complexityScore > threshold);
+  if (complexEntries.length > 0) {
+    console.log(chalk.yellow(`\n${complexEntries.length} task(s) scored above ${threshold}. Suggested expansions:`));
+    complexEntries.forEach(entry => {
+      console.log(`  ${chalk.cyan(entry.expansionCommand)}`);
+    });
+  } else {
+    console.log(chalk.green(`\nNo tasks scored above ${threshold}.`));
+  }
+}
+
+/**
+ * Print the changes updateTasks proposes, as a colored diff of each changed field
+ * @param {Array<Object>} changes - { id, title, description: { before, after }, implementation: { before, after } }
+ */
+function renderTaskUpdateDiff(changes) {
+  changes.forEach(change => {
+    console.log(chalk.bold(`\nTask ${change.id}: ${change.title}`));
+    [['Description', change.description], ['Implementation', change.implementation]].forEach(([label, { before, after }]) => {
+      if (before === after) {
+        return;
+      }
+      console.log(chalk.dim(`  ${label}:`));
+      diffLines(before, after).forEach(({ type, line }) => {
+        if (type === 'removed') {
+          console.log(chalk.red(`    - ${line}`));
+        } else if (type === 'added') {
+          console.log(chalk.green(`    + ${line}`));
+        } else {
+          console.log(chalk.dim(`      ${line}`));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Print the result of updateTasks
+ * @param {Object} result - { targets, updated, changes, applied, agentError }
+ * @param {Object} options - { yes: the changes were applied without showing them for confirmation }
+ */
+function renderTaskUpdate(result, options = {}) {
+  if (result.targets.length === 0) {
+    console.log(chalk.yellow('No tasks to update.'));
+    return;
+  }
+  renderAgentFallback(result.agentError, 'appending the change as an implementation note');
+  if (result.changes.length === 0) {
+    console.log(chalk.yellow('The update does not change any task.'));
+    return;
+  }
+  if (!result.applied) {
+    console.log(chalk.yellow('Update cancelled.'));
+    return;
+  }
+  if (options.yes) {
+    renderTaskUpdateDiff(result.changes);
+  }
+  console.log(chalk.green(`\nUpdated ${result.updated.length} task(s): ${result.updated.join(', ')}`));
+}
+
+/**
+ * Print the result of generateTaskFiles
+ * @param {Object} result - { directory, generated, removed }
+ */
+function renderTaskFiles(result) {
+  console.log(chalk.green(`Generated ${result.generated.length} task file(s) in ${result.directory}`));
+  if (result.removed.length > 0) {
+    console.log(chalk.dim(`Removed ${result.removed.length} file(s) of deleted tasks: ${result.removed.join(', ')}`));
+  }
+}
+
+/**
+ * Print the result of syncTaskFiles
+ * @param {Object} result - { file, changed, ignored, skipped, rejected, rolledUp }
+ */
+function renderTaskSync(result) {
+  result.skipped.forEach(({ file, reason }) => {
+    console.log(chalk.yellow(`Skipping ${file}: ${reason}`));
+  });
+  Object.entries(result.ignored).forEach(([id, ignored]) => {
+    ignored.forEach(value => console.log(chalk.yellow(`Task ${id}: ignoring ${value}`)));
+  });
+  result.rejected.forEach(({ id, from, to }) => {
+    console.log(chalk.yellow(`Subtask ${id}: ignoring "${to}", which cannot follow "${from}"`));
+  });
+  Object.entries(result.changed).forEach(([id, changes]) => {
+    console.log(chalk.blue(`Task ${id}:`));
+    changes.forEach(change => console.log(chalk.dim(`  - ${change}`)));
+  });
+
+  const changedCount = Object.keys(result.changed).length;
+  if (changedCount === 0) {
+    console.log(chalk.green('Task files and tasks.json are already in sync.'));
+  } else {
+    console.log(chalk.green(`Synced changes from ${changedCount} task file(s) into ${result.file}`));
+  }
+}
+
+/**
+ * Print the result of addTask
+ * @param {Object} result - { task, suggestedDependencies, agentError }
+ */
+function renderNewTask(result) {
+  const { task, suggestedDependencies } = result;
+  renderAgentFallback(result.agentError, 'using the prompt as the task description');
+  console.log(chalk.green(`Added task ${task.id}: ${task.title}`));
+
+  if (suggestedDependencies.length > 0) {
+    console.log(chalk.yellow('\nThis task may also depend on:'));
+    suggestedDependencies.forEach(suggestion => {
+      const reason = suggestion.sharedWords.length > 0 ?
+        `shares: ${suggestion.sharedWords.join(', ')}` :
+        'suggested by the Cursor agent';
+      console.log(chalk.yellow(`  - ${suggestion.id}: ${suggestion.title} (${reason})`));
+      console.log(chalk.dim(`    cursor-task add-dependency --id ${task.id} --depends-on ${suggestion.id}`));
+    });
+  }
+}
+
+/**
+ * Print the result of clearSubtasks or clearAllSubtasks
+ * @param {Object} result - { cleared, entries, empty, dependencyIssues }
+ */
+function renderSubtasksCleared(result) {
+  result.empty.forEach(id => console.log(chalk.yellow(`Task ${id} has no subtasks to clear.`)));
+  if (result.cleared.length === 0) {
+    if (result.empty.length === 0) {
+      console.log(chalk.yellow('No tasks have subtasks to clear.'));
+    }
+    return;
+  }
+
+  result.cleared.forEach((id, index) => {
+    console.log(chalk.green(`Cleared the subtasks of task ${id} (trash entry #${result.entries[index]})`));
+  });
+  console.log(chalk.dim('Restore with: cursor-task restore-subtasks --id <id>'));
+  if (result.dependencyIssues.length > 0) {
+    console.log(chalk.yellow('Some tasks depend on the cleared subtasks. Run "cursor-task validate-dependencies" for details.'));
+  }
+}
+
+/**
+ * Print the result of restoreSubtasks
+ * @param {Object} result - { taskId, entry, replaced }, or { taskId, entries } when listing
+ */
+function renderSubtasksRestored(result) {
+  const id = result.taskId;
+  if (result.entries) {
+    if (result.entries.length === 0) {
+      console.log(chalk.yellow(`No trashed subtasks for task ${id}.`));
+      return;
+    }
+    console.log(chalk.blue(`Trashed subtasks for task ${id}:`));
+    result.entries.forEach(entry => {
+      const done = entry.subtasks.filter(subtask => subtask.status === 'done').length;
+      console.log(`  #${entry.id}: ${entry.subtasks.length} subtask(s), ${done} done, removed ${entry.removedAt} by ${entry.reason}`);
+    });
+    return;
+  }
+
+  if (result.replaced !== null) {
+    console.log(chalk.dim(`Current subtasks of task ${id} moved to trash entry #${result.replaced}`));
+  }
+  console.log(chalk.green(`Restored ${result.entry.subtasks.length} subtask(s) to task ${id} from trash entry #${result.entry.id}`));
+}
+
+/**
+ * Print the result of validateTasksFile
+ * @param {Object} result - { valid, file, version, migrations, issues }
+ */
+function renderValidation(result) {
+  if (result.valid) {
+    console.log(chalk.green(`${result.file} is valid (format ${result.version}).`));
+  } else {
+    console.log(chalk.red(`Found ${result.issues.length} problem(s) in ${result.file}:`));
+    result.issues.forEach(issue => console.log(chalk.red(`  - ${issue.path} ${issue.message}`)));
+  }
+
+  if (result.migrations.length > 0) {
+    const target = result.migrations[result.migrations.length - 1];
+    console.log(chalk.yellow(`\nFormat ${result.version} will be upgraded to ${target} the next time the file is loaded (a backup is kept).`));
+  }
+}
+
+/**
+ * Print the result of showHistory
+ * @param {Object} result - { file, entries, total, undo, redo }
+ */
+function renderHistory(result) {
+  if (result.entries.length === 0) {
+    console.log(chalk.yellow('No changes recorded.'));
+    return;
+  }
+
+  result.entries.forEach(entry => {
+    const action = entry.undoes !== undefined ? `undo of #${entry.undoes}` :
+      entry.redoes !== undefined ? `redo of #${entry.redoes}` :
+        entry.operation || 'change';
+    console.log(`${chalk.bold(`#${entry.id}`)} ${chalk.dim(entry.timestamp)} ${chalk.cyan(entry.actor)} ${action}`);
+    if (entry.reason) {
+      console.log(chalk.dim(`  Reason: ${entry.reason}`));
+    }
+    entry.changes.forEach(change => {
+      const name = change.type === 'task' ? `Task ${change.id}` : change.type === 'tag' ? `Tag ${change.name}` : change.name;
+      const target = change.tag ? `[${change.tag}] ${name}` : name;
+      change.summary.forEach(line => console.log(`  ${target}: ${line}`));
+    });
+  });
+
+  if (result.total > result.entries.length) {
+    console.log(chalk.dim(`\nShowing the latest ${result.entries.length} of ${result.total} entries (use --limit for more).`));
+  }
+  if (result.undo) {
+    console.log(chalk.dim(`\nundo would take back #${result.undo.id} (${result.undo.operation || 'change'})`));
+  }
+  if (result.redo) {
+    console.log(chalk.dim(`redo would re-apply #${result.redo.id} (${result.redo.operation || 'change'})`));
+  }
+}
+
+/**
+ * Print the result of undoChange or redoChange
+ * @param {string} verb - "Undid" or "Redid"
+ * @returns {Function} Renderer for { entry, changes }
+ */
+function renderHistoryReplay(verb) {
+  return result => {
+    const { entry } = result;
+    console.log(chalk.green(`${verb} #${entry.id} (${entry.operation || 'change'} by ${entry.actor} at ${entry.timestamp}): ${result.changes} change(s)`));
+  };
+}
+
+// Why a tag is the active one (see resolveTag in lib/tags.js)
+const TAG_SOURCES = {
+  option: 'set by --tag or CURSOR_TASK_TAG',
+  branch: 'named like the git branch',
+  current: 'chosen with use-tag',
+  default: 'the default tag'
+};
+
+/**
+ * Print the result of listTags
+ * @param {Object} result - { active, source, tags }
+ */
+function renderTagList(result) {
+  const rows = result.tags.map(tag => ({
+    Tag: tag.active ? chalk.green(`* ${tag.name}`) : `  ${tag.name}`,
+    Tasks: `${tag.done}/${tag.tasks} done`,
+    Description: truncate(tag.description || '', 50)
+  }));
+  console.log(createTableFromTasks(rows));
+  console.log(chalk.dim(`\nActive tag: ${result.active} (${TAG_SOURCES[result.source]})`));
+}
+
+/**
+ * Print the result of addTag or copyTag
+ * @param {Object} result - { tag, copiedFrom, tasks }
+ */
+function renderTagCreated(result) {
+  const origin = result.copiedFrom ? ` with ${result.tasks} task(s) copied from "${result.copiedFrom}"` : '';
+  console.log(chalk.green(`Created tag "${result.tag}"${origin}.`));
+  console.log(chalk.dim(`Run "cursor-task use-tag ${result.tag}" to work on it.`));
+}
+
+/**
+ * Print the result of useTag
+ * @param {Object} result - { tag, previous, active }
+ */
+function renderTagSwitch(result) {
+  console.log(chalk.green(`Now working on tag "${result.tag}" (was "${result.previous}").`));
+  if (result.active.name !== result.tag) {
+    console.log(chalk.yellow(`Commands still use "${result.active.name}" here: it is ${TAG_SOURCES[result.active.source]}.`));
+  }
+}
+
+/**
+ * Print the result of deleteTag
+ * @param {Object} result - { tag, tasks }
+ */
+function renderTagDeleted(result) {
+  console.log(chalk.green(`Deleted tag "${result.tag}" and its ${result.tasks} task(s).`));
+  console.log(chalk.dim('Run "cursor-task undo" to bring it back.'));
+}
+
+/**
+ * Print the result of syncCommits
+ * @param {Object} result - { scanned, linked, updated, rejected, notFound, rolledUp }
+ * @param {Object} options - { dryRun: the changes were not saved }
+ */
+function renderGitSync(result, options = {}) {
+  const prefix = options.dryRun ? 'Would link' : 'Linked';
+  console.log(chalk.green(`${prefix} ${result.linked.length} commit reference(s) from ${result.scanned} commit(s).`));
+
+  result.linked.forEach(({ sha, id, action }) => {
+    console.log(chalk.dim(`  ${sha.substring(0, 7)} ${action} ${id}`));
+  });
+  result.updated.forEach(({ id, from, to }) => {
+    console.log(statusColor(to)(`Task ${id} changed from ${from} to ${to}`));
+  });
+  result.rolledUp.forEach(({ id, from, to }) => {
+    console.log(statusColor(to)(`Task ${id} changed from ${from} to ${to} to follow its subtasks`));
+  });
+  if (result.rejected.length > 0) {
+    const rejected = result.rejected.map(({ id, from, to }) => `${id} (${from} -> ${to})`).join(', ');
+    console.log(chalk.yellow(`Not allowed by the workflow: ${rejected}`));
+  }
+  if (result.notFound.length > 0) {
+    const ids = [...new Set(result.notFound.map(({ id }) => id))].join(', ');
+    console.log(chalk.yellow(`Referenced tasks not found: ${ids}`));
+  }
+}
+
+/**
+ * Print the result of installGitHook
+ * @param {Object} result - { path, installed, replaced, removed }
+ */
+function renderHookInstall(result) {
+  if (result.installed) {
+    console.log(chalk.green(`${result.replaced ? 'Replaced' : 'Installed'} the post-commit hook: ${result.path}`));
+    console.log(chalk.dim('Commits referencing tasks ("refs #3", "closes #4.2") are now linked to them.'));
+  } else if (result.removed) {
+    console.log(chalk.green(`Removed the post-commit hook: ${result.path}`));
+  } else {
+    console.log(chalk.yellow(`No post-commit hook installed by cursor-task at ${result.path}`));
+  }
+}
+
+/**
+ * Print the result of exportGraph
+ * @param {Object} result - { format, content, graph, file }
+ */
+function renderGraph(result) {
+  if (!result.file) {
+    process.stdout.write(result.content);
+    return;
+  }
+  const { nodes, edges } = result.graph;
+  console.log(chalk.green(`Wrote the ${result.format} graph (${nodes.length} node(s), ${edges.length} dependencies) to ${result.file}`));
+}
+
+/**
+ * Print the result of setEstimate
+ * @param {Object} result - { id, previous, estimate }
+ */
+function renderEstimate(result) {
+  const settings = getScheduleSettings();
+  const previous = result.previous === null ? 'none' : formatEstimate(result.previous, settings);
+  if (result.estimate === null) {
+    console.log(chalk.green(`Cleared the estimate of task ${result.id} (was ${previous})`));
+  } else {
+    console.log(chalk.green(`Task ${result.id} estimated at ${formatEstimate(result.estimate, settings)} (was ${previous})`));
+  }
+}
+
+/**
+ * Print the result of showSchedule as a table in the order work starts
+ * Critical tasks are red; times are working days and hours. Earliest and latest
+ * starts ignore the number of workers, Start and Finish are the forecast.
+ * @param {Object} result - { tasks, criticalPath, totalEffort, criticalLength, duration, workers,
+ *   startDate, completionDate, unestimated, settings }
+ */
+function renderSchedule(result) {
+  if (result.tasks.length === 0) {
+    console.log(chalk.green('All tasks are complete! 🎉'));
+    return;
+  }
+
+  const time = hours => formatEstimate(hours, result.settings);
+  console.log(chalk.blue(`\nSchedule for ${result.workers} worker(s) from ${result.startDate}:`));
+
+  const rows = result.tasks.map(entry => {
+    const color = entry.critical ? chalk.red : value => value;
+    return {
+      ID: color(entry.id),
+      Title: color(truncate(entry.title, 35)),
+      Effort: entry.estimated ? time(entry.effort) : chalk.dim(`${time(entry.effort)}?`),
+      'Earliest start': entry.earliestStartDate,
+      'Latest start': entry.latestStartDate,
+      Slack: entry.critical ? chalk.red('critical') : time(entry.slack),
+      Worker: entry.worker,
+      Start: entry.startDate,
+      Finish: entry.finishDate
+    };
+  });
+  console.log(createTableFromTasks(rows));
+
+  console.log(chalk.red(`\nCritical path: ${result.criticalPath.join(' -> ')} (${time(result.criticalLength)})`));
+  console.log(`Total effort: ${time(result.totalEffort)}; elapsed duration with ${result.workers} worker(s): ${time(result.duration)}`);
+  console.log(chalk.green(`Projected completion: ${result.completionDate}`));
+
+  if (result.unestimated.length > 0) {
+    console.log(chalk.yellow(`\nTasks without an estimate count as ${time(result.settings.defaultEstimate)} (marked "?"): ${result.unestimated.join(', ')}`));
+    console.log(chalk.dim('Estimate them with "cursor-task estimate <id> <estimate>".'));
+  }
+}
+
+module.exports = {
+  renderInit,
+  renderPrdImport,
+  renderTaskList,
+  renderNextTask,
+  renderTask,
+  renderStatusUpdate,
+  renderExpansion,
+  renderDependencyChange,
+  renderDependencyValidation,
+  renderDependencyFix,
+  renderComplexityAnalysis,
+  renderComplexityReport,
+  renderTaskUpdateDiff,
+  renderTaskUpdate,
+  renderTaskFiles,
+  renderTaskSync,
+  renderNewTask,
+  renderSubtasksCleared,
+  renderSubtasksRestored,
+  renderValidation,
+  renderHistory,
+  renderHistoryReplay,
+  renderTagList,
+  renderTagCreated,
+  renderTagSwitch,
+  renderTagDeleted,
+  renderGitSync,
+  renderHookInstall,
+  renderGraph,
+  renderEstimate,
+  renderSchedule
+};
@@ -0,0 +1,304 @@
+/**
+ * Effort estimates and scheduling for Cursor Task Master
+ *
+ * Tasks and subtasks can carry an `estimate` in hours (entered as "4h",
+ * "2d", "1w 2d", ...). The remaining work of a task is its own estimate, or
+ * the sum of its unfinished subtasks' estimates when those have any; finished
+ * work counts as zero and unestimated work as `schedule.defaultEstimate`.
+ *
+ * computeSchedule runs the critical path method over the task-level
+ * dependency graph (earliest and latest start, slack), then places the tasks
+ * on a number of parallel workers, critical work first, to forecast when
+ * everything will be done.
+ */
+
+const { buildGraphView } = require('./graph-export');
+const { isFinal } = require('./workflow');
+const { getConfig } = require('./config');
+const { createTaskError } = require('./errors');
+
+// Units of estimates; days and weeks follow the working calendar of the config
+const ESTIMATE_PATTERN = /^(\d+(?:\.\d+)?)\s*(m|min|h|d|w)?$/i;
+
+/**
+ * Get the scheduling settings of the project
+ * @returns {Object} { hoursPerDay, workDays, workers, defaultEstimate (hours) }
+ */
+function getScheduleSettings() {
+  const settings = getConfig().schedule;
+  return {
+    ...settings,
+    defaultEstimate: parseEstimate(settings.defaultEstimate, settings)
+  };
+}
+
+/**
+ * Convert an estimate to hours
+ * @param {number|string} value - Hours as a number, or text such as "90m", "4h", "2d", "1w 2d"
+ * @param {Object} settings - { hoursPerDay, workDays } for days and weeks
+ * @returns {number} Hours
+ * @throws {Error} INVALID_ESTIMATE error if the value cannot be read
+ */
+function parseEstimate(value, settings) {
+  if (typeof value === 'number' && value >= 0) {
+    return value;
+  }
+
+  const parts = String(value).trim().split(/\s+/).filter(Boolean);
+  const hours = { m: 1 / 60, min: 1 / 60, h: 1, d: settings.hoursPerDay, w: settings.hoursPerDay * settings.workDays.length };
+  let total = 0;
+  for (const part of parts) {
+    const match = part.match(ESTIMATE_PATTERN);
+    if (!match) {
+      throw createTaskError('INVALID_ESTIMATE', `Invalid estimate: ${value}. Use hours or units such as "90m", "4h", "2d", "1w 2d".`);
+    }
+    total += Number(match[1]) * hours[(match[2] || 'h').toLowerCase()];
+  }
+  if (parts.length === 0) {
+    throw createTaskError('INVALID_ESTIMATE', `Invalid estimate: ${value}`);
+  }
+
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Format hours as working days and hours
+ * @param {number} hours - Hours
+ * @param {Object} settings - { hoursPerDay }
+ * @returns {string} Text such as "2d 4h", "3h" or "0h"
+ */
+function formatEstimate(hours, settings) {
+  const days = Math.floor(hours / settings.hoursPerDay);
+  const rest = Math.round((hours - days * settings.hoursPerDay) * 10) / 10;
+  if (days === 0) {
+    return `${rest}h`;
+  }
+  return rest > 0 ? `${days}d ${rest}h` : `${days}d`;
+}
+
+/**
+ * Work out the remaining effort of a task
+ * The unfinished subtasks are added up when they all have an estimate, or when some
+ * do and the task itself has none; otherwise the task's own estimate is used.
+ * @param {Object} task - Task
+ * @param {Object} settings - Scheduling settings
+ * @returns {Object} Hours of work left and whether any of it is a guess ({ hours, estimated })
+ */
+function getRemainingEffort(task, settings) {
+  if (isFinal(task.status)) {
+    return { hours: 0, estimated: true };
+  }
+
+  const subtasks = task.subtasks || [];
+  const open = subtasks.filter(subtask => !isFinal(subtask.status));
+  const estimated = open.every(subtask => typeof subtask.estimate === 'number');
+  if (subtasks.some(subtask => typeof subtask.estimate === 'number') && (estimated || typeof task.estimate !== 'number')) {
+    return {
+      hours: open.reduce((total, subtask) => total + (typeof subtask.estimate === 'number' ? subtask.estimate : settings.defaultEstimate), 0),
+      estimated
+    };
+  }
+
+  return typeof task.estimate === 'number' ?
+    { hours: task.estimate, estimated: true } :
+    { hours: settings.defaultEstimate, estimated: false };
+}
+
+/**
+ * Add working hours to a date, skipping days off
+ * Work starts at the beginning of a working day; `hoursPerDay` hours fill a day.
+ * @param {Date} start - First working day
+ * @param {number} hours - Working hours from the start
+ * @param {Object} settings - { hoursPerDay, workDays: day numbers, 0 for Sunday }
+ * @returns {string} Date the hours run out (YYYY-MM-DD)
+ */
+function addWorkingHours(start, hours, settings) {
+  const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+  const nextWorkDay = () => {
+    while (!settings.workDays.includes(date.getUTCDay())) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+  };
+
+  // Work finishing exactly at the end of a day finishes that day
+  nextWorkDay();
+  let days = Math.max(0, Math.ceil(hours / settings.hoursPerDay - 1e-9) - 1);
+  while (days > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    nextWorkDay();
+    days -= 1;
+  }
+
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Compute the critical path and a forecast for the unfinished tasks
+ * @param {Array} tasks - Array of tasks
+ * @param {Object} options - { workers: number of people working in parallel, start: Date work starts,
+ *   settings: scheduling settings (defaults to the project's) }
+ * @returns {Object} Per unfinished task its effort, critical path values (in working hours from the
+ *   start) and place in the forecast; the critical path, the effort left, how long it takes with
+ *   and without the worker limit, and the projected completion date ({ tasks: [{ id, title, status,
+ *   effort, estimated, earliestStart, earliestFinish, latestStart, latestFinish, slack, critical,
+ *   start, finish, worker, earliestStartDate, latestStartDate, startDate, finishDate }],
+ *   criticalPath, totalEffort, criticalLength, duration, workers, startDate, completionDate,
+ *   unestimated })
+ * @throws {Error} CIRCULAR_DEPENDENCY error if the unfinished tasks depend on each other in a cycle
+ */
+function computeSchedule(tasks, options = {}) {
+  const settings = options.settings || getScheduleSettings();
+  const workers = options.workers || settings.workers;
+  const start = options.start || new Date();
+
+  const view = buildGraphView(tasks);
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const open = view.nodes.filter(node => !isFinal(node.status));
+  const openIds = new Set(open.map(node => node.id));
+
+  // Dependencies on finished tasks are met already
+  const entries = new Map(open.map(node => {
+    const effort = getRemainingEffort(byId.get(node.id), settings);
+    return [node.id, {
+      id: node.id,
+      title: node.title,
+      status: node.status,
+      effort: effort.hours,
+      estimated: effort.estimated,
+      dependencies: view.edges.filter(edge => edge.to === node.id && openIds.has(edge.from)).map(edge => edge.from),
+      dependents: view.edges.filter(edge => edge.from === node.id && openIds.has(edge.to)).map(edge => edge.to)
+    }];
+  }));
+
+  // Topological order (Kahn); whatever is left over is part of a cycle
+  const order = [];
+  const waiting = new Map([...entries.values()].map(entry => [entry.id, entry.dependencies.length]));
+  const queue = [...waiting.keys()].filter(id => waiting.get(id) === 0);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(entries.get(id));
+    entries.get(id).dependents.forEach(dependent => {
+      waiting.set(dependent, waiting.get(dependent) - 1);
+      if (waiting.get(dependent) === 0) {
+        queue.push(dependent);
+      }
+    });
+  }
+  if (order.length < entries.size) {
+    // Leave out what merely waits on a cycle
+    const cycle = new Set([...entries.keys()].filter(id => !order.includes(entries.get(id))));
+    let pruned = true;
+    while (pruned) {
+      pruned = false;
+      cycle.forEach(id => {
+        if (!entries.get(id).dependents.some(dependent => cycle.has(dependent))) {
+          cycle.delete(id);
+          pruned = true;
+        }
+      });
+    }
+    throw createTaskError('CIRCULAR_DEPENDENCY', `Cannot schedule tasks with circular dependencies: ${[...cycle].join(', ')}. Run "cursor-task validate-dependencies".`);
+  }
+
+  // Critical path method: forward pass, then backward pass from the end of the longest chain
+  order.forEach(entry => {
+    entry.earliestStart = Math.max(0, ...entry.dependencies.map(id => entries.get(id).earliestFinish));
+    entry.earliestFinish = entry.earliestStart + entry.effort;
+  });
+  const criticalLength = Math.max(0, ...order.map(entry => entry.earliestFinish));
+  [...order].reverse().forEach(entry => {
+    entry.latestFinish = Math.min(criticalLength, ...entry.dependents.map(id => entries.get(id).latestStart));
+    entry.latestStart = entry.latestFinish - entry.effort;
+    entry.slack = Math.round((entry.latestStart - entry.earliestStart) * 100) / 100;
+    entry.critical = entry.slack === 0 && criticalLength > 0;
+  });
+
+  // Forecast: each free worker takes the ready task that can wait the least
+  const free = Array.from({ length: workers }, () => 0);
+  const pending = new Set(order.map(entry => entry.id));
+  while (pending.size > 0) {
+    const worker = free.indexOf(Math.min(...free));
+    const ready = [...pending]
+      .map(id => entries.get(id))
+      .filter(entry => entry.dependencies.every(id => !pending.has(id)))
+      .map(entry => ({ entry, readyAt: Math.max(0, ...entry.dependencies.map(id => entries.get(id).finish)) }));
+
+    // Start whatever can start first; among those, the least slack, then the lowest ID
+    const startAt = ({ readyAt }) => Math.max(free[worker], readyAt);
+    ready.sort((a, b) => startAt(a) - startAt(b) || a.entry.latestStart - b.entry.latestStart || a.entry.id - b.entry.id);
+    const { entry } = ready[0];
+
+    entry.start = startAt(ready[0]);
+    entry.finish = entry.start + entry.effort;
+    entry.worker = worker + 1;
+    free[worker] = entry.finish;
+    pending.delete(entry.id);
+  }
+
+  const duration = Math.max(0, ...order.map(entry => entry.finish));
+  const scheduled = order
+    .sort((a, b) => a.start - b.start || a.id - b.id)
+    .map(({ dependencies, dependents, ...entry }) => ({
+      ...entry,
+      earliestStartDate: addWorkingHours(start, entry.earliestStart + 1e-6, settings),
+      latestStartDate: addWorkingHours(start, entry.latestStart + 1e-6, settings),
+      startDate: addWorkingHours(start, entry.start + 1e-6, settings),
+      finishDate: addWorkingHours(start, entry.finish, settings)
+    }));
+
+  // The critical path itself: follow critical tasks from a start to the end
+  const criticalPath = [];
+  let current = order.find(entry => entry.critical && entry.earliestStart === 0);
+  while (current) {
+    criticalPath.push(current.id);
+    const finish = current.earliestFinish;
+    current = current.dependents.map(id => entries.get(id)).find(entry => entry.critical && entry.earliestStart === finish);
+  }
+
+  return {
+    tasks: scheduled,
+    criticalPath,
+    totalEffort: scheduled.reduce((total, entry) => total + entry.effort, 0),
+    criticalLength,
+    duration,
+    workers,
+    startDate: addWorkingHours(start, 0, settings),
+    completionDate: scheduled.length > 0 ? addWorkingHours(start, duration, settings) : null,
+    unestimated: scheduled.filter(entry => !entry.estimated).map(entry => entry.id).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * Find the tasks on the critical path, for flagging them in `list` and `next`
+ * Nothing is flagged until some task or subtask has an estimate, or when the
+ * dependencies are circular.
+ * @param {Array} tasks - Array of tasks
+ * @returns {Set<number>} IDs of the critical tasks
+ */
+function findCriticalTasks(tasks) {
+  const estimated = tasks.some(task =>
+    typeof task.estimate === 'number' || (task.subtasks || []).some(subtask => typeof subtask.estimate === 'number')
+  );
+  if (!estimated) {
+    return new Set();
+  }
+
+  try {
+    return new Set(computeSchedule(tasks, { workers: 1 }).tasks.filter(entry => entry.critical).map(entry => entry.id));
+  } catch (error) {
+    if (error.code === 'CIRCULAR_DEPENDENCY') {
+      return new Set();
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  getScheduleSettings,
+  parseEstimate,
+  formatEstimate,
+  getRemainingEffort,
+  addWorkingHours,
+  computeSchedule,
+  findCriticalTasks
+};
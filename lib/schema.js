@@ -0,0 +1,150 @@
+/**
+ * Minimal JSON Schema validator for Cursor Task Master
+ * Supports the subset of JSON Schema used by the project:
+ * - type (including "integer" and type arrays), enum, const
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems
+ * - minimum, maximum, minLength, pattern
+ * - anyOf
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} Type name (null, array, integer, number, string, boolean, object)
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Expected type
+ * @returns {boolean} Whether the value matches
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  if (type === 'number') {
+    return actual === 'number' || actual === 'integer';
+  }
+  return actual === type;
+}
+
+/**
+ * Build the JSON path of an object property
+ * @param {string} base - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function propertyPath(base, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${base}.${key}` : `${base}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON path of the value (defaults to "$")
+ * @returns {Array<Object>} List of problems ({ path, message }), empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(value, option, path).length === 0);
+    if (!matches) {
+      errors.push({ path, message: 'does not match any of the allowed schemas' });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${getJsonType(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s) long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: propertyPath(path, key), message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      const childPath = propertyPath(path, key);
+      if (properties[key]) {
+        errors.push(...validateSchema(value[key], properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not an allowed property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(value[key], schema.additionalProperties, childPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getJsonType,
+  validateSchema
+};
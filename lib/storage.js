@@ -0,0 +1,392 @@
+/**
+ * Safe storage of tasks.json for Cursor Task Master
+ *
+ * Several processes (the CLI, MCP agents) may update the tasks file at once:
+ * - every write goes to a temporary file that is renamed over the original,
+ *   so a crash never leaves truncated JSON behind
+ * - writers hold `tasks.json.lock`; locks left behind by dead processes
+ *   (or older than STALE_LOCK_AGE) are removed
+ * - `metadata.revision` is incremented on every write. A save whose file
+ *   changed since it was loaded is merged task by task, and fails with a
+ *   TASKS_CONFLICT error when both sides changed the same task.
+ * - every write is recorded in the history log (see lib/history.js)
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { recordChange } = require('./history');
+const { createTaskError } = require('./errors');
+
+const LOCK_TIMEOUT = 10000;
+const LOCK_RETRY_INTERVAL = 50;
+const STALE_LOCK_AGE = 30000;
+
+// Metadata fields maintained by the storage layer itself
+const TRACKED_METADATA = ['lastUpdated', 'revision'];
+
+/**
+ * Write JSON to a file atomically (temporary file, then rename)
+ * @param {string} filePath - Path of the file
+ * @param {*} data - Data to write
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(filePath, data) {
+  const tempPath = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  try {
+    await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Get the path of the lockfile guarding a file
+ * @param {string} filePath - Path of the locked file
+ * @returns {string} Path of the lockfile
+ */
+function getLockPath(filePath) {
+  return `${filePath}.lock`;
+}
+
+/**
+ * Check whether a lock was left behind by a process that is gone
+ * @param {string} lockPath - Path of the lockfile
+ * @returns {Promise<boolean>} Whether the lock can be removed
+ */
+async function isStaleLock(lockPath) {
+  let stats;
+  let owner;
+  try {
+    stats = await fs.stat(lockPath);
+    owner = await fs.readJson(lockPath);
+  } catch (error) {
+    // Missing, or half-written by its owner; a half-written lock is only stale once it is old
+    return !stats || Date.now() - stats.mtimeMs > STALE_LOCK_AGE;
+  }
+
+  if (Date.now() - stats.mtimeMs > STALE_LOCK_AGE) {
+    return true;
+  }
+
+  if (owner.hostname === os.hostname() && Number.isInteger(owner.pid)) {
+    try {
+      process.kill(owner.pid, 0);
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Acquire the lock on a file, waiting for other holders to release it
+ * @param {string} filePath - Path of the file to lock
+ * @param {Object} options - { timeout: milliseconds to wait before giving up }
+ * @returns {Promise<Object>} The lock ({ lockPath }), to pass to releaseLock
+ */
+async function acquireLock(filePath, options = {}) {
+  const lockPath = getLockPath(filePath);
+  const timeout = options.timeout || LOCK_TIMEOUT;
+  const deadline = Date.now() + timeout;
+  const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      return { lockPath };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (await isStaleLock(lockPath)) {
+      await fs.remove(lockPath);
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw createTaskError(
+        'LOCK_TIMEOUT',
+        `Timed out after ${timeout}ms waiting for ${lockPath}. If no other cursor-task process is running, delete the lockfile.`
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+  }
+}
+
+/**
+ * Release a lock acquired with acquireLock
+ * @param {Object} lock - The lock
+ * @returns {Promise<void>}
+ */
+async function releaseLock(lock) {
+  await fs.remove(lock.lockPath);
+}
+
+/**
+ * Run a function while holding the lock on a file
+ * @param {string} filePath - Path of the file to lock
+ * @param {Function} fn - Function to run (may be async)
+ * @param {Object} options - Options for acquireLock
+ * @returns {Promise<*>} Result of the function
+ */
+async function withFileLock(filePath, fn, options) {
+  const lock = await acquireLock(filePath, options);
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(lock);
+  }
+}
+
+/**
+ * Read a JSON file, or return null if it does not exist
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<Object|null>} Parsed data
+ */
+async function readJsonIfExists(filePath) {
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+  return fs.readJson(filePath);
+}
+
+/**
+ * Load the tasks file, remembering its content for conflict detection
+ * @param {string} tasksPath - Path of the tasks file
+ * @param {Object} options - { prepare: function applied to the data as read from disk,
+ *   e.g. to fill in defaults; also applied to the file's content when saving.
+ *   select: function returning the part of the data to work on, e.g. one tag's tasks }
+ * @returns {Promise<Object>} File handle ({ tasksPath, document, tasksData, base, prepare, select })
+ *   for saveTasksData; `tasksData` is the selected part of `document` (all of it without `select`)
+ */
+async function loadTasksData(tasksPath, options = {}) {
+  const prepare = options.prepare || (data => data);
+  const select = options.select || (data => data);
+  const document = prepare(await fs.readJson(tasksPath));
+  return { tasksPath, document, tasksData: select(document), base: JSON.stringify(document), prepare, select };
+}
+
+/**
+ * Three-way merge of top-level fields: a field changed on one side only takes that side's value
+ * @param {Object} target - Object receiving the merged fields (starts as a copy of `theirs`)
+ * @param {Object} base - Fields as loaded
+ * @param {Object} ours - Fields as changed by this process
+ * @param {Object} theirs - Fields as changed by another process
+ * @param {Function} label - Describes a field for conflict messages
+ * @param {Array<string>} skip - Fields not to merge
+ * @returns {Array<string>} Fields changed differently on both sides
+ */
+function mergeFields(target, base, ours, theirs, label, skip = []) {
+  const conflicts = [];
+  const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+
+  keys.forEach(key => {
+    if (skip.includes(key)) {
+      return;
+    }
+
+    const baseValue = JSON.stringify(base[key]);
+    const ourValue = JSON.stringify(ours[key]);
+    const theirValue = JSON.stringify(theirs[key]);
+
+    if (ourValue === baseValue || ourValue === theirValue) {
+      return;
+    }
+    if (theirValue !== baseValue) {
+      conflicts.push(label(key));
+      return;
+    }
+
+    if (ours[key] === undefined) {
+      delete target[key];
+    } else {
+      target[key] = ours[key];
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Merge the tasks of one context (the file itself or a tag) by ID
+ * @param {Object} target - Context receiving the merged tasks (starts as a copy of `theirs`)
+ * @param {Object} base - Context as loaded
+ * @param {Object} ours - Context as changed by this process
+ * @param {Object} theirs - Context currently on disk
+ * @param {string} prefix - Prefix of conflict labels ("" or "tag <name> ")
+ * @returns {Array<string>} Tasks changed differently on both sides
+ */
+function mergeTasks(target, base, ours, theirs, prefix) {
+  const byId = list => {
+    const tasks = {};
+    (list || []).forEach(task => {
+      tasks[task.id] = task;
+    });
+    return tasks;
+  };
+
+  const tasks = byId(theirs.tasks);
+  const conflicts = mergeFields(
+    tasks, byId(base.tasks), byId(ours.tasks), byId(theirs.tasks),
+    id => `${prefix}task ${id}`
+  );
+
+  // Their order is kept; tasks only we added go at the end
+  const order = [...(theirs.tasks || []), ...(ours.tasks || [])].map(task => String(task.id));
+  target.tasks = [...new Set(order)].filter(id => tasks[id]).map(id => tasks[id]);
+
+  return conflicts;
+}
+
+/**
+ * Merge this process's changes to the tasks file with changes written by another process
+ * Tasks are merged by ID, tags one by one and other fields (such as the trash) as a whole.
+ * @param {Object} base - Tasks data as loaded
+ * @param {Object} ours - Tasks data as changed by this process
+ * @param {Object} theirs - Tasks data currently on disk
+ * @returns {Object} Merged data and the conflicting parts ({ data, conflicts })
+ */
+function mergeTasksData(base, ours, theirs) {
+  const data = { ...theirs };
+  const conflicts = mergeFields(data, base, ours, theirs, key => key, ['tasks', 'metadata', 'tags']);
+
+  data.metadata = { ...(theirs.metadata || {}) };
+  conflicts.push(...mergeFields(
+    data.metadata, base.metadata || {}, ours.metadata || {}, theirs.metadata || {},
+    key => `metadata.${key}`, TRACKED_METADATA
+  ));
+
+  conflicts.push(...mergeTasks(data, base, ours, theirs, ''));
+
+  // Tags added, removed or changed on one side only are taken as a whole
+  const baseTags = base.tags || {};
+  const ourTags = ours.tags || {};
+  const theirTags = theirs.tags || {};
+  const tags = { ...theirTags };
+  conflicts.push(...mergeFields(tags, baseTags, ourTags, theirTags, name => `tag ${name}`, Object.keys(ourTags).filter(name =>
+    baseTags[name] && theirTags[name]
+  )));
+
+  // Tags both sides kept are merged like the file itself
+  Object.keys(ourTags).filter(name => baseTags[name] && theirTags[name]).forEach(name => {
+    const tag = { ...theirTags[name] };
+    conflicts.push(...mergeFields(tag, baseTags[name], ourTags[name], theirTags[name], key => `tag ${name} ${key}`, ['tasks']));
+    conflicts.push(...mergeTasks(tag, baseTags[name], ourTags[name], theirTags[name], `tag ${name} `));
+    tags[name] = tag;
+  });
+
+  if (Object.keys(tags).length > 0 || theirs.tags) {
+    data.tags = tags;
+  }
+
+  return { data, conflicts };
+}
+
+/**
+ * Write tasks data under the lock, bumping `metadata.revision`, and record the change
+ * @param {string} tasksPath - Path of the tasks file
+ * @param {Object} tasksData - Data to write (its metadata is updated)
+ * @param {Object|null} current - Data currently on disk
+ * @param {Object} history - Additional fields for the history entry
+ * @returns {Promise<number>} The new revision
+ */
+async function writeRevision(tasksPath, tasksData, current, history) {
+  const currentRevision = current && current.metadata && Number.isInteger(current.metadata.revision) ?
+    current.metadata.revision :
+    0;
+
+  tasksData.metadata = tasksData.metadata || {};
+  tasksData.metadata.lastUpdated = new Date().toISOString();
+  tasksData.metadata.revision = currentRevision + 1;
+
+  await writeJsonAtomic(tasksPath, tasksData);
+  await recordChange(tasksPath, current, tasksData, history);
+  return tasksData.metadata.revision;
+}
+
+/**
+ * Save a tasks file loaded with loadTasksData
+ * If another process wrote the file in the meantime, both sets of changes are merged.
+ * The handle is updated to the saved data, so it can be saved again.
+ * @param {Object} file - File handle from loadTasksData
+ * @param {Object} options - { history: additional fields for the history entry }
+ * @returns {Promise<Object>} The new revision and whether a merge was needed ({ revision, merged })
+ * @throws {Error} TASKS_CONFLICT error if both processes changed the same task or field
+ */
+async function saveTasksData(file, options = {}) {
+  return withFileLock(file.tasksPath, async () => {
+    const raw = await readJsonIfExists(file.tasksPath);
+    const current = raw !== null && file.prepare ? file.prepare(raw) : raw;
+    const merged = current !== null && JSON.stringify(current) !== file.base;
+
+    if (merged) {
+      const { data, conflicts } = mergeTasksData(JSON.parse(file.base), file.document, current);
+      if (conflicts.length > 0) {
+        throw createTaskError(
+          'TASKS_CONFLICT',
+          `${path.basename(file.tasksPath)} was changed by another process while this command ran ` +
+          `and both changed ${conflicts.join(', ')}. Nothing was saved; re-run the command.`
+        );
+      }
+
+      // Continue with the merged data in place of ours
+      Object.keys(file.document).forEach(key => delete file.document[key]);
+      Object.assign(file.document, data);
+      file.tasksData = file.select ? file.select(file.document) : file.document;
+    }
+
+    const revision = await writeRevision(file.tasksPath, file.document, current, options.history);
+    file.base = JSON.stringify(file.document);
+    return { revision, merged };
+  });
+}
+
+/**
+ * Write a complete tasks file
+ * @param {string} tasksPath - Path of the tasks file
+ * @param {Object} tasksData - Data to write
+ * @param {Object} options - { expectedRevision: fail unless the file is still at this revision,
+ *   history: additional fields for the history entry }
+ * @returns {Promise<number>} The new revision
+ * @throws {Error} TASKS_CONFLICT error if the file is no longer at the expected revision
+ */
+async function writeTasksData(tasksPath, tasksData, options = {}) {
+  return withFileLock(tasksPath, async () => {
+    const current = await readJsonIfExists(tasksPath);
+
+    if (options.expectedRevision !== undefined) {
+      const revision = current && current.metadata ? current.metadata.revision || 0 : 0;
+      if (revision !== options.expectedRevision) {
+        throw createTaskError(
+          'TASKS_CONFLICT',
+          `${path.basename(tasksPath)} is at revision ${revision}, not ${options.expectedRevision}. ` +
+          'Reload the tasks and apply the change again.'
+        );
+      }
+    }
+
+    return writeRevision(tasksPath, tasksData, current, options.history);
+  });
+}
+
+module.exports = {
+  writeJsonAtomic,
+  getLockPath,
+  acquireLock,
+  releaseLock,
+  withFileLock,
+  loadTasksData,
+  mergeTasksData,
+  saveTasksData,
+  writeTasksData
+};
@@ -0,0 +1,142 @@
+/**
+ * Tagged task contexts for Cursor Task Master
+ *
+ * A tasks file can hold several task lists (tags), e.g. one per feature
+ * branch or workstream, each with its own IDs and trash. The default tag
+ * lives at the top level of tasks.json as before, so files without tags are
+ * unchanged; other tags live under `tags`:
+ *
+ *   { "tasks": [...], "metadata": { "currentTag": "feature-x" },
+ *     "tags": { "feature-x": { "tasks": [...], "description": "...", "createdAt": "..." } } }
+ *
+ * Commands work on one tag, picked in this order:
+ * 1. the global --tag option, the `tag` parameter of MCP tools or CURSOR_TASK_TAG
+ * 2. the tag named like the current git branch, with `tags.fromGitBranch` in the config
+ * 3. the tag chosen with `cursor-task use-tag` (`metadata.currentTag`)
+ * 4. the default tag
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('./config');
+const { getGitBranch } = require('./git');
+const { createTaskError } = require('./errors');
+
+const DEFAULT_TAG = 'master';
+
+// Branch-like names: "auth", "feature/login", "release-1.2"
+const TAG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+const tagStorage = new AsyncLocalStorage();
+let processTag = null;
+
+/**
+ * Check that a tag name can be used
+ * @param {string} name - Tag name
+ * @throws {Error} INVALID_TAG error for names that are not branch-like
+ */
+function assertTagName(name) {
+  if (typeof name !== 'string' || !TAG_NAME_PATTERN.test(name)) {
+    throw createTaskError('INVALID_TAG', `Invalid tag name: ${name}. Use letters, digits, ".", "_", "-" and "/" (like a branch name).`);
+  }
+}
+
+/**
+ * Set the tag to work on for the rest of the process (the global --tag option)
+ * @param {string|null} tag - Tag name, or null to pick it as usual
+ */
+function setActiveTag(tag) {
+  processTag = tag || null;
+}
+
+/**
+ * Run a function on a given tag (e.g. one MCP tool call)
+ * @param {string|null} tag - Tag name, or null to keep the surrounding one
+ * @param {Function} fn - Function to run (may be async)
+ * @returns {*} Result of the function
+ */
+function withTag(tag, fn) {
+  return tag ? tagStorage.run(tag, fn) : fn();
+}
+
+/**
+ * Get the tag asked for explicitly
+ * @returns {string|null} Tag from withTag, setActiveTag or CURSOR_TASK_TAG, or null
+ */
+function getRequestedTag() {
+  return tagStorage.getStore() || processTag || process.env.CURSOR_TASK_TAG || null;
+}
+
+/**
+ * List the tags of a tasks file
+ * @param {Object} document - Whole tasks file data
+ * @returns {Array<string>} Tag names, the default tag first
+ */
+function getTagNames(document) {
+  return [DEFAULT_TAG, ...Object.keys(document.tags || {})];
+}
+
+/**
+ * Check whether a tasks file has a tag
+ * @param {Object} document - Whole tasks file data
+ * @param {string} name - Tag name
+ * @returns {boolean} Whether the tag exists
+ */
+function hasTag(document, name) {
+  return name === DEFAULT_TAG || Boolean(document.tags && document.tags[name]);
+}
+
+/**
+ * Work out which tag to work on (see the order at the top of this file)
+ * @param {Object} document - Whole tasks file data
+ * @returns {Object} Tag name and why it was picked ({ name, source: "option", "branch", "current" or "default" })
+ */
+function resolveTag(document) {
+  const requested = getRequestedTag();
+  if (requested) {
+    return { name: requested, source: 'option' };
+  }
+
+  const config = getConfig();
+  if (config.tags && config.tags.fromGitBranch) {
+    const branch = getGitBranch(config.projectRoot);
+    if (branch && hasTag(document, branch)) {
+      return { name: branch, source: 'branch' };
+    }
+  }
+
+  const current = document.metadata && document.metadata.currentTag;
+  if (current && hasTag(document, current)) {
+    return { name: current, source: 'current' };
+  }
+
+  return { name: DEFAULT_TAG, source: 'default' };
+}
+
+/**
+ * Get the data of one tag
+ * The default tag is the file itself; other tags are objects under `tags`.
+ * Either way the result has `tasks` and, once something was removed, `trash`.
+ * @param {Object} document - Whole tasks file data
+ * @param {string} name - Tag name
+ * @returns {Object} Tag data (part of `document`, so changes to it are saved with the file)
+ * @throws {Error} TAG_NOT_FOUND error if the tag does not exist
+ */
+function selectTag(document, name) {
+  if (!hasTag(document, name)) {
+    throw createTaskError('TAG_NOT_FOUND', `Tag "${name}" not found. Available tags: ${getTagNames(document).join(', ')}`);
+  }
+  return name === DEFAULT_TAG ? document : document.tags[name];
+}
+
+module.exports = {
+  DEFAULT_TAG,
+  TAG_NAME_PATTERN,
+  assertTagName,
+  setActiveTag,
+  withTag,
+  getRequestedTag,
+  getTagNames,
+  hasTag,
+  resolveTag,
+  selectTag
+};
@@ -0,0 +1,168 @@
+/**
+ * Task file rendering and parsing for Cursor Task Master
+ *
+ * Each task is written to `tasks/task_NNN.md` with a front-matter block
+ * (id, status, priority, dependencies) followed by Markdown sections. The
+ * same format is parsed back so edits made in the IDE can be synced into
+ * tasks.json.
+ */
+
+const FRONT_MATTER_FIELDS = ['id', 'status', 'priority', 'dependencies'];
+
+const SECTIONS = [
+  { field: 'description', heading: 'Description' },
+  { field: 'implementation', heading: 'Implementation Details' },
+  { field: 'testStrategy', heading: 'Test Strategy' }
+];
+
+/**
+ * Get the file name for a task
+ * @param {number} id - Task ID
+ * @returns {string} File name, e.g. "task_007.md"
+ */
+function getTaskFileName(id) {
+  return `task_${String(id).padStart(3, '0')}.md`;
+}
+
+/**
+ * Format a front-matter value; plain words stay unquoted, everything else is JSON
+ * @param {*} value - Value to format
+ * @returns {string} Value text
+ */
+function formatFrontMatterValue(value) {
+  if (typeof value === 'string' && /^[A-Za-z][\w-]*$/.test(value) && !['true', 'false', 'null'].includes(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Render a task as Markdown with front-matter
+ * @param {Object} task - Task to render
+ * @returns {string} File content
+ */
+function renderTaskFile(task) {
+  const frontMatter = {
+    id: task.id,
+    status: task.status,
+    priority: task.priority || 'medium',
+    dependencies: task.dependencies || []
+  };
+
+  const lines = ['---'];
+  FRONT_MATTER_FIELDS.forEach(field => {
+    lines.push(`${field}: ${formatFrontMatterValue(frontMatter[field])}`);
+  });
+  lines.push('---', '', `# Task ${task.id}: ${task.title}`, '');
+
+  SECTIONS.forEach(({ field, heading }) => {
+    lines.push(`## ${heading}`, '');
+    if (task[field]) {
+      lines.push(task[field].trim(), '');
+    }
+  });
+
+  if (task.acceptanceCriteria && task.acceptanceCriteria.length > 0) {
+    lines.push('## Acceptance Criteria', '');
+    task.acceptanceCriteria.forEach(criterion => lines.push(`- ${criterion}`));
+    lines.push('');
+  }
+
+  lines.push('## Subtasks', '');
+  (task.subtasks || []).forEach(subtask => {
+    const checked = subtask.status === 'done' ? 'x' : ' ';
+    lines.push(`- [${checked}] ${subtask.id}. ${subtask.title}`);
+  });
+
+  return `${lines.join('\n').replace(/\n+$/, '')}\n`;
+}
+
+/**
+ * Parse a front-matter value (JSON scalars and arrays, or bare strings)
+ * @param {string} raw - Raw value text
+ * @returns {*} Parsed value
+ */
+function parseFrontMatterValue(raw) {
+  const value = raw.trim();
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Parse a task file back into task fields
+ * @param {string} content - File content
+ * @returns {Object} Parsed fields ({ id, status, priority, dependencies, title,
+ *   description, implementation, testStrategy, acceptanceCriteria?, subtasks })
+ */
+function parseTaskFile(content) {
+  const text = content.replace(/\r\n?/g, '\n');
+  const match = text.match(/^---\n([\s\S]*?)\n---\n?([\s\S]*)$/);
+  if (!match) {
+    throw new Error('Missing front-matter block');
+  }
+
+  const parsed = {};
+  match[1].split('\n').forEach(line => {
+    const field = line.match(/^(\w+):\s*(.*)$/);
+    if (field && FRONT_MATTER_FIELDS.includes(field[1])) {
+      parsed[field[1]] = parseFrontMatterValue(field[2]);
+    }
+  });
+
+  if (!Number.isInteger(parsed.id)) {
+    throw new Error('Front-matter has no numeric "id"');
+  }
+
+  const body = match[2];
+  const title = body.match(/^#\s+Task\s+\d+:\s*(.*)$/m);
+  if (title) {
+    parsed.title = title[1].trim();
+  }
+
+  // Split the body into "## Heading" sections
+  const sections = {};
+  let current = null;
+  body.split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.*?)\s*$/);
+    if (heading) {
+      current = heading[1].toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  });
+  const sectionText = name => (sections[name.toLowerCase()] || []).join('\n').trim();
+
+  SECTIONS.forEach(({ field, heading }) => {
+    if (sections[heading.toLowerCase()]) {
+      parsed[field] = sectionText(heading);
+    }
+  });
+
+  if (sections['acceptance criteria']) {
+    parsed.acceptanceCriteria = sections['acceptance criteria']
+      .map(line => line.match(/^\s*[-*]\s+(.*)$/))
+      .filter(Boolean)
+      .map(item => item[1].trim());
+  }
+
+  parsed.subtasks = (sections.subtasks || [])
+    .map(line => line.match(/^\s*[-*]\s+\[([ xX])\]\s+(?:(\d+)\.\s+)?(.*)$/))
+    .filter(Boolean)
+    .map(item => ({
+      id: item[2] ? Number(item[2]) : null,
+      done: item[1].toLowerCase() === 'x',
+      title: item[3].trim()
+    }));
+
+  return parsed;
+}
+
+module.exports = {
+  getTaskFileName,
+  renderTaskFile,
+  parseTaskFile
+};
@@ -0,0 +1,341 @@
+/**
+ * Task queries for Cursor Task Master
+ *
+ * `cursor-task list` and the cursor_task_listTasks MCP tool take a query of
+ * space-separated terms, all of which a task must match:
+ *
+ *   priority:high status:pending,in-progress epic:api has:subtasks blocked:true deps:3 text:"auth"
+ *
+ * tag: picks the task lists (tags) to search instead of the active one, so
+ * "tag:api,web status:pending" lists the pending tasks of both and "-tag:archive"
+ * searches every tag but one.
+ * A comma separates alternatives, a leading "-" negates a term, numeric fields
+ * compare with >, >=, < and <= ("complexity:>=7") and bare words search the
+ * text of the task. Results are sorted with a list of fields ("priority,-updatedAt")
+ * and can be cut down to a set of columns.
+ */
+
+const { normalizeDependencyId, buildDependencyGraph, resolveDependencies } = require('./dependencies');
+const { getStatusNames, assertStatus, isFinal, isSatisfied } = require('./workflow');
+const { createTaskError } = require('./errors');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Values of has:
+const HAS_FIELDS = {
+  subtasks: task => (task.subtasks || []).length > 0,
+  dependencies: task => (task.dependencies || []).length > 0,
+  description: task => Boolean(task.description),
+  estimate: task => typeof task.estimate === 'number',
+  complexity: task => typeof task.complexity === 'number',
+  commits: task => (task.commits || []).length > 0,
+  epic: task => Boolean(task.epic)
+};
+
+// Fields `sort` accepts; ascending order is the natural reading order (high priority first)
+const SORT_FIELDS = {
+  id: task => task.id,
+  title: task => (task.title || '').toLowerCase(),
+  status: task => getStatusNames().indexOf(task.status),
+  priority: task => PRIORITIES.indexOf(task.priority || 'medium'),
+  complexity: task => task.complexity,
+  estimate: task => task.estimate,
+  epic: task => (task.epic || '').toLowerCase() || null,
+  tag: task => task.tag || null,
+  dependencies: task => (task.dependencies || []).length,
+  subtasks: task => (task.subtasks || []).length,
+  createdAt: task => task.createdAt,
+  updatedAt: task => task.updatedAt
+};
+
+// Columns `columns` accepts; subtasks come with `withSubtasks`
+const LIST_COLUMNS = ['id', 'tag', 'title', 'status', 'priority', 'dependencies', 'complexity', 'estimate', 'epic', 'createdAt', 'updatedAt'];
+const DEFAULT_COLUMNS = ['id', 'title', 'status', 'priority', 'dependencies'];
+
+// A term: optional "-", optional "key:", then a quoted or plain value
+const TERM_PATTERN = /(-?)(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+/**
+ * Read a boolean value of a term
+ * @param {string} key - Term key, for the error message
+ * @param {string} value - "true", "false", "yes" or "no"
+ * @returns {boolean} The value
+ * @throws {Error} INVALID_QUERY error for other values
+ */
+function parseBoolean(key, value) {
+  if (['true', 'yes'].includes(value)) {
+    return true;
+  }
+  if (['false', 'no'].includes(value)) {
+    return false;
+  }
+  throw createTaskError('INVALID_QUERY', `${key}: takes true or false, got "${value}"`);
+}
+
+/**
+ * Build the test of a numeric comparison such as ">=7", "<2" or "5"
+ * @param {string} key - Field name
+ * @param {string} value - Comparison
+ * @returns {Function} Test of a number (false for missing values)
+ * @throws {Error} INVALID_QUERY error if the value is not a comparison
+ */
+function compareNumber(key, value) {
+  const match = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (!match) {
+    throw createTaskError('INVALID_QUERY', `${key}: takes a number, optionally after >, >=, < or <=, got "${value}"`);
+  }
+  const limit = Number(match[2]);
+  const tests = {
+    '>': n => n > limit,
+    '>=': n => n >= limit,
+    '<': n => n < limit,
+    '<=': n => n <= limit,
+    '=': n => n === limit
+  };
+  const test = tests[match[1] || '='];
+  return n => typeof n === 'number' && test(n);
+}
+
+/**
+ * Lower-case a name and join its words with "-", so "Billing API" matches "billing-api"
+ * @param {string} text - Name
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Term keys and the test of one of their values; `context` has the dependency graph, critical tasks and tag
+const TERMS = {
+  status: value => {
+    assertStatus(value);
+    return task => task.status === value;
+  },
+  priority: value => {
+    if (!PRIORITIES.includes(value)) {
+      throw createTaskError('INVALID_QUERY', `Invalid priority: ${value}. Must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    return task => (task.priority || 'medium') === value;
+  },
+  // The epic (PRD heading) groups tasks within a list; a tag is a whole task list (see selectTags)
+  epic: value => task => slugify(task.epic) === slugify(value),
+  tag: value => (task, context) => context.tag === value,
+  has: value => {
+    if (!HAS_FIELDS[value]) {
+      throw createTaskError('INVALID_QUERY', `has: takes ${Object.keys(HAS_FIELDS).join(', ')}, got "${value}"`);
+    }
+    return HAS_FIELDS[value];
+  },
+  blocked: value => {
+    const blocked = parseBoolean('blocked', value);
+    return (task, context) => {
+      const waiting = !isFinal(task.status) &&
+        resolveDependencies(task, context.graph).some(dependency => !isSatisfied(dependency.status));
+      return waiting === blocked;
+    };
+  },
+  critical: value => {
+    const critical = parseBoolean('critical', value);
+    return (task, context) => context.critical.has(task.id) === critical;
+  },
+  deps: value => {
+    const id = normalizeDependencyId(value);
+    if (id === null) {
+      throw createTaskError('INVALID_QUERY', `deps: takes a task ID, got "${value}"`);
+    }
+    return task => (task.dependencies || []).some(dependency => String(dependency) === String(id));
+  },
+  id: value => {
+    const id = normalizeDependencyId(value);
+    if (id === null || typeof id !== 'number') {
+      throw createTaskError('INVALID_QUERY', `id: takes a task ID, got "${value}"`);
+    }
+    return task => task.id === id;
+  },
+  complexity: value => {
+    const test = compareNumber('complexity', value);
+    return task => test(task.complexity);
+  },
+  estimate: value => {
+    const test = compareNumber('estimate', value);
+    return task => test(task.estimate);
+  },
+  text: value => {
+    const needle = value.toLowerCase();
+    return task => [task.title, task.description, task.details, task.implementation, task.testStrategy]
+      .some(field => String(field || '').toLowerCase().includes(needle));
+  }
+};
+
+/**
+ * Parse a query
+ * @param {string} query - Query such as 'priority:high status:pending,in-progress -has:subtasks text:"auth"'
+ * @returns {Array<Object>} Terms ({ key, values, negate, tests }); bare words are `text` terms
+ * @throws {Error} INVALID_QUERY error for unknown keys or invalid values
+ */
+function parseQuery(query) {
+  const terms = [];
+  for (const match of String(query || '').matchAll(TERM_PATTERN)) {
+    const [, negate, rawKey, quoted, plain] = match;
+    const key = rawKey ? rawKey.toLowerCase() : 'text';
+    if (!TERMS[key]) {
+      throw createTaskError('INVALID_QUERY', `Unknown query field "${rawKey}". Use: ${Object.keys(TERMS).join(', ')}`);
+    }
+
+    // Quoted values and free text are taken whole; other values are alternatives separated by commas
+    const values = quoted !== undefined || key === 'text' ?
+      [quoted !== undefined ? quoted : plain] :
+      plain.split(',').map(value => value.trim()).filter(Boolean);
+    if (values.length === 0) {
+      throw createTaskError('INVALID_QUERY', `${key}: needs a value`);
+    }
+
+    terms.push({ key, values, negate: negate === '-', tests: values.map(value => TERMS[key](value)) });
+  }
+  return terms;
+}
+
+/**
+ * Check whether a task matches every term of a query
+ * @param {Object} task - Task
+ * @param {Array<Object>} terms - Terms from parseQuery
+ * @param {Object} context - { graph: dependency graph of all tasks, critical: Set of critical task IDs,
+ *   tag: tag the tasks belong to }
+ * @returns {boolean} Whether the task matches
+ */
+function matchesQuery(task, terms, context) {
+  return terms.every(term => term.tests.some(test => test(task, context)) !== term.negate);
+}
+
+/**
+ * Filter tasks with a query
+ * @param {Array} tasks - All tasks (dependencies are resolved against them)
+ * @param {string} query - Query
+ * @param {Object} options - { critical: Set of the IDs of the critical tasks, for critical:,
+ *   tag: tag the tasks belong to, for tag: }
+ * @returns {Array} Matching tasks, in their original order
+ * @throws {Error} INVALID_QUERY error
+ */
+function filterTasks(tasks, query, options = {}) {
+  const terms = parseQuery(query);
+  if (terms.length === 0) {
+    return tasks;
+  }
+  const context = { graph: buildDependencyGraph(tasks), critical: options.critical || new Set(), tag: options.tag };
+  return tasks.filter(task => matchesQuery(task, terms, context));
+}
+
+/**
+ * Pick the tags a query searches from its tag: terms
+ * @param {string} query - Query
+ * @param {Array<string>} tagNames - Tags of the tasks file
+ * @returns {Array<string>|null} Matching tags in file order, or null if the query has no tag: term
+ *   (the active tag is searched)
+ * @throws {Error} INVALID_QUERY error, or TAG_NOT_FOUND error if a tag: term names a tag the file does not have
+ */
+function selectTags(query, tagNames) {
+  const terms = parseQuery(query).filter(term => term.key === 'tag');
+  if (terms.length === 0) {
+    return null;
+  }
+  terms.forEach(term => term.values.forEach(value => {
+    if (!tagNames.includes(value)) {
+      throw createTaskError('TAG_NOT_FOUND', `Tag "${value}" not found. Available tags: ${tagNames.join(', ')}`);
+    }
+  }));
+  return tagNames.filter(tag => matchesQuery(null, terms, { tag }));
+}
+
+/**
+ * Parse a sort order
+ * @param {string|Array<string>} sort - Fields separated by commas, "-" in front for descending ("priority,-updatedAt")
+ * @returns {Array<Object>} Sort keys ({ field, descending })
+ * @throws {Error} INVALID_SORT error for unknown fields
+ */
+function parseSort(sort) {
+  const fields = Array.isArray(sort) ? sort : String(sort || '').split(',');
+  return fields.map(field => field.trim()).filter(Boolean).map(field => {
+    const name = field.replace(/^[-+]/, '');
+    if (!SORT_FIELDS[name]) {
+      throw createTaskError('INVALID_SORT', `Cannot sort by "${name}". Use: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    return { field: name, descending: field.startsWith('-') };
+  });
+}
+
+/**
+ * Sort tasks
+ * Tasks without a value for a field come last either way; ties keep ID order.
+ * @param {Array} tasks - Tasks
+ * @param {string|Array<string>} sort - Sort order (see parseSort)
+ * @returns {Array} Sorted copy of the tasks
+ * @throws {Error} INVALID_SORT error
+ */
+function sortTasks(tasks, sort) {
+  const keys = parseSort(sort);
+  const compare = (a, b, { field, descending }) => {
+    const first = SORT_FIELDS[field](a);
+    const second = SORT_FIELDS[field](b);
+    const missing = value => value === null || value === undefined || value === -1;
+    if (missing(first) || missing(second)) {
+      return Number(missing(first)) - Number(missing(second));
+    }
+    const order = first < second ? -1 : first > second ? 1 : 0;
+    return descending ? -order : order;
+  };
+
+  return [...tasks].sort((a, b) => {
+    for (const key of keys) {
+      const order = compare(a, b, key);
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return a.id - b.id;
+  });
+}
+
+/**
+ * Parse a list of output columns
+ * @param {string|Array<string>} columns - Column names separated by commas
+ * @returns {Array<string>} Columns, starting with `id`
+ * @throws {Error} INVALID_COLUMN error for unknown columns
+ */
+function parseColumns(columns) {
+  const names = (Array.isArray(columns) ? columns : String(columns || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !LIST_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw createTaskError('INVALID_COLUMN', `Unknown column(s): ${unknown.join(', ')}. Use: ${LIST_COLUMNS.join(', ')}`);
+  }
+  return ['id', ...new Set(names.filter(name => name !== 'id'))];
+}
+
+/**
+ * Keep only some fields of a task
+ * @param {Object} task - Task
+ * @param {Array<string>} columns - Columns from parseColumns
+ * @returns {Object} Task with those fields
+ */
+function pickColumns(task, columns) {
+  const picked = {};
+  columns.forEach(column => {
+    if (task[column] !== undefined) {
+      picked[column] = task[column];
+    }
+  });
+  return picked;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  LIST_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseQuery,
+  filterTasks,
+  selectTags,
+  sortTasks,
+  parseColumns,
+  pickColumns
+};
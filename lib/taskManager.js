@@ -10,342 +10,2054 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
-const { v4: uuidv4 } = require('uuid');
 const { 
   getTasksFilePath, 
+  getTasksDir,
   ensureTasksDirectory, 
-  formatTask, 
-  getTaskById,
-  sortTasksByDependencies,
-  createTableFromTasks
+  createTaskError,
+  getComplexityReportPath,
+  invokeCursorAgent
 } = require('./utils');
+const {
+  normalizeDependencyId,
+  buildDependencyGraph,
+  resolveDependencies,
+  findDependencyPath,
+  findDependencyIssues,
+  fixDependencyIssues,
+  suggestDependencies
+} = require('./dependencies');
+const {
+  parseMarkdownPrd,
+  buildTasksFromDrafts,
+  mergePrdTasks,
+  PRD_DRAFTS_SCHEMA,
+  buildPrdPrompt
+} = require('./prd-parser');
+const {
+  COMPLEXITY_SCHEMA,
+  scoreTaskComplexity,
+  buildComplexityPrompt,
+  buildExpansionCommand
+} = require('./complexity');
+const { getTaskFileName, renderTaskFile, parseTaskFile } = require('./task-files');
+const { rankNextTasks } = require('./next-task');
+const { GRAPH_FORMATS, buildGraphView, renderMermaid, renderDot, toAdjacency } = require('./graph-export');
+const { getScheduleSettings, parseEstimate, computeSchedule, findCriticalTasks } = require('./schedule');
+const { DEFAULT_COLUMNS, filterTasks, selectTags, sortTasks, parseColumns, pickColumns } = require('./task-query');
+const { getConfig } = require('./config');
+const { getStatusNames, getStatus, assertStatus, canTransition, isFinal, isStarted } = require('./workflow');
+const { writeJsonAtomic, loadTasksData, saveTasksData, writeTasksData } = require('./storage');
+const { getHistoryPath, readHistory, getUndoState, applyChanges, describeChange } = require('./history');
+const {
+  DEFAULT_TAG,
+  assertTagName,
+  getTagNames,
+  hasTag,
+  resolveTag,
+  selectTag
+} = require('./tags');
+const { getGitBranch, parseTaskReferences, readCommits, installHook, uninstallHook } = require('./git');
+const {
+  TASKS_FILE_VERSION,
+  getTasksFileVersion,
+  getPendingMigrations,
+  migrateTasksData,
+  upgradeTasksFile,
+  normalizeTasksData,
+  validateTasksData
+} = require('./tasks-schema');
+
+/**
+ * Turn PRD content into tasks
+ * Uses the Markdown parser, or the Cursor agent when `useAgent` is set
+ * (falling back to the parser if the agent is unavailable).
+ * @param {string} prdContent - PRD content
+ * @param {Object} options - { useAgent: draft tasks through the Cursor agent, startId: first ID }
+ * @returns {Promise<Object>} Tasks, the method used ("agent" or "markdown") and, if the agent
+ *   was asked but failed, its error message ({ tasks, method, agentError })
+ */
+async function parsePrdContent(prdContent, options = {}) {
+  let agentError;
+  if (options.useAgent) {
+    try {
+      const response = await invokeCursorAgent(buildPrdPrompt(prdContent), PRD_DRAFTS_SCHEMA);
+      return {
+        tasks: buildTasksFromDrafts(response.tasks, { startId: options.startId }),
+        method: 'agent'
+      };
+    } catch (error) {
+      agentError = error.message;
+    }
+  }
+  
+  const { drafts } = parseMarkdownPrd(prdContent);
+  return {
+    tasks: buildTasksFromDrafts(drafts, { startId: options.startId }),
+    method: 'markdown',
+    agentError
+  };
+}
 
 /**
  * Initialize the task management system
  * @param {string} prdPath - Optional path to PRD file to parse
+ * @param {Object} options - Init options ({ ai: draft tasks from prose PRDs through the Cursor agent })
+ * @returns {Promise<Object>} The tasks file created, the PRD it was parsed from (null without one), the
+ *   parsing method and agent error (see parsePrdContent), whether the PRD looked like prose the Markdown
+ *   parser found nothing in, and the tasks ({ file, prd, method, agentError, prose, tasks })
  */
-async function initializeTaskSystem(prdPath) {
-  try {
-    await ensureTasksDirectory();
-    const tasksPath = getTasksFilePath();
-
-    // Create initial tasks structure
-    const initialTasks = {
-      tasks: [],
-      metadata: {
-        created: new Date().toISOString(),
-        lastUpdated: new Date().toISOString(),
-        version: '1.0.0'
-      }
-    };
+async function initializeTaskSystem(prdPath, options = {}) {
+  await ensureTasksDirectory();
+  const tasksPath = getTasksFilePath();
 
-    // If a PRD is provided, parse it for initial tasks
-    if (prdPath && fs.existsSync(prdPath)) {
-      console.log(chalk.blue(`Parsing PRD file: ${prdPath}`));
-      const prdContent = await fs.readFile(prdPath, 'utf8');
-      
-      // Simple initial parsing logic - would be expanded with AI integration
-      const requirements = prdContent
-        .split('\n')
-        .filter(line => line.trim().startsWith('- ') || line.trim().startsWith('* '))
-        .map(line => line.trim().substring(2));
-      
-      // Create a task for each requirement
-      requirements.forEach((req, index) => {
-        initialTasks.tasks.push({
-          id: index + 1,
-          title: req,
-          description: `Implement: ${req}`,
-          status: 'pending',
-          priority: 'medium',
-          complexity: null,
-          dependencies: [],
-          subtasks: [],
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
-        });
-      });
-      
-      console.log(chalk.green(`Created ${initialTasks.tasks.length} tasks from PRD`));
-    } else {
-      // Create an empty tasks file if no PRD
-      console.log(chalk.yellow('No PRD provided. Creating empty tasks file.'));
+  // Create initial tasks structure
+  const initialTasks = {
+    tasks: [],
+    metadata: {
+      created: new Date().toISOString(),
+      lastUpdated: new Date().toISOString(),
+      version: TASKS_FILE_VERSION
     }
+  };
 
-    // Write initial tasks file
-    await fs.writeJson(tasksPath, initialTasks, { spaces: 2 });
-    console.log(chalk.green(`Tasks file created at: ${tasksPath}`));
+  const result = { file: tasksPath, prd: null, method: null, tasks: initialTasks.tasks };
+
+  // If a PRD is provided, parse it for initial tasks; without one the tasks file starts empty
+  if (prdPath && fs.existsSync(prdPath)) {
+    const prdContent = await fs.readFile(prdPath, 'utf8');
     
-    return initialTasks;
-  } catch (error) {
-    console.error(chalk.red(`Error initializing task system: ${error.message}`));
-    throw error;
+    const { tasks, method, agentError } = await parsePrdContent(prdContent, { useAgent: options.ai });
+    initialTasks.tasks = tasks;
+    // A prose PRD has no list items for the Markdown parser to pick up
+    const prose = tasks.length === 0 && method === 'markdown' && Boolean(prdContent.trim());
+    Object.assign(result, { prd: prdPath, method, agentError, prose, tasks });
   }
+
+  // Write initial tasks file
+  await writeTasksData(tasksPath, initialTasks);
+  
+  return result;
 }
 
 /**
- * List all tasks with optional filtering
- * @param {Object} options - List options (status filter, include subtasks)
+ * Re-import a PRD into the existing tasks file
+ * @param {string} prdPath - Path to the PRD file
+ * @param {Object} options - { append: only add new requirements, merge: also refresh
+ *   matched tasks and flag removed requirements (default), ai: draft through the Cursor agent }
+ * @returns {Promise<Object>} IDs of added, updated, unchanged, flagged and restored tasks (see mergePrdTasks),
+ *   plus the mode, the parsing method and agent error (see parsePrdContent), the flagged tasks and the
+ *   dependency issues left after the import
+ *   ({ mode, method, agentError, added, updated, unchanged, flagged, restored, flaggedTasks, dependencyIssues })
+ * @throws {Error} INVALID_OPTIONS, FILE_NOT_FOUND or TASKS_FILE_NOT_FOUND error
+ */
+async function parsePrd(prdPath, options = {}) {
+  if (options.append && options.merge) {
+    throw createTaskError('INVALID_OPTIONS', 'Use either --append or --merge, not both.');
+  }
+  
+  if (!prdPath || !fs.existsSync(prdPath)) {
+    throw createTaskError('FILE_NOT_FOUND', `PRD file not found: ${prdPath}`);
+  }
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const prdContent = await fs.readFile(prdPath, 'utf8');
+  const { tasks: parsedTasks, method, agentError } = await parsePrdContent(prdContent, { useAgent: options.ai });
+  
+  const mode = options.append ? 'append' : 'merge';
+  const result = mergePrdTasks(tasksData.tasks, parsedTasks, { mode });
+  
+  if (result.added.length + result.updated.length + result.flagged.length > 0) {
+    await saveTasksData(file);
+  }
+  
+  const flaggedTasks = result.flagged.map(id => {
+    const task = tasksData.tasks.find(t => t.id === id);
+    return { id: task.id, title: task.title, status: task.status };
+  });
+  
+  return {
+    mode,
+    method,
+    agentError,
+    ...result,
+    flaggedTasks,
+    dependencyIssues: findDependencyIssues(tasksData.tasks)
+  };
+}
+
+/**
+ * List tasks matching a query
+ * @param {Object} options - { status: only this status, query: query such as "priority:high has:subtasks"
+ *   (see lib/task-query.js), sort: fields such as "priority,-updatedAt", limit: maximum number of
+ *   tasks, columns: fields to return such as "id,title,estimate", withSubtasks: include subtasks }
+ * @returns {Promise<Object>} Matching tasks (cut to `limit`), the number that matched, the number
+ *   of tasks per status, the IDs of the tasks on the critical path and the columns to show
+ *   ({ tasks, total, counts, critical, columns }); subtasks are only included with `withSubtasks`.
+ *   When the query has tag: terms, the tasks of every tag it picks are listed with a `tag` field,
+ *   counts cover those tags and critical tasks are given as "<tag>:<id>"
+ * @throws {Error} INVALID_QUERY, INVALID_SORT, INVALID_COLUMN, INVALID_LIMIT, INVALID_STATUS or TAG_NOT_FOUND error
  */
 async function listTasks(options = {}) {
-  try {
-    const tasksPath = getTasksFilePath();
-    
-    if (!fs.existsSync(tasksPath)) {
-      console.error(chalk.red('Tasks file not found. Run "cursor-task init" first.'));
-      return;
+  if (options.status) {
+    assertStatus(options.status);
+  }
+  
+  let limit = null;
+  if (options.limit !== undefined && options.limit !== null) {
+    limit = parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw createTaskError('INVALID_LIMIT', `Invalid limit: ${options.limit}`);
     }
-    
-    const tasksData = await fs.readJson(tasksPath);
-    let tasks = tasksData.tasks || [];
+  }
+  let columns = options.columns ? parseColumns(options.columns) : null;
+  
+  // tag: terms pick the task lists to search; otherwise only the active tag is
+  const { tasksData: document } = await loadTasksFile(undefined, { allTags: true });
+  const tags = selectTags(options.query, getTagNames(document));
+  if (tags) {
+    columns = ['id', 'tag', ...(columns || DEFAULT_COLUMNS).filter(column => column !== 'id' && column !== 'tag')];
+  }
+  
+  // Counts cover every task of the tags, not just the filtered ones
+  const counts = {};
+  getStatusNames().forEach(status => {
+    counts[status] = 0;
+  });
+  let tasks = [];
+  const critical = [];
+  (tags || [resolveTag(document).name]).forEach(tag => {
+    let tagTasks = selectTag(document, tag).tasks;
+    getStatusNames().forEach(status => {
+      counts[status] += tagTasks.filter(task => task.status === status).length;
+    });
+    const tagCritical = findCriticalTasks(tagTasks);
     
     // Filter by status if specified
     if (options.status) {
-      tasks = tasks.filter(task => task.status === options.status);
+      tagTasks = tagTasks.filter(task => task.status === options.status);
     }
-    
-    if (tasks.length === 0) {
-      console.log(chalk.yellow('No tasks found matching the criteria.'));
-      return;
+    if (options.query) {
+      tagTasks = filterTasks(tagTasks, options.query, { critical: tagCritical, tag });
     }
+    if (tags) {
+      tasks.push(...tagTasks.map(task => ({ ...task, tag })));
+      critical.push(...[...tagCritical].map(id => `${tag}:${id}`));
+    } else {
+      tasks.push(...tagTasks);
+      critical.push(...tagCritical);
+    }
+  });
+  if (options.sort) {
+    tasks = sortTasks(tasks, options.sort);
+  }
+  
+  const total = tasks.length;
+  if (limit !== null) {
+    tasks = tasks.slice(0, limit);
+  }
+  
+  if (!options.withSubtasks) {
+    tasks = tasks.map(({ subtasks, ...task }) => task);
+  }
+  if (columns) {
+    const keep = options.withSubtasks ? [...columns, 'subtasks'] : columns;
+    tasks = tasks.map(task => pickColumns(task, keep));
+  }
+  
+  return { tasks, total, counts, critical, columns: columns || DEFAULT_COLUMNS };
+}
+
+/**
+ * Find the next task or subtask to work on
+ * Uses the ranking of lib/next-task.js, so the CLI and the MCP tools agree.
+ * @returns {Promise<Object>} The best candidate (or null), a summary of every candidate with its
+ *   score, the reasons for it and whether it is on the critical path (a subtask is when its task
+ *   is), the unfinished items waiting on dependencies and those whose status keeps them from being
+ *   picked ({ next, candidates: [{ id, type, title, status, score, reasons, critical }],
+ *   blocked: [{ id, type, task, waitingOn }], onHold: [{ id, type, title, status }] })
+ */
+async function showNextTask() {
+  const { tasksData } = await loadTasksFile();
+  const { candidates, blocked, onHold } = rankNextTasks(tasksData.tasks);
+  
+  const critical = findCriticalTasks(tasksData.tasks);
+  candidates.forEach(candidate => {
+    candidate.critical = critical.has(Number(String(candidate.id).split('.')[0]));
+  });
+  
+  return {
+    next: candidates[0] || null,
+    candidates: candidates.map(({ task, parent, ...summary }) => summary),
+    blocked,
+    onHold
+  };
+}
+
+/**
+ * Get the details of a specific task or subtask
+ * @param {number|string} taskId - ID of the task (or subtask, e.g. "3.2") to show
+ * @returns {Promise<Object>} The task, its parent task for subtasks (null otherwise) and the status
+ *   of each of its dependencies ({ task, parent, dependencies })
+ */
+async function showTask(taskId) {
+  const { tasksData } = await loadTasksFile();
+  const graph = buildDependencyGraph(tasksData.tasks);
+  
+  const id = normalizeDependencyId(taskId);
+  const node = id === null ? null : graph.get(String(id));
+  
+  if (!node) {
+    throw createTaskError('TASK_NOT_FOUND', `Task with ID ${taskId} not found.`);
+  }
+  
+  return { task: node.item, parent: node.parent, dependencies: resolveDependencies(node.item, graph) };
+}
+
+/**
+ * Work out the status of a task from its subtasks
+ * A task starts when any subtask starts, is done once every subtask is final
+ * (with `autoComplete`) and is reopened when a subtask of a done task is reopened.
+ * Changes the workflow does not allow are left out.
+ * @param {Object} task - Task with subtasks
+ * @param {boolean} autoComplete - Whether to complete the task when all subtasks are final
+ * @returns {string|null} The status the task should change to, or null to keep it
+ */
+function rollUpStatus(task, autoComplete) {
+  const subtasks = task.subtasks || [];
+  if (subtasks.length === 0) {
+    return null;
+  }
+  
+  const allFinal = subtasks.every(subtask => isFinal(subtask.status));
+  let status = null;
+  if (allFinal && autoComplete && !isFinal(task.status)) {
+    status = 'done';
+  } else if (task.status === 'pending' && subtasks.some(subtask => isStarted(subtask.status) || isFinal(subtask.status))) {
+    status = 'in-progress';
+  } else if (task.status === 'done' && !allFinal) {
+    status = 'in-progress';
+  }
+  
+  return status && canTransition(task.status, status) ? status : null;
+}
+
+/**
+ * Set the status of tasks and subtasks
+ * Changing subtasks rolls their status up to the parent task (see rollUpStatus).
+ * @param {Array<number|string>} taskIds - IDs of the tasks (or subtasks, e.g. "3.2") to update
+ * @param {string} status - New status (see lib/workflow.js)
+ * @param {Object} options - { autoComplete: complete a task once all its subtasks are done
+ *   (defaults to `tasks.autoCompleteParents` in the project config) }
+ * @returns {Promise<Object>} The status, the IDs that were updated, already had the status, were
+ *   not found or cannot move to the status, and the parent tasks whose status followed their subtasks
+ *   ({ status, updated, unchanged, notFound, rejected: [{ id, from }], rolledUp: [{ id, from, to }] })
+ * @throws {Error} INVALID_TRANSITION error if the workflow allows none of the changes
+ */
+async function setTaskStatus(taskIds, status, options = {}) {
+  // Validate status
+  assertStatus(status);
+  
+  const autoComplete = options.autoComplete !== undefined ?
+    options.autoComplete :
+    getConfig().tasks.autoCompleteParents;
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  const graph = buildDependencyGraph(tasksData.tasks);
+  
+  const result = { status, updated: [], unchanged: [], notFound: [], rejected: [], rolledUp: [] };
+  const parents = new Set();
+  const now = new Date().toISOString();
+  
+  // Update each task or subtask
+  taskIds.forEach(taskId => {
+    const id = normalizeDependencyId(taskId);
+    const node = id === null ? null : graph.get(String(id));
     
-    // Format and display tasks
-    console.log(chalk.blue('\nTask List:'));
-    
-    const formattedTasks = tasks.map(task => {
-      const taskInfo = {
-        ID: task.id,
-        Title: task.title.substring(0, 40) + (task.title.length > 40 ? '...' : ''),
-        Status: task.status,
-        Priority: task.priority || 'medium',
-        Dependencies: task.dependencies.join(', ') || 'None'
-      };
-      
-      // Show subtasks if requested and they exist
-      if (options.withSubtasks && task.subtasks && task.subtasks.length > 0) {
-        console.log(chalk.green(`\n${task.id}. ${task.title} [${task.status}]`));
-        
-        task.subtasks.forEach((subtask, index) => {
-          const prefix = subtask.status === 'done' ? '✓' : ' ';
-          console.log(chalk.dim(`   ${prefix} ${subtask.id}: ${subtask.title} [${subtask.status}]`));
-        });
-        
-        return null; // Return null to exclude from table
+    if (!node) {
+      result.notFound.push(String(taskId).trim());
+    } else if (node.item.status === status) {
+      result.unchanged.push(id);
+    } else if (!canTransition(node.item.status, status)) {
+      result.rejected.push({ id, from: node.item.status });
+    } else {
+      node.item.status = status;
+      (node.parent || node.item).updatedAt = now;
+      result.updated.push(id);
+      if (node.parent) {
+        parents.add(node.parent);
       }
-      
-      return taskInfo;
-    }).filter(Boolean); // Filter out nulls
-    
-    // Only create table if we have tasks to display and we're not showing subtasks
-    if (formattedTasks.length > 0 && !options.withSubtasks) {
-      const table = createTableFromTasks(formattedTasks);
-      console.log(table.toString());
     }
-    
-    // Display summary
-    console.log(chalk.blue(`\nTotal: ${tasks.length} task(s)`));
-    
-  } catch (error) {
-    console.error(chalk.red(`Error listing tasks: ${error.message}`));
-    throw error;
+  });
+  
+  if (result.updated.length + result.unchanged.length + result.rejected.length === 0) {
+    throw createTaskError('TASK_NOT_FOUND', `No tasks found with IDs: ${result.notFound.join(', ')}`);
   }
+  
+  if (result.updated.length + result.unchanged.length === 0) {
+    const allowed = getStatus(status).from.join(', ');
+    throw createTaskError(
+      'INVALID_TRANSITION',
+      `Cannot change ${result.rejected.map(({ id, from }) => `${id} (${from})`).join(', ')} to ${status}: only allowed from ${allowed}.`
+    );
+  }
+  
+  parents.forEach(task => {
+    const rolledUp = rollUpStatus(task, autoComplete);
+    if (rolledUp) {
+      result.rolledUp.push({ id: task.id, from: task.status, to: rolledUp });
+      task.status = rolledUp;
+    }
+  });
+  
+  if (result.updated.length > 0) {
+    // Write updated tasks back to file
+    await saveTasksData(file);
+  }
+  
+  return result;
 }
 
 /**
- * Show the next task to work on based on dependencies and status
+ * Subtask templates used when the Cursor agent is unavailable.
+ * Ordered by the sequence they should be worked on; `rank` decides which
+ * phases survive when fewer subtasks are requested.
  */
-async function showNextTask() {
+const SUBTASK_TEMPLATES = [
+  { rank: 4, title: 'Research and design approach for', description: 'Review requirements and existing code, then outline the approach' },
+  { rank: 5, title: 'Set up scaffolding for', description: 'Create the files, interfaces and configuration needed' },
+  { rank: 1, title: 'Implement core logic for', description: 'Build the main functionality' },
+  { rank: 3, title: 'Handle edge cases and errors for', description: 'Add validation, error handling and fallbacks' },
+  { rank: 2, title: 'Write tests for', description: 'Cover the main paths and edge cases with tests' },
+  { rank: 6, title: 'Document', description: 'Update documentation and usage examples' },
+  { rank: 7, title: 'Review and integrate', description: 'Review the changes and integrate them with dependent work' }
+];
+
+/**
+ * Load the tasks file
+ * Files written by older versions are migrated first, and missing optional fields are filled in.
+ * `tasksData` holds the tasks of the active tag (see lib/tags.js), `document` the whole file.
+ * @param {string} customPath - Optional custom path to the tasks file
+ * @param {Object} options - { allTags: work on the whole file without picking a tag }
+ * @returns {Promise<Object>} Tasks path, data and tag, to save with saveTasksData
+ * @throws {Error} TASKS_FILE_NOT_FOUND error if the file does not exist, TAG_NOT_FOUND if the
+ *   requested tag does not
+ */
+async function loadTasksFile(customPath, options = {}) {
+  const tasksPath = getTasksFilePath(customPath);
+  
+  if (!fs.existsSync(tasksPath)) {
+    throw createTaskError('TASKS_FILE_NOT_FOUND', 'Tasks file not found. Run "cursor-task init" first.');
+  }
+  
+  const upgrade = await upgradeTasksFile(tasksPath);
+  if (upgrade) {
+    console.log(chalk.dim(`Upgraded ${path.basename(tasksPath)} from format ${upgrade.from} to ${upgrade.to} (backup: ${upgrade.backupPath})`));
+  }
+  
+  if (options.allTags) {
+    return loadTasksData(tasksPath, { prepare: normalizeTasksData });
+  }
+  
+  // The tag is picked once, so the handle stays on it when a save merges in other changes
+  let tag = null;
+  const file = await loadTasksData(tasksPath, {
+    prepare: normalizeTasksData,
+    select: document => {
+      tag = tag || resolveTag(document).name;
+      return selectTag(document, tag);
+    }
+  });
+  file.tag = tag;
+  return file;
+}
+
+// Trash entries kept per task; older ones are dropped when subtasks are removed again
+const TRASH_ENTRIES_PER_TASK = 10;
+
+/**
+ * Move a task's subtasks into the trash of the tasks file
+ * Only the latest TRASH_ENTRIES_PER_TASK entries of the task are kept.
+ * @param {Object} tasksData - Tasks file data (mutated)
+ * @param {Object} task - Task whose subtasks are removed (mutated)
+ * @param {string} reason - Operation that removed them
+ * @returns {Object} The trash entry
+ */
+function moveSubtasksToTrash(tasksData, task, reason) {
+  tasksData.trash = tasksData.trash || [];
+  
+  const entry = {
+    id: tasksData.trash.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+    taskId: task.id,
+    reason,
+    removedAt: new Date().toISOString(),
+    subtasks: task.subtasks
+  };
+  
+  tasksData.trash.push(entry);
+  const ownEntries = tasksData.trash.filter(existing => existing.taskId === task.id);
+  const dropped = new Set(ownEntries.slice(0, -TRASH_ENTRIES_PER_TASK));
+  tasksData.trash = tasksData.trash.filter(existing => !dropped.has(existing));
+  task.subtasks = [];
+  task.updatedAt = entry.removedAt;
+  return entry;
+}
+
+/**
+ * Build subtasks from the fixed templates without involving the agent
+ * @param {Object} task - Task to split
+ * @param {number} count - Number of subtasks to create
+ * @returns {Array<Object>} Subtask drafts ({ title, description })
+ */
+function splitTaskFromTemplates(task, count) {
+  const selected = [...SUBTASK_TEMPLATES]
+    .sort((a, b) => a.rank - b.rank)
+    .slice(0, count);
+  const ordered = SUBTASK_TEMPLATES.filter(template => selected.includes(template));
+  
+  const drafts = ordered.map(template => ({
+    title: `${template.title} ${task.title}`,
+    description: template.description
+  }));
+  
+  // Requests for more subtasks than we have templates get numbered parts
+  for (let part = drafts.length + 1; part <= count; part++) {
+    drafts.push({
+      title: `${task.title} (part ${part})`,
+      description: `Additional implementation work for: ${task.title}`
+    });
+  }
+  
+  return drafts;
+}
+
+/**
+ * JSON Schema of the agent's subtask response
+ */
+const SUBTASKS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      details: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Generate subtask drafts for a task through the Cursor agent,
+ * falling back to the template splitter when no agent is available
+ * @param {Object} task - Task to expand
+ * @param {number} count - Number of subtasks to generate
+ * @param {string} context - Additional context for the agent
+ * @returns {Promise<Object>} Drafts, the source they came from and, on fallback, the agent's error
+ *   ({ drafts, source, agentError })
+ */
+async function generateSubtasks(task, count, context) {
+  const prompt = [
+    `Break down the following task into ${count} subtasks.`,
+    `Task ${task.id}: ${task.title}`,
+    task.description ? `Description: ${task.description}` : '',
+    context ? `Additional context: ${context}` : ''
+  ].filter(Boolean).join('\n');
+  
   try {
-    const tasksPath = getTasksFilePath();
-    
-    if (!fs.existsSync(tasksPath)) {
-      console.error(chalk.red('Tasks file not found. Run "cursor-task init" first.'));
-      return;
+    const response = await invokeCursorAgent(prompt, SUBTASKS_SCHEMA);
+    const drafts = response.slice(0, count).map(item => ({
+      title: item.title.trim(),
+      description: item.description || '',
+      details: item.details || ''
+    }));
+    return { drafts, source: 'agent' };
+  } catch (error) {
+    return { drafts: splitTaskFromTemplates(task, count), source: 'template', agentError: error.message };
+  }
+}
+
+/**
+ * Expand a task (or all pending tasks) into subtasks
+ * @param {Object} options - Expand options
+ * @param {number|string} options.id - ID of the task to expand
+ * @param {number|string} options.num - Number of subtasks to generate
+ * @param {string} options.prompt - Additional context for the expansion
+ * @param {boolean} options.all - Expand all pending tasks
+ * @param {boolean} options.force - Regenerate subtasks for tasks that already have them
+ * @returns {Promise<Object>} Expanded tasks ({ id, title, subtasks: number created, source, agentError,
+ *   trashEntry: entry holding the previous subtasks }) and the IDs of the tasks skipped because they
+ *   already have subtasks ({ expanded, skipped })
+ * @throws {Error} INVALID_OPTIONS error without --id or --all, or when num is not a positive whole
+ *   number; TASK_NOT_FOUND error
+ */
+async function expandTasks(options = {}) {
+  if (!options.all && !options.id) {
+    throw createTaskError('INVALID_OPTIONS', 'Either --id or --all option is required');
+  }
+  
+  // Number() rather than parseInt, so "3abc" or "2.5" are rejected instead of truncated
+  const count = options.num !== undefined && options.num !== null ?
+    Number(options.num) :
+    getConfig().tasks.defaultSubtasks;
+  if (!Number.isInteger(count) || count < 1) {
+    throw createTaskError('INVALID_OPTIONS', `Invalid number of subtasks: ${options.num}. Use a whole number of at least 1.`);
+  }
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  const tasks = tasksData.tasks;
+  
+  let targets;
+  if (options.all) {
+    targets = tasks.filter(task => task.status === 'pending');
+  } else {
+    const id = parseInt(options.id, 10);
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      throw createTaskError('TASK_NOT_FOUND', `Task with ID ${options.id} not found.`);
+    }
+    targets = [task];
+  }
+  
+  const result = { expanded: [], skipped: [] };
+  
+  for (const task of targets) {
+    if (task.subtasks && task.subtasks.length > 0 && !options.force) {
+      result.skipped.push(task.id);
+      continue;
     }
     
-    const tasksData = await fs.readJson(tasksPath);
-    const tasks = tasksData.tasks || [];
-    
-    // Find pending tasks
-    const pendingTasks = tasks.filter(task => task.status === 'pending');
+    const { drafts, source, agentError } = await generateSubtasks(task, count, options.prompt);
     
-    if (pendingTasks.length === 0) {
-      console.log(chalk.green('All tasks are complete or in progress! 🎉'));
-      return;
+    let trashEntry = null;
+    if (task.subtasks && task.subtasks.length > 0) {
+      trashEntry = moveSubtasksToTrash(tasksData, task, 'expand --force').id;
     }
     
-    // Sort tasks by dependencies to find the next available task
-    const sortedTasks = sortTasksByDependencies(pendingTasks, tasks);
+    task.subtasks = drafts.map((draft, index) => ({
+      id: index + 1,
+      title: draft.title,
+      description: draft.description,
+      details: draft.details || '',
+      status: 'pending',
+      dependencies: []
+    }));
+    task.updatedAt = new Date().toISOString();
     
-    // Find the first task with all dependencies met
-    let nextTask = null;
-    for (const task of sortedTasks) {
-      const dependencies = task.dependencies || [];
-      const allDependenciesMet = dependencies.every(dependencyId => {
-        const dependency = tasks.find(t => t.id === dependencyId);
-        return dependency && dependency.status === 'done';
-      });
-      
-      if (allDependenciesMet) {
-        nextTask = task;
-        break;
-      }
+    result.expanded.push({ id: task.id, title: task.title, subtasks: task.subtasks.length, source, agentError, trashEntry });
+  }
+  
+  if (result.expanded.length > 0) {
+    await saveTasksData(file);
+  }
+  
+  return result;
+}
+
+/**
+ * Resolve the IDs given to add/remove-dependency
+ * @param {number|string} taskId - ID of the task or subtask being changed
+ * @param {number|string} dependencyId - ID of the dependency
+ * @param {Array} tasks - Array of tasks
+ * @returns {Object} Graph, node and normalized IDs
+ * @throws {Error} INVALID_ID or TASK_NOT_FOUND error
+ */
+function resolveDependencyIds(taskId, dependencyId, tasks) {
+  const normalizedTaskId = normalizeDependencyId(taskId);
+  const normalizedDependencyId = normalizeDependencyId(dependencyId);
+  
+  if (normalizedTaskId === null || normalizedDependencyId === null) {
+    throw createTaskError('INVALID_ID', `Invalid task ID: ${normalizedTaskId === null ? taskId : dependencyId}`);
+  }
+  
+  const graph = buildDependencyGraph(tasks);
+  const node = graph.get(String(normalizedTaskId));
+  
+  if (!node) {
+    throw createTaskError('TASK_NOT_FOUND', `Task with ID ${normalizedTaskId} not found.`);
+  }
+  
+  return { graph, node, taskKey: String(normalizedTaskId), dependency: normalizedDependencyId };
+}
+
+/**
+ * Add a dependency to a task or subtask
+ * @param {number|string} taskId - ID of the task (or subtask, e.g. "3.2") to change
+ * @param {number|string} dependencyId - ID of the task or subtask it depends on
+ * @returns {Promise<Object>} The updated task ID, the dependency, the task's dependencies and whether
+ *   they changed ({ taskId, dependencyId, dependencies, changed })
+ * @throws {Error} INVALID_ID, TASK_NOT_FOUND, INVALID_DEPENDENCY or CIRCULAR_DEPENDENCY error
+ */
+async function addDependency(taskId, dependencyId) {
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const { graph, node, taskKey, dependency } = resolveDependencyIds(taskId, dependencyId, tasksData.tasks);
+  const dependencyKey = String(dependency);
+  
+  if (dependencyKey === taskKey) {
+    throw createTaskError('INVALID_DEPENDENCY', `Task ${taskKey} cannot depend on itself.`);
+  }
+  
+  if (!graph.has(dependencyKey)) {
+    throw createTaskError('TASK_NOT_FOUND', `Dependency task with ID ${dependencyKey} not found.`);
+  }
+  
+  if (node.parent && dependencyKey === String(node.parent.id)) {
+    throw createTaskError('INVALID_DEPENDENCY', `Subtask ${taskKey} cannot depend on its own task: task ${dependencyKey} is only done once its subtasks are.`);
+  }
+  
+  const dependencies = node.item.dependencies || [];
+  if (dependencies.some(existing => String(existing) === dependencyKey)) {
+    return { taskId: taskKey, dependencyId: dependencyKey, dependencies, changed: false };
+  }
+  
+  // Adding taskKey -> dependencyKey closes a cycle if the dependency already reaches the task
+  const cyclePath = findDependencyPath(graph, dependencyKey, taskKey);
+  if (cyclePath) {
+    throw createTaskError('CIRCULAR_DEPENDENCY', `Adding this dependency would create a cycle: ${[taskKey, ...cyclePath].join(' -> ')}`);
+  }
+  
+  node.item.dependencies = [...dependencies, dependency];
+  node.item.updatedAt = new Date().toISOString();
+  await saveTasksData(file);
+  
+  return { taskId: taskKey, dependencyId: dependencyKey, dependencies: node.item.dependencies, changed: true };
+}
+
+/**
+ * Remove a dependency from a task or subtask
+ * @param {number|string} taskId - ID of the task (or subtask, e.g. "3.2") to change
+ * @param {number|string} dependencyId - ID of the dependency to remove
+ * @returns {Promise<Object>} The updated task ID, the dependency, the task's dependencies and whether
+ *   they changed ({ taskId, dependencyId, dependencies, changed })
+ * @throws {Error} INVALID_ID or TASK_NOT_FOUND error
+ */
+async function removeDependency(taskId, dependencyId) {
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const { node, taskKey, dependency } = resolveDependencyIds(taskId, dependencyId, tasksData.tasks);
+  const dependencyKey = String(dependency);
+  
+  const dependencies = node.item.dependencies || [];
+  const remaining = dependencies.filter(existing => String(existing) !== dependencyKey);
+  
+  if (remaining.length === dependencies.length) {
+    return { taskId: taskKey, dependencyId: dependencyKey, dependencies, changed: false };
+  }
+  
+  node.item.dependencies = remaining;
+  node.item.updatedAt = new Date().toISOString();
+  await saveTasksData(file);
+  
+  return { taskId: taskKey, dependencyId: dependencyKey, dependencies: remaining, changed: true };
+}
+
+/**
+ * Check the tasks file against its schema
+ * The file is not changed. Pending migrations are reported and applied in memory before validating.
+ * @param {Object} options - { file: path to the tasks file }
+ * @returns {Promise<Object>} Whether the file is valid, its path and format version, the pending
+ *   migrations and every problem found ({ valid, file, version, migrations, issues })
+ */
+async function validateTasksFile(options = {}) {
+  const tasksPath = getTasksFilePath(options.file);
+  
+  if (!fs.existsSync(tasksPath)) {
+    throw createTaskError('TASKS_FILE_NOT_FOUND', `Tasks file not found: ${tasksPath}`);
+  }
+  
+  const result = { valid: false, file: tasksPath, version: null, migrations: [], issues: [] };
+  
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(tasksPath, 'utf8'));
+  } catch (error) {
+    result.issues.push({ path: '$', message: `is not valid JSON: ${error.message}` });
+    return result;
+  }
+  
+  if (data !== null && typeof data === 'object' && !Array.isArray(data)) {
+    result.version = getTasksFileVersion(data);
+    try {
+      result.migrations = getPendingMigrations(data).map(migration => migration.version);
+      migrateTasksData(data);
+    } catch (error) {
+      result.issues.push({ path: '$.metadata.version', message: error.message });
     }
+  }
+  
+  result.issues.push(...validateTasksData(data));
+  result.valid = result.issues.length === 0;
+  return result;
+}
+
+/**
+ * Check all task and subtask dependencies for problems
+ * @returns {Promise<Object>} Whether the dependencies are valid and the issues found (see findDependencyIssues)
+ */
+async function validateDependencies() {
+  const file = await loadTasksFile();
+  
+  const issues = findDependencyIssues(file.tasksData.tasks);
+  return { valid: issues.length === 0, issues };
+}
+
+/**
+ * Remove invalid, dangling and duplicate dependencies and break cycles
+ * @returns {Promise<Object>} The dependency edges that were removed
+ */
+async function fixDependencies() {
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const changes = fixDependencyIssues(tasksData.tasks);
+  if (changes.length > 0) {
+    await saveTasksData(file);
+  }
+  
+  return { changes };
+}
+
+/**
+ * Parse a complexity threshold option
+ * @param {number|string} value - Threshold from the CLI or report
+ * @returns {number|null} Threshold between 1 and 10, or null if invalid
+ */
+function parseThreshold(value) {
+  const threshold = Number(value);
+  return Number.isFinite(threshold) && threshold >= 1 && threshold <= 10 ? threshold : null;
+}
+
+/**
+ * Score the complexity of every task that is not done and save a report
+ * @param {Object} options - Analysis options
+ * @param {string} options.file - Path to the tasks file
+ * @param {string} options.output - Path to save the complexity report
+ * @param {number|string} options.threshold - Score above which tasks should be expanded
+ * @returns {Promise<Object>} The saved complexity report, with the path it was saved to (`reportPath`,
+ *   null when there was nothing to analyze) and, if the agent failed, its error (`agentError`)
+ */
+async function analyzeComplexity(options = {}) {
+  const threshold = parseThreshold(options.threshold === undefined ? getConfig().tasks.complexityThreshold : options.threshold);
+  if (threshold === null) {
+    throw createTaskError('INVALID_THRESHOLD', `Invalid threshold: ${options.threshold}. Must be a number from 1 to 10.`);
+  }
+  
+  const file = await loadTasksFile(options.file);
+  const { tasksPath, tasksData } = file;
+  const tasks = tasksData.tasks.filter(task => !isFinal(task.status));
+  
+  if (tasks.length === 0) {
+    return { meta: { tasksFile: tasksPath, threshold, tasksAnalyzed: 0 }, complexityAnalysis: [], reportPath: null };
+  }
+  
+  // Ask the agent for all tasks at once; anything it leaves out is scored heuristically
+  let agentScores = new Map();
+  let method = 'heuristic';
+  let agentError;
+  try {
+    const response = await invokeCursorAgent(buildComplexityPrompt(tasks), COMPLEXITY_SCHEMA);
+    agentScores = new Map(response.tasks.map(entry => [entry.taskId, entry]));
+    method = 'agent';
+  } catch (error) {
+    agentError = error.message;
+  }
+  
+  const now = new Date().toISOString();
+  const complexityAnalysis = tasks.map(task => {
+    const analysis = agentScores.get(task.id) || scoreTaskComplexity(task);
     
-    if (nextTask) {
-      console.log(chalk.green('\nNext task to work on:'));
-      console.log(formatTask(nextTask, tasks));
-    } else {
-      console.log(chalk.yellow('\nNo available tasks found. All pending tasks have unmet dependencies.'));
-      
-      // Show blocked tasks
-      console.log(chalk.yellow('\nBlocked tasks:'));
-      sortedTasks.slice(0, 3).forEach(task => {
-        console.log(chalk.dim(formatTask(task, tasks)));
-        
-        // Show missing dependencies
-        const missingDeps = task.dependencies.filter(depId => {
-          const dependency = tasks.find(t => t.id === depId);
-          return dependency && dependency.status !== 'done';
-        });
-        
-        if (missingDeps.length > 0) {
-          console.log(chalk.red('  Waiting on:'));
-          missingDeps.forEach(depId => {
-            const dependency = tasks.find(t => t.id === depId);
-            if (dependency) {
-              console.log(chalk.red(`  - ${dependency.id}: ${dependency.title} [${dependency.status}]`));
-            }
-          });
+    task.complexity = analysis.complexityScore;
+    task.updatedAt = now;
+    
+    return {
+      taskId: task.id,
+      taskTitle: task.title,
+      complexityScore: analysis.complexityScore,
+      recommendedSubtasks: analysis.recommendedSubtasks,
+      reasoning: analysis.reasoning,
+      expansionCommand: buildExpansionCommand(task, analysis.recommendedSubtasks)
+    };
+  });
+  
+  const report = {
+    meta: {
+      generatedAt: now,
+      tasksFile: tasksPath,
+      threshold,
+      tasksAnalyzed: complexityAnalysis.length,
+      method
+    },
+    complexityAnalysis
+  };
+  
+  const reportPath = getComplexityReportPath(options.output);
+  await writeJsonAtomic(reportPath, report);
+  
+  await saveTasksData(file);
+  
+  return { ...report, reportPath, agentError };
+}
+
+/**
+ * Read a saved complexity report
+ * @param {string} reportFile - Path to the complexity report
+ * @param {Object} options - { threshold: highlight tasks scoring above it (defaults to the report's) }
+ * @returns {Promise<Object>} The report, its entries sorted from the most complex, with the threshold
+ *   used and the report's path ({ meta, complexityAnalysis, threshold, reportPath })
+ * @throws {Error} FILE_NOT_FOUND or INVALID_THRESHOLD error
+ */
+async function showComplexityReport(reportFile, options = {}) {
+  const reportPath = getComplexityReportPath(reportFile);
+  
+  if (!fs.existsSync(reportPath)) {
+    throw createTaskError('FILE_NOT_FOUND', `Complexity report not found: ${reportPath}. Run "cursor-task analyze-complexity" first.`);
+  }
+  
+  const report = await fs.readJson(reportPath);
+  const meta = report.meta || {};
+  const threshold = parseThreshold(
+    options.threshold !== undefined ? options.threshold : (meta.threshold || getConfig().tasks.complexityThreshold)
+  );
+  if (threshold === null) {
+    throw createTaskError('INVALID_THRESHOLD', `Invalid threshold: ${options.threshold}. Must be a number from 1 to 10.`);
+  }
+  
+  const complexityAnalysis = [...(report.complexityAnalysis || [])]
+    .sort((a, b) => b.complexityScore - a.complexityScore || a.taskId - b.taskId);
+  
+  return { ...report, meta, complexityAnalysis, threshold, reportPath };
+}
+
+/**
+ * JSON Schema of the Cursor agent's rewritten tasks
+ */
+const UPDATED_TASKS_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'description', 'implementation'],
+        properties: {
+          id: { type: 'integer' },
+          description: { type: 'string' },
+          implementation: { type: 'string' }
         }
-      });
+      }
     }
-  } catch (error) {
-    console.error(chalk.red(`Error showing next task: ${error.message}`));
-    throw error;
   }
+};
+
+/**
+ * Find the tasks that transitively depend on a task
+ * A task counts as dependent when it or any of its subtasks depends on the task
+ * (or one of its subtasks), directly or through other tasks.
+ * @param {Array} tasks - Array of tasks
+ * @param {number} taskId - ID of the task
+ * @returns {Array<Object>} Dependent tasks
+ */
+function findDependentTasks(tasks, taskId) {
+  const graph = buildDependencyGraph(tasks);
+  const targetKeys = [...graph.keys()].filter(key => key === String(taskId) || key.startsWith(`${taskId}.`));
+  
+  return tasks.filter(task => {
+    if (task.id === taskId) {
+      return false;
+    }
+    const ownKeys = [String(task.id), ...(task.subtasks || []).map(subtask => `${task.id}.${subtask.id}`)];
+    return ownKeys.some(key => targetKeys.some(target => findDependencyPath(graph, key, target)));
+  });
 }
 
 /**
- * Show details of a specific task
- * @param {number|string} taskId - ID of the task to show
+ * Rewrite downstream tasks to reflect implementation changes
+ * Done tasks are never modified.
+ * @param {number|string} fromId - Task ID to update from
+ * @param {string} prompt - Context about the implementation changes
+ * @param {Object} options - Update options
+ * @param {boolean} options.dependents - Only update tasks that transitively depend on `fromId`
+ * @param {boolean} options.yes - Apply the changes without asking for confirmation
+ * @param {Function} options.confirm - Asked with the proposed changes unless `yes` is set; resolves to
+ *   whether to apply them
+ * @returns {Promise<Object>} IDs of the tasks considered and of those updated, the proposed changes
+ *   ({ id, title, description: { before, after }, implementation: { before, after } }), whether they
+ *   were applied and, if the agent failed, its error ({ targets, updated, changes, applied, agentError })
+ * @throws {Error} INVALID_ID, TASK_NOT_FOUND or CONFIRMATION_REQUIRED error (without `yes` or `confirm`)
  */
-async function showTask(taskId) {
+async function updateTasks(fromId, prompt, options = {}) {
+  const id = parseInt(fromId, 10);
+  if (!Number.isInteger(id)) {
+    throw createTaskError('INVALID_ID', `Invalid task ID: ${fromId}`);
+  }
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  const tasks = tasksData.tasks;
+  
+  if (options.dependents && !tasks.some(task => task.id === id)) {
+    throw createTaskError('TASK_NOT_FOUND', `Task with ID ${id} not found.`);
+  }
+  
+  const candidates = options.dependents ? findDependentTasks(tasks, id) : tasks.filter(task => task.id >= id);
+  const targets = candidates.filter(task => !isFinal(task.status));
+  
+  const result = { targets: targets.map(task => task.id), updated: [], changes: [], applied: false };
+  if (targets.length === 0) {
+    return result;
+  }
+  
+  const agentPrompt = [
+    'The implementation has changed. Rewrite the description and implementation notes of the tasks below',
+    'so they reflect the change. Keep everything that is still accurate.',
+    '',
+    `Change: ${prompt}`,
+    '',
+    ...targets.map(task => [
+      `Task ${task.id}: ${task.title}`,
+      `  Description: ${task.description || ''}`,
+      `  Implementation: ${task.implementation || ''}`
+    ].join('\n'))
+  ].join('\n');
+  
+  let rewrites = new Map();
   try {
-    const tasksPath = getTasksFilePath();
+    const response = await invokeCursorAgent(agentPrompt, UPDATED_TASKS_SCHEMA);
+    rewrites = new Map(response.tasks.map(entry => [entry.id, entry]));
+  } catch (error) {
+    result.agentError = error.message;
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  const changes = targets.map(task => {
+    const rewrite = rewrites.get(task.id);
+    const note = `Update (${date}): ${prompt}`;
+    return {
+      task,
+      description: rewrite ? rewrite.description : (task.description || ''),
+      implementation: rewrite ?
+        rewrite.implementation :
+        [task.implementation, note].filter(Boolean).join('\n')
+    };
+  }).filter(change =>
+    change.description !== (change.task.description || '') ||
+    change.implementation !== (change.task.implementation || '')
+  );
+  
+  
+  result.changes = changes.map(change => ({
+    id: change.task.id,
+    title: change.task.title,
+    description: { before: change.task.description || '', after: change.description },
+    implementation: { before: change.task.implementation || '', after: change.implementation }
+  }));
+  if (changes.length === 0) {
+    return result;
+  }
+  
+  if (!options.yes) {
+    if (!options.confirm) {
+      throw createTaskError('CONFIRMATION_REQUIRED', 'Confirmation required. Re-run with --yes to apply the changes non-interactively.');
+    }
+    if (!(await options.confirm(result.changes))) {
+      return result;
+    }
+  }
+  
+  const now = new Date().toISOString();
+  changes.forEach(change => {
+    change.task.description = change.description;
+    change.task.implementation = change.implementation;
+    change.task.updatedAt = now;
+  });
+  
+  await saveTasksData(file);
+  
+  return { ...result, updated: changes.map(change => change.task.id), applied: true };
+}
+
+/**
+ * Get the directory of the task files of a tag
+ * @param {string} tag - Tag name
+ * @returns {string} The tasks directory for the default tag, a subdirectory named after the tag otherwise
+ */
+function getTagTasksDir(tag) {
+  return tag === DEFAULT_TAG ? getTasksDir() : path.join(getTasksDir(), tag);
+}
+
+/**
+ * Write one Markdown file per task into the tasks directory (of the active tag)
+ * Files of tasks that no longer exist are removed.
+ * @returns {Promise<Object>} The directory and the generated and removed file names ({ directory, generated, removed })
+ */
+async function generateTaskFiles() {
+  const file = await loadTasksFile();
+  const tasks = file.tasksData.tasks;
+  
+  const tasksDir = getTagTasksDir(file.tag);
+  await fs.ensureDir(tasksDir);
+  const generated = [];
+  
+  for (const task of tasks) {
+    const fileName = getTaskFileName(task.id);
+    await fs.writeFile(path.join(tasksDir, fileName), renderTaskFile(task), 'utf8');
+    generated.push(fileName);
+  }
+  
+  const removed = (await fs.readdir(tasksDir))
+    .filter(name => /^task_\d+\.md$/.test(name) && !generated.includes(name));
+  for (const name of removed) {
+    await fs.remove(path.join(tasksDir, name));
+  }
+  
+  return { directory: tasksDir, generated, removed };
+}
+
+/**
+ * Apply the fields parsed from a task file to the task
+ * Checked and unchecked subtasks follow the workflow like `set-status`, and the task's
+ * status then rolls up from its subtasks (see rollUpStatus).
+ * @param {Object} task - Task to update (mutated)
+ * @param {Object} parsed - Fields from parseTaskFile
+ * @param {Object} options - { autoComplete: complete the task once all its subtasks are done }
+ * @returns {Object} Descriptions of what changed and of the values ignored, subtask changes the workflow
+ *   does not allow and the status the task rolled up to
+ *   ({ changes, ignored, rejected: [{ id, from, to }], rolledUp: { from, to } | null })
+ */
+function applyTaskFile(task, parsed, options = {}) {
+  const changes = [];
+  const ignored = [];
+  const rejected = [];
+  let subtasksChanged = false;
+  const validPriorities = ['low', 'medium', 'high'];
+  
+  if (parsed.status !== undefined && parsed.status !== task.status) {
+    if (!getStatus(parsed.status)) {
+      ignored.push(`invalid status "${parsed.status}"`);
+    } else if (!canTransition(task.status, parsed.status)) {
+      ignored.push(`status "${parsed.status}", which cannot follow "${task.status}"`);
+    } else {
+      changes.push(`status: ${task.status} -> ${parsed.status}`);
+      task.status = parsed.status;
+    }
+  }
+  
+  if (parsed.priority !== undefined && parsed.priority !== (task.priority || 'medium')) {
+    if (validPriorities.includes(parsed.priority)) {
+      changes.push(`priority: ${task.priority || 'medium'} -> ${parsed.priority}`);
+      task.priority = parsed.priority;
+    } else {
+      ignored.push(`invalid priority "${parsed.priority}"`);
+    }
+  }
+  
+  if (Array.isArray(parsed.dependencies)) {
+    const dependencies = parsed.dependencies.map(normalizeDependencyId).filter(id => id !== null);
+    if (JSON.stringify(dependencies) !== JSON.stringify(task.dependencies || [])) {
+      changes.push(`dependencies: [${(task.dependencies || []).join(', ')}] -> [${dependencies.join(', ')}]`);
+      task.dependencies = dependencies;
+    }
+  }
+  
+  if (parsed.title && parsed.title !== task.title) {
+    changes.push('title');
+    task.title = parsed.title;
+  }
+  
+  ['description', 'implementation', 'testStrategy'].forEach(field => {
+    if (parsed[field] !== undefined && parsed[field] !== (task[field] || '').trim()) {
+      changes.push(field);
+      task[field] = parsed[field];
+    }
+  });
+  
+  if (parsed.acceptanceCriteria &&
+      JSON.stringify(parsed.acceptanceCriteria) !== JSON.stringify(task.acceptanceCriteria || [])) {
+    changes.push('acceptance criteria');
+    task.acceptanceCriteria = parsed.acceptanceCriteria;
+  }
+  
+  task.subtasks = task.subtasks || [];
+  parsed.subtasks.forEach(item => {
+    const subtask = item.id !== null ? task.subtasks.find(s => s.id === item.id) : null;
     
-    if (!fs.existsSync(tasksPath)) {
-      console.error(chalk.red('Tasks file not found. Run "cursor-task init" first.'));
+    if (!subtask) {
+      // Checklist lines without a known ID become new subtasks
+      const id = task.subtasks.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+      task.subtasks.push({
+        id,
+        title: item.title,
+        description: '',
+        status: item.done ? 'done' : 'pending',
+        dependencies: []
+      });
+      changes.push(`added subtask ${task.id}.${id}`);
+      subtasksChanged = true;
       return;
     }
     
-    const tasksData = await fs.readJson(tasksPath);
-    const tasks = tasksData.tasks || [];
-    
-    // Convert string ID to number if needed
-    const id = parseInt(taskId, 10);
+    let status = null;
+    if (item.done && subtask.status !== 'done') {
+      status = 'done';
+    } else if (!item.done && subtask.status === 'done') {
+      status = 'pending';
+    }
+    if (status && !canTransition(subtask.status, status)) {
+      rejected.push({ id: `${task.id}.${subtask.id}`, from: subtask.status, to: status });
+    } else if (status) {
+      changes.push(`subtask ${task.id}.${subtask.id}: ${subtask.status} -> ${status}`);
+      subtask.status = status;
+      subtasksChanged = true;
+    }
     
-    const task = getTaskById(id, tasks);
+    if (item.title !== subtask.title) {
+      changes.push(`subtask ${task.id}.${subtask.id} title`);
+      subtask.title = item.title;
+    }
+  });
+  
+  let rolledUp = null;
+  const status = subtasksChanged ? rollUpStatus(task, options.autoComplete) : null;
+  if (status) {
+    rolledUp = { from: task.status, to: status };
+    changes.push(`status: ${task.status} -> ${status} (from subtasks)`);
+    task.status = status;
+  }
+  
+  return { changes, ignored, rejected, rolledUp };
+}
+
+/**
+ * Sync edits made to the task files back into tasks.json
+ * @returns {Promise<Object>} The tasks file, changes and ignored values per task ID, files that could not be
+ *   synced, subtask changes the workflow does not allow and the tasks whose status followed their subtasks
+ *   ({ file, changed, ignored, skipped: [{ file, reason }], rejected: [{ id, from, to }], rolledUp: [{ id, from, to }] })
+ * @throws {Error} FILE_NOT_FOUND error if the task files were never generated
+ */
+async function syncTaskFiles() {
+  const file = await loadTasksFile();
+  const { tasksPath, tasksData } = file;
+  
+  const tasksDir = getTagTasksDir(file.tag);
+  if (!fs.existsSync(tasksDir)) {
+    throw createTaskError('FILE_NOT_FOUND', `Tasks directory not found: ${tasksDir}. Run "cursor-task generate" first.`);
+  }
+  
+  const fileNames = (await fs.readdir(tasksDir)).filter(name => /^task_\d+\.md$/.test(name)).sort();
+  const result = { file: tasksPath, changed: {}, ignored: {}, skipped: [], rejected: [], rolledUp: [] };
+  const autoComplete = getConfig().tasks.autoCompleteParents;
+  
+  for (const fileName of fileNames) {
+    let parsed;
+    try {
+      parsed = parseTaskFile(await fs.readFile(path.join(tasksDir, fileName), 'utf8'));
+    } catch (error) {
+      result.skipped.push({ file: fileName, reason: error.message });
+      continue;
+    }
     
+    const task = tasksData.tasks.find(t => t.id === parsed.id);
     if (!task) {
-      console.error(chalk.red(`Task with ID ${id} not found.`));
-      return;
+      result.skipped.push({ file: fileName, reason: `task ${parsed.id} does not exist in tasks.json` });
+      continue;
     }
     
-    console.log(formatTask(task, tasks));
-    
-    // Show subtasks if any
-    if (task.subtasks && task.subtasks.length > 0) {
-      console.log(chalk.blue('\nSubtasks:'));
-      
-      task.subtasks.forEach(subtask => {
-        const statusColor = subtask.status === 'done' ? chalk.green : 
-                           subtask.status === 'in-progress' ? chalk.yellow : chalk.dim;
-        console.log(statusColor(`- ${subtask.id}: ${subtask.title} [${subtask.status}]`));
-      });
+    const { changes, ignored, rejected, rolledUp } = applyTaskFile(task, parsed, { autoComplete });
+    if (ignored.length > 0) {
+      result.ignored[task.id] = ignored;
     }
-    
-  } catch (error) {
-    console.error(chalk.red(`Error showing task: ${error.message}`));
-    throw error;
+    result.rejected.push(...rejected);
+    if (rolledUp) {
+      result.rolledUp.push({ id: task.id, ...rolledUp });
+    }
+    if (changes.length > 0) {
+      task.updatedAt = new Date().toISOString();
+      result.changed[task.id] = changes;
+    }
+  }
+  
+  if (Object.keys(result.changed).length > 0) {
+    await saveTasksData(file);
   }
+  
+  return result;
 }
 
 /**
- * Set the status of a task or multiple tasks
- * @param {Array<number|string>} taskIds - Array of task IDs to update
- * @param {string} status - New status (pending, in-progress, done)
+ * JSON Schema of the Cursor agent's task draft
+ */
+const TASK_DRAFT_SCHEMA = {
+  type: 'object',
+  required: ['title', 'description'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    implementation: { type: 'string' },
+    testStrategy: { type: 'string' },
+    suggestedDependencies: { type: 'array', items: { type: 'integer' } }
+  }
+};
+
+/**
+ * Draft a task from a free-form prompt through the Cursor agent
+ * Falls back to using the prompt itself when the agent is unavailable.
+ * @param {string} prompt - Description of the new task
+ * @param {Array} tasks - Existing tasks, given to the agent as context
+ * @returns {Promise<Object>} Draft ({ title, description, implementation, testStrategy, suggestedDependencies },
+ *   or { title, description, agentError } on fallback)
  */
-async function setTaskStatus(taskIds, status) {
+async function draftTask(prompt, tasks) {
+  const agentPrompt = [
+    'Draft a new development task from the request below. Give it a short title, a description,',
+    'implementation details and a test strategy. If it clearly builds on existing tasks, list their IDs',
+    'in "suggestedDependencies".',
+    '',
+    `Request: ${prompt}`,
+    '',
+    'Existing tasks:',
+    ...tasks.map(task => `  ${task.id}: ${task.title} [${task.status}]`)
+  ].join('\n');
+  
+  let agentError;
   try {
-    const tasksPath = getTasksFilePath();
-    
-    if (!fs.existsSync(tasksPath)) {
-      console.error(chalk.red('Tasks file not found. Run "cursor-task init" first.'));
-      return;
+    return await invokeCursorAgent(agentPrompt, TASK_DRAFT_SCHEMA);
+  } catch (error) {
+    agentError = error.message;
+  }
+  
+  const firstSentence = prompt.trim().split(/(?<=[.!?])\s|\n/)[0].replace(/[.!?]$/, '');
+  return {
+    title: firstSentence.length > 80 ? `${firstSentence.substring(0, 77)}...` : firstSentence,
+    description: prompt.trim(),
+    agentError
+  };
+}
+
+/**
+ * Add a new task
+ * @param {string} prompt - Description of the new task (drafted through the Cursor agent)
+ * @param {Array<number|string>} dependencies - IDs of tasks or subtasks the new task depends on
+ * @param {string} priority - Task priority (low, medium, high)
+ * @param {Object} options - { manual: skip the agent, title and description: literal values for manual mode,
+ *   estimate: effort such as "4h" or "2d" }
+ * @returns {Promise<Object>} The new task, suggested extra dependencies ({ id, title, score, sharedWords },
+ *   with a null score for the agent's suggestions) and, if the agent failed, its error
+ *   ({ task, suggestedDependencies, agentError })
+ * @throws {Error} INVALID_PRIORITY, INVALID_ESTIMATE, INVALID_OPTIONS or TASK_NOT_FOUND error
+ */
+async function addTask(prompt, dependencies = [], priority = 'medium', options = {}) {
+  const validPriorities = ['low', 'medium', 'high'];
+  const taskPriority = priority || 'medium';
+  if (!validPriorities.includes(taskPriority)) {
+    throw createTaskError('INVALID_PRIORITY', `Invalid priority: ${taskPriority}. Must be one of: ${validPriorities.join(', ')}`);
+  }
+  
+  const estimate = options.estimate !== undefined ?
+    parseEstimate(options.estimate, getScheduleSettings()) :
+    null;
+  
+  if (options.manual ? !options.title : !prompt) {
+    throw createTaskError('INVALID_OPTIONS', options.manual ?
+      '--title is required with --manual' :
+      '--prompt is required (or use --manual with --title)');
+  }
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  const tasks = tasksData.tasks;
+  
+  // Check that the given dependencies exist
+  const graph = buildDependencyGraph(tasks);
+  const taskDependencies = [];
+  for (const raw of dependencies) {
+    const dependency = normalizeDependencyId(raw);
+    if (dependency === null || !graph.has(String(dependency))) {
+      throw createTaskError('TASK_NOT_FOUND', `Dependency task with ID ${raw} not found.`);
     }
-    
-    const tasksData = await fs.readJson(tasksPath);
-    const tasks = tasksData.tasks || [];
-    
-    // Validate status
-    const validStatuses = ['pending', 'in-progress', 'done'];
-    if (!validStatuses.includes(status)) {
-      console.error(chalk.red(`Invalid status: ${status}. Must be one of: ${validStatuses.join(', ')}`));
+    if (!taskDependencies.includes(dependency)) {
+      taskDependencies.push(dependency);
+    }
+  }
+  
+  const draft = options.manual ?
+    { title: options.title, description: options.description || '' } :
+    await draftTask(prompt, tasks);
+  
+  const now = new Date().toISOString();
+  const newTask = {
+    id: tasks.reduce((max, task) => Math.max(max, task.id), 0) + 1,
+    title: draft.title,
+    description: draft.description,
+    status: 'pending',
+    priority: taskPriority,
+    complexity: null,
+    dependencies: taskDependencies,
+    subtasks: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  if (draft.implementation) {
+    newTask.implementation = draft.implementation;
+  }
+  if (draft.testStrategy) {
+    newTask.testStrategy = draft.testStrategy;
+  }
+  if (estimate !== null) {
+    newTask.estimate = estimate;
+  }
+  
+  tasks.push(newTask);
+  await saveTasksData(file);
+  
+  // Suggest extra dependencies from the agent and from similar existing tasks
+  const exclude = [newTask.id, ...taskDependencies.map(String)];
+  const suggestions = suggestDependencies(newTask, tasks, { exclude });
+  (draft.suggestedDependencies || []).forEach(id => {
+    const task = tasks.find(t => t.id === id);
+    if (task && !exclude.includes(String(id)) && !suggestions.some(s => s.id === id)) {
+      suggestions.push({ id, title: task.title, score: null, sharedWords: [] });
+    }
+  });
+  
+  return { task: newTask, suggestedDependencies: suggestions, agentError: draft.agentError };
+}
+
+/**
+ * Clear subtasks from the given tasks, keeping a snapshot in the trash
+ * @param {Array<number|string>} taskIds - IDs of the tasks to clear
+ * @returns {Promise<Object>} IDs of the cleared tasks, the trash entries created and the tasks that had
+ *   no subtasks, and the dependencies left pointing at cleared subtasks
+ *   ({ cleared, entries, empty, dependencyIssues })
+ * @throws {Error} TASK_NOT_FOUND error if any of the tasks does not exist
+ */
+async function clearSubtasks(taskIds) {
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const result = { cleared: [], entries: [], empty: [], dependencyIssues: [] };
+  
+  // Check every ID before clearing anything
+  const tasks = taskIds.map(taskId => {
+    const task = tasksData.tasks.find(t => t.id === parseInt(taskId, 10));
+    if (!task) {
+      throw createTaskError('TASK_NOT_FOUND', `Task with ID ${taskId} not found.`);
+    }
+    return task;
+  });
+  
+  tasks.forEach(task => {
+    const id = task.id;
+    if (!task.subtasks || task.subtasks.length === 0) {
+      result.empty.push(id);
       return;
     }
     
-    // Convert string IDs to numbers
-    const ids = taskIds.map(id => parseInt(id, 10));
-    
-    let updated = 0;
-    
-    // Update each task
-    tasks.forEach(task => {
-      if (ids.includes(task.id)) {
-        task.status = status;
-        task.updatedAt = new Date().toISOString();
-        updated++;
+    const entry = moveSubtasksToTrash(tasksData, task, 'clear-subtasks');
+    result.cleared.push(id);
+    result.entries.push(entry.id);
+  });
+  
+  if (result.cleared.length === 0) {
+    return result;
+  }
+  
+  await saveTasksData(file);
+  
+  result.dependencyIssues = findDependencyIssues(tasksData.tasks).filter(issue => issue.type === 'missing');
+  return result;
+}
+
+/**
+ * Clear subtasks from every task, keeping snapshots in the trash
+ * @returns {Promise<Object>} Same as clearSubtasks
+ */
+async function clearAllSubtasks() {
+  const file = await loadTasksFile();
+  
+  const ids = file.tasksData.tasks
+    .filter(task => task.subtasks && task.subtasks.length > 0)
+    .map(task => task.id);
+  
+  if (ids.length === 0) {
+    return { cleared: [], entries: [], empty: [], dependencyIssues: [] };
+  }
+  
+  return await clearSubtasks(ids);
+}
+
+/**
+ * Restore a task's subtasks from the trash
+ * Subtasks the task currently has are moved to the trash, so a restore can itself be undone.
+ * @param {number|string} taskId - ID of the task
+ * @param {Object} options - { entry: trash entry to restore (defaults to the latest), list: only list entries }
+ * @returns {Promise<Object>} The restored entry and the entry the task's previous subtasks went to
+ *   ({ taskId, entry, replaced: entry ID or null }), or the task's entries when listing ({ taskId, entries })
+ * @throws {Error} TASK_NOT_FOUND error, or ENTRY_NOT_FOUND error if there is nothing to restore
+ */
+async function restoreSubtasks(taskId, options = {}) {
+  const id = parseInt(taskId, 10);
+  
+  const file = await loadTasksFile();
+  const { tasksData } = file;
+  
+  const task = tasksData.tasks.find(t => t.id === id);
+  if (!task) {
+    throw createTaskError('TASK_NOT_FOUND', `Task with ID ${taskId} not found.`);
+  }
+  
+  const entries = (tasksData.trash || []).filter(entry => entry.taskId === id);
+  
+  if (options.list) {
+    return { taskId: id, entries };
+  }
+  
+  const entry = options.entry !== undefined ?
+    entries.find(candidate => candidate.id === parseInt(options.entry, 10)) :
+    entries[entries.length - 1];
+  
+  if (!entry) {
+    throw createTaskError('ENTRY_NOT_FOUND', options.entry !== undefined ?
+      `Trash entry #${options.entry} for task ${id} not found.` :
+      `No trashed subtasks for task ${id}.`);
+  }
+  
+  tasksData.trash = tasksData.trash.filter(candidate => candidate !== entry);
+  let replaced = null;
+  if (task.subtasks && task.subtasks.length > 0) {
+    replaced = moveSubtasksToTrash(tasksData, task, 'restore-subtasks').id;
+  }
+  
+  task.subtasks = entry.subtasks;
+  task.updatedAt = new Date().toISOString();
+  await saveTasksData(file);
+  
+  return { taskId: id, entry, replaced };
+}
+
+/**
+ * Check whether a change of the history touches a task or subtask
+ * @param {Object} change - Change from a history entry
+ * @param {number|string} id - Task ID, or subtask ID such as "3.2"
+ * @param {string} tag - Tag the task belongs to
+ * @returns {boolean} Whether the task or subtask was changed
+ */
+function changeTouches(change, id, tag) {
+  const [taskId, subtaskId] = String(id).split('.').map(Number);
+  if (change.type !== 'task' || (change.tag || DEFAULT_TAG) !== tag || change.id !== taskId) {
+    return false;
+  }
+  if (subtaskId === undefined) {
+    return true;
+  }
+  
+  const find = task => (task && task.subtasks ? task.subtasks.find(subtask => subtask.id === subtaskId) : undefined);
+  return JSON.stringify(find(change.before)) !== JSON.stringify(find(change.after));
+}
+
+/**
+ * Browse the change history of the tasks file
+ * @param {Object} options - { id: only changes to this task or subtask of the active tag,
+ *   limit: number of entries (latest) }
+ * @returns {Promise<Object>} The log path, matching entries (oldest first) with a description of
+ *   each change, their number, and the entries undo and redo would apply
+ *   ({ file, entries: [{ ..., changes: [{ ..., summary }] }], total, undo, redo })
+ */
+async function showHistory(options = {}) {
+  const tasksPath = getTasksFilePath();
+  const history = await readHistory(tasksPath);
+  let entries = history;
+  
+  if (options.id !== undefined) {
+    const id = normalizeDependencyId(options.id);
+    if (id === null) {
+      throw createTaskError('INVALID_ID', `Invalid task ID: ${options.id}`);
+    }
+    // IDs are per tag
+    const { tag } = await loadTasksFile();
+    entries = entries
+      .map(entry => ({ ...entry, changes: entry.changes.filter(change => changeTouches(change, id, tag)) }))
+      .filter(entry => entry.changes.length > 0);
+  }
+  
+  const limit = options.limit !== undefined ? parseInt(options.limit, 10) : 20;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw createTaskError('INVALID_LIMIT', `Invalid limit: ${options.limit}`);
+  }
+  
+  const { undoable, redoable } = getUndoState(history);
+  const describe = entry => entry && { id: entry.id, operation: entry.operation, actor: entry.actor, timestamp: entry.timestamp };
+  
+  return {
+    file: getHistoryPath(tasksPath),
+    entries: entries.slice(-limit).map(entry => ({
+      ...entry,
+      changes: entry.changes.map(change => ({ ...change, summary: describeChange(change) }))
+    })),
+    total: entries.length,
+    undo: describe(undoable[undoable.length - 1]) || null,
+    redo: describe(redoable[redoable.length - 1]) || null
+  };
+}
+
+/**
+ * Take back or re-apply the latest change in the history
+ * @param {string} direction - "undo" or "redo"
+ * @returns {Promise<Object>} The entry that was undone or redone and the number of changes
+ *   ({ entry: { id, operation, actor, timestamp }, changes })
+ * @throws {Error} NOTHING_TO_UNDO / NOTHING_TO_REDO, or HISTORY_CONFLICT when the tasks it
+ *   changed have been changed again since
+ */
+async function replayHistory(direction) {
+  // Entries can span tags, so they are applied to the whole file
+  const file = await loadTasksFile(undefined, { allTags: true });
+  const { undoable, redoable } = getUndoState(await readHistory(file.tasksPath));
+  const stack = direction === 'undo' ? undoable : redoable;
+  const entry = stack[stack.length - 1];
+  
+  if (!entry) {
+    throw createTaskError(`NOTHING_TO_${direction.toUpperCase()}`, `Nothing to ${direction}.`);
+  }
+  
+  const conflicts = applyChanges(file.document, entry.changes, direction);
+  if (conflicts.length > 0) {
+    throw createTaskError(
+      'HISTORY_CONFLICT',
+      `Cannot ${direction} #${entry.id} (${entry.operation || 'change'}): ${conflicts.join(', ')} changed since. ` +
+      `Run "cursor-task history" to see the later changes.`
+    );
+  }
+  
+  await saveTasksData(file, { history: direction === 'undo' ? { undoes: entry.id } : { redoes: entry.id } });
+  
+  return {
+    entry: { id: entry.id, operation: entry.operation, actor: entry.actor, timestamp: entry.timestamp },
+    changes: entry.changes.length
+  };
+}
+
+/**
+ * Undo the latest change to the tasks file that has not been undone
+ * @returns {Promise<Object>} See replayHistory
+ */
+async function undoChange() {
+  return replayHistory('undo');
+}
+
+/**
+ * Redo the latest undone change
+ * @returns {Promise<Object>} See replayHistory
+ */
+async function redoChange() {
+  return replayHistory('redo');
+}
+
+/**
+ * List the tags of the tasks file
+ * @returns {Promise<Object>} The active tag, why it is active and every tag with its number of
+ *   tasks and final tasks ({ active, source, tags: [{ name, description, createdAt, tasks, done, active }] })
+ */
+async function listTags() {
+  const { document } = await loadTasksFile(undefined, { allTags: true });
+  const active = resolveTag(document);
+  
+  const tags = getTagNames(document).map(name => {
+    const context = selectTag(document, name);
+    const tasks = context.tasks || [];
+    return {
+      name,
+      description: name === DEFAULT_TAG ? null : context.description || null,
+      createdAt: name === DEFAULT_TAG ? document.metadata.created || null : context.createdAt || null,
+      tasks: tasks.length,
+      done: tasks.filter(task => isFinal(task.status)).length,
+      active: name === active.name
+    };
+  });
+  
+  return { active: active.name, source: active.source, tags };
+}
+
+/**
+ * Create a tag, empty or with a copy of the tasks of another tag
+ * @param {string} name - Tag name (defaults to the current git branch with `fromBranch`)
+ * @param {Object} options - { copyFrom: tag whose tasks are copied, description, fromBranch: name the tag after the git branch }
+ * @returns {Promise<Object>} The new tag, where its tasks came from and how many there are ({ tag, copiedFrom, tasks })
+ * @throws {Error} INVALID_TAG, TAG_EXISTS or TAG_NOT_FOUND (for `copyFrom`) error
+ */
+async function addTag(name, options = {}) {
+  let tag = name;
+  if (!tag && options.fromBranch) {
+    tag = getGitBranch(getConfig().projectRoot);
+    if (!tag) {
+      throw createTaskError('INVALID_TAG', 'Not on a git branch; give the tag a name.');
+    }
+  }
+  if (!tag) {
+    throw createTaskError('INVALID_TAG', 'Give the tag a name, or use --from-branch to name it after the git branch.');
+  }
+  assertTagName(tag);
+  
+  const file = await loadTasksFile(undefined, { allTags: true });
+  const { document } = file;
+  if (hasTag(document, tag)) {
+    throw createTaskError('TAG_EXISTS', `Tag "${tag}" already exists.`);
+  }
+  
+  // Copies are independent: the same IDs, but changes to one tag do not affect the other
+  const tasks = options.copyFrom ? JSON.parse(JSON.stringify(selectTag(document, options.copyFrom).tasks)) : [];
+  
+  document.tags = document.tags || {};
+  document.tags[tag] = {
+    tasks,
+    ...(options.description ? { description: options.description } : {}),
+    createdAt: new Date().toISOString()
+  };
+  await saveTasksData(file);
+  
+  return { tag, copiedFrom: options.copyFrom || null, tasks: tasks.length };
+}
+
+/**
+ * Copy a tag with its tasks into a new tag
+ * @param {string} source - Tag to copy
+ * @param {string} target - Name of the new tag
+ * @param {Object} options - { description }
+ * @returns {Promise<Object>} See addTag
+ */
+async function copyTag(source, target, options = {}) {
+  return addTag(target, { ...options, copyFrom: source });
+}
+
+/**
+ * Make a tag the one commands work on
+ * The choice is stored in the tasks file; --tag, CURSOR_TASK_TAG and the git branch
+ * (with `tags.fromGitBranch`) still take precedence.
+ * @param {string} name - Tag name
+ * @returns {Promise<Object>} The chosen tag, the one it replaces and the tag commands will
+ *   actually use ({ tag, previous, active: { name, source } })
+ * @throws {Error} TAG_NOT_FOUND error if the tag does not exist
+ */
+async function useTag(name) {
+  const file = await loadTasksFile(undefined, { allTags: true });
+  const { document } = file;
+  selectTag(document, name);
+  
+  const previous = document.metadata.currentTag || DEFAULT_TAG;
+  if (name === DEFAULT_TAG) {
+    delete document.metadata.currentTag;
+  } else {
+    document.metadata.currentTag = name;
+  }
+  if (previous !== name) {
+    await saveTasksData(file);
+  }
+  
+  return { tag: name, previous, active: resolveTag(document) };
+}
+
+/**
+ * Delete a tag and its tasks
+ * The deletion is recorded in the history, so `undo` brings the tag back.
+ * @param {string} name - Tag name
+ * @returns {Promise<Object>} The deleted tag and its number of tasks ({ tag, tasks })
+ * @throws {Error} INVALID_TAG error for the default tag, TAG_NOT_FOUND if the tag does not exist
+ */
+async function deleteTag(name) {
+  if (name === DEFAULT_TAG) {
+    throw createTaskError('INVALID_TAG', `The default tag "${DEFAULT_TAG}" cannot be deleted.`);
+  }
+  
+  const file = await loadTasksFile(undefined, { allTags: true });
+  const { document } = file;
+  const { tasks } = selectTag(document, name);
+  
+  delete document.tags[name];
+  if (Object.keys(document.tags).length === 0) {
+    delete document.tags;
+  }
+  if (document.metadata.currentTag === name) {
+    delete document.metadata.currentTag;
+  }
+  await saveTasksData(file);
+  
+  return { tag: name, tasks: tasks.length };
+}
+
+/**
+ * Link commits to the tasks their messages reference and move those tasks along
+ * Plain references ("refs 3.2") start tasks that have not started (in-progress), closing ones
+ * ("closes #7") finish them (done); see lib/git.js. Commits already linked to a task are skipped,
+ * so syncing again is safe. IDs refer to the tasks of the active tag.
+ * @param {Object} options - { commit: only this commit (the hook passes HEAD), limit: number of
+ *   latest commits to scan (default 100), all: scan the whole history, status: change statuses
+ *   (default true), dryRun: report the changes without saving them }
+ * @returns {Promise<Object>} Number of commits scanned, the new links, status changes, changes the
+ *   workflow does not allow, references to unknown tasks and parents following their subtasks
+ *   ({ scanned, linked: [{ sha, id, action }], updated: [{ id, from, to }], rejected: [{ id, from, to }],
+ *   notFound: [{ sha, id }], rolledUp: [{ id, from, to }] })
+ */
+async function syncCommits(options = {}) {
+  const limit = options.limit !== undefined ? parseInt(options.limit, 10) : 100;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw createTaskError('INVALID_LIMIT', `Invalid limit: ${options.limit}`);
+  }
+  
+  const config = getConfig();
+  const commits = readCommits(config.projectRoot, options.commit ? { revision: options.commit } : { limit: options.all ? undefined : limit });
+  
+  const file = await loadTasksFile();
+  const graph = buildDependencyGraph(file.tasksData.tasks);
+  const result = { scanned: commits.length, linked: [], updated: [], rejected: [], notFound: [], rolledUp: [] };
+  const parents = new Set();
+  const now = new Date().toISOString();
+  
+  commits.forEach(commit => {
+    parseTaskReferences(commit.message).forEach(({ id, action }) => {
+      const node = graph.get(String(id));
+      if (!node) {
+        result.notFound.push({ sha: commit.sha, id });
+        return;
+      }
+      
+      const { item } = node;
+      item.commits = item.commits || [];
+      if (item.commits.some(linked => linked.sha === commit.sha)) {
+        return;
+      }
+      item.commits.push({ sha: commit.sha, subject: commit.subject, author: commit.author, date: commit.date, action });
+      (node.parent || item).updatedAt = now;
+      result.linked.push({ sha: commit.sha, id, action });
+      
+      if (options.status === false) {
+        return;
+      }
+      
+      // Statuses only move forward: a reference never reopens or restarts a task
+      let to = null;
+      if (action === 'closes' && !isFinal(item.status)) {
+        to = 'done';
+      } else if (action === 'refs' && !isStarted(item.status) && !isFinal(item.status)) {
+        to = 'in-progress';
+      }
+      if (!to) {
+        return;
+      }
+      if (!canTransition(item.status, to)) {
+        result.rejected.push({ id, from: item.status, to });
+        return;
+      }
+      
+      result.updated.push({ id, from: item.status, to });
+      item.status = to;
+      if (node.parent) {
+        parents.add(node.parent);
       }
     });
-    
-    if (updated === 0) {
-      console.error(chalk.red(`No tasks found with IDs: ${ids.join(', ')}`));
-      return;
+  });
+  
+  parents.forEach(task => {
+    const rolledUp = rollUpStatus(task, config.tasks.autoCompleteParents);
+    if (rolledUp) {
+      result.rolledUp.push({ id: task.id, from: task.status, to: rolledUp });
+      task.status = rolledUp;
     }
-    
-    // Update metadata
-    tasksData.metadata.lastUpdated = new Date().toISOString();
-    
-    // Write updated tasks back to file
-    await fs.writeJson(tasksPath, tasksData, { spaces: 2 });
-    
-    console.log(chalk.green(`Updated ${updated} task(s) to status: ${status}`));
-    
-  } catch (error) {
-    console.error(chalk.red(`Error setting task status: ${error.message}`));
-    throw error;
+  });
+  
+  if (result.linked.length > 0 && !options.dryRun) {
+    await saveTasksData(file);
+  }
+  
+  return result;
+}
+
+/**
+ * Install (or remove) the post-commit hook running git-sync for each new commit
+ * @param {Object} options - { force: replace an existing hook that was not installed by cursor-task,
+ *   uninstall: remove the hook instead }
+ * @returns {Promise<Object>} Path of the hook and what was done ({ path, installed, replaced, removed, command })
+ * @throws {Error} NOT_A_GIT_REPOSITORY error outside a repository, HOOK_EXISTS if another hook is in the way
+ */
+async function installGitHook(options = {}) {
+  const { projectRoot } = getConfig();
+  
+  if (options.uninstall) {
+    return { ...(await uninstallHook(projectRoot)), installed: false };
   }
+  
+  // Hooks run from the repository root, which may be above the project
+  const quote = value => `'${String(value).replace(/'/g, "'\\''")}'`;
+  const command = `cd ${quote(projectRoot)} && ${quote(process.execPath)} ${quote(path.resolve(__dirname, '../bin/cursor-task.js'))} git-sync --commit HEAD`;
+  
+  return { ...(await installHook(projectRoot, command, { force: options.force })), installed: true, command };
 }
 
-// Additional functions would be implemented here:
-// - updateTasks
-// - generateTaskFiles
-// - expandTasks
-// - clearSubtasks
-// - addTask
-// - analyzeComplexity
-// - showComplexityReport 
-// - addDependency
-// - removeDependency
-// - validateDependencies
-// - fixDependencies
+/**
+ * Export the dependency graph of the active tag
+ * @param {Object} options - { format: "mermaid" (default), "dot" or "json", subtasks: draw subtasks in
+ *   clusters, id: only this task or subtask and what it depends on or what depends on it,
+ *   upstream / downstream: only one of the two, output: file to write (Mermaid in a ```mermaid
+ *   block when it ends in .md) }
+ * @returns {Promise<Object>} The format, the rendered graph, its nodes and edges, and the file
+ *   written, if any ({ format, content, graph: { nodes, edges, dependencies }, file })
+ * @throws {Error} INVALID_FORMAT, INVALID_ID or TASK_NOT_FOUND error
+ */
+async function exportGraph(options = {}) {
+  const format = options.format || 'mermaid';
+  if (!GRAPH_FORMATS.includes(format)) {
+    throw createTaskError('INVALID_FORMAT', `Invalid format: ${format}. Must be one of: ${GRAPH_FORMATS.join(', ')}`);
+  }
+  
+  let id = null;
+  if (options.id !== undefined) {
+    id = normalizeDependencyId(options.id);
+    if (id === null) {
+      throw createTaskError('INVALID_ID', `Invalid task ID: ${options.id}`);
+    }
+  } else if (options.upstream || options.downstream) {
+    throw createTaskError('INVALID_ID', 'Use --upstream and --downstream with --id.');
+  }
+  
+  const { tasksData } = await loadTasksFile();
+  const view = buildGraphView(tasksData.tasks, {
+    subtasks: options.subtasks,
+    id,
+    upstream: options.upstream,
+    downstream: options.downstream
+  });
+  if (!view) {
+    throw createTaskError('TASK_NOT_FOUND', `Task ${options.id} not found`);
+  }
+  
+  const graph = toAdjacency(view);
+  const renderers = {
+    mermaid: renderMermaid,
+    dot: renderDot,
+    json: () => `${JSON.stringify(graph, null, 2)}\n`
+  };
+  const content = renderers[format](view);
+  
+  let file = null;
+  if (options.output) {
+    file = path.resolve(process.cwd(), options.output);
+    const markdown = format === 'mermaid' && path.extname(file).toLowerCase() === '.md';
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, markdown ? `\`\`\`mermaid\n${content}\`\`\`\n` : content, 'utf8');
+  }
+  
+  return { format, content, graph, file };
+}
+
+/**
+ * Set or clear the effort estimate of a task or subtask
+ * An estimate on subtasks replaces the one of their task in the schedule (see lib/schedule.js).
+ * @param {number|string} taskId - ID of the task (or subtask, e.g. "3.2")
+ * @param {number|string|null} value - Hours, or text such as "90m", "4h", "2d", "1w 2d"; null clears it
+ * @returns {Promise<Object>} The ID and the estimates before and after, in hours ({ id, previous, estimate })
+ * @throws {Error} INVALID_ESTIMATE or TASK_NOT_FOUND error
+ */
+async function setEstimate(taskId, value) {
+  if (value === undefined) {
+    throw createTaskError('INVALID_ESTIMATE', 'Give an estimate such as "4h" or "2d", or clear it with --clear.');
+  }
+  const estimate = value === null ? null : parseEstimate(value, getScheduleSettings());
+  
+  const file = await loadTasksFile();
+  const id = normalizeDependencyId(taskId);
+  const node = id === null ? null : buildDependencyGraph(file.tasksData.tasks).get(String(id));
+  if (!node) {
+    throw createTaskError('TASK_NOT_FOUND', `Task with ID ${taskId} not found.`);
+  }
+  
+  const previous = typeof node.item.estimate === 'number' ? node.item.estimate : null;
+  if (previous !== estimate) {
+    if (estimate === null) {
+      delete node.item.estimate;
+    } else {
+      node.item.estimate = estimate;
+    }
+    node.item.updatedAt = new Date().toISOString();
+    await saveTasksData(file);
+  }
+  
+  return { id: node.key, previous, estimate };
+}
+
+/**
+ * Forecast the unfinished tasks of the active tag
+ * @param {Object} options - { workers: people working in parallel (defaults to `schedule.workers`),
+ *   start: first day of work as YYYY-MM-DD (defaults to today) }
+ * @returns {Promise<Object>} The schedule from computeSchedule with the settings it used
+ *   ({ ...schedule, settings: { hoursPerDay, workDays, defaultEstimate } })
+ * @throws {Error} INVALID_WORKERS, INVALID_DATE or CIRCULAR_DEPENDENCY error
+ */
+async function showSchedule(options = {}) {
+  const settings = getScheduleSettings();
+  
+  const workers = options.workers !== undefined ? Number(options.workers) : settings.workers;
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw createTaskError('INVALID_WORKERS', `Invalid number of workers: ${options.workers}`);
+  }
+  
+  // Dates are calendar days; today is the local one
+  const today = new Date();
+  let start = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+  if (options.start !== undefined) {
+    start = new Date(`${options.start}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(options.start) || Number.isNaN(start.getTime())) {
+      throw createTaskError('INVALID_DATE', `Invalid start date: ${options.start}. Use YYYY-MM-DD.`);
+    }
+  }
+  
+  const { tasksData } = await loadTasksFile();
+  const schedule = computeSchedule(tasksData.tasks, { workers, start, settings });
+  
+  return {
+    ...schedule,
+    settings: { hoursPerDay: settings.hoursPerDay, workDays: settings.workDays, defaultEstimate: settings.defaultEstimate }
+  };
+}
 
 module.exports = {
   initializeTaskSystem,
+  parsePrd,
   listTasks,
   showNextTask,
   showTask,
-  setTaskStatus
-  // Other functions would be exported here
+  setTaskStatus,
+  expandTasks,
+  addDependency,
+  removeDependency,
+  validateTasksFile,
+  validateDependencies,
+  fixDependencies,
+  analyzeComplexity,
+  showComplexityReport,
+  updateTasks,
+  generateTaskFiles,
+  syncTaskFiles,
+  addTask,
+  clearSubtasks,
+  clearAllSubtasks,
+  restoreSubtasks,
+  showHistory,
+  undoChange,
+  redoChange,
+  listTags,
+  addTag,
+  copyTag,
+  useTag,
+  deleteTag,
+  syncCommits,
+  installGitHook,
+  exportGraph,
+  setEstimate,
+  showSchedule
 };
\ No newline at end of file
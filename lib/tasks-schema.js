@@ -0,0 +1,424 @@
+/**
+ * Format of tasks.json for Cursor Task Master
+ *
+ * - TASKS_FILE_SCHEMA describes a valid file; validateTasksData reports every
+ *   problem with its JSON path
+ * - normalizeTasksData fills in missing optional fields when a file is loaded
+ * - MIGRATIONS upgrade files written by older versions (`metadata.version`)
+ *   in place, keeping a backup of the original
+ */
+
+const fs = require('fs-extra');
+const { validateSchema } = require('./schema');
+const { normalizeDependencyId, findDependencyIssues } = require('./dependencies');
+const { loadTasksData, saveTasksData } = require('./storage');
+const { withHistoryContext } = require('./history');
+const { createTaskError } = require('./utils');
+const { getStatusNames } = require('./workflow');
+const { DEFAULT_TAG, TAG_NAME_PATTERN } = require('./tags');
+
+// Version written to new files; the version of the last migration
+const TASKS_FILE_VERSION = '1.1.0';
+
+// Files without a version were written by the first release
+const INITIAL_VERSION = '1.0.0';
+
+const DEPENDENCY_ID_SCHEMA = {
+  anyOf: [
+    { type: 'integer', minimum: 1 },
+    { type: 'string', pattern: '^\\d+\\.\\d+$' }
+  ]
+};
+
+// Statuses are read when validating, so those added in the project config are accepted
+const STATUS_SCHEMA = {
+  type: 'string',
+  get enum() {
+    return getStatusNames();
+  }
+};
+
+// A commit linked by git-sync (see lib/git.js)
+const COMMIT_SCHEMA = {
+  type: 'object',
+  required: ['sha'],
+  properties: {
+    sha: { type: 'string', pattern: '^[0-9a-f]{7,64}$' },
+    subject: { type: 'string' },
+    author: { type: 'string' },
+    date: { type: 'string' },
+    action: { type: 'string', enum: ['refs', 'closes'] }
+  }
+};
+
+// Effort in working hours (see lib/schedule.js)
+const ESTIMATE_SCHEMA = { type: ['number', 'null'], minimum: 0 };
+
+const SUBTASK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'status'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    details: { type: 'string' },
+    status: STATUS_SCHEMA,
+    dependencies: { type: 'array', items: DEPENDENCY_ID_SCHEMA },
+    estimate: ESTIMATE_SCHEMA,
+    commits: { type: 'array', items: COMMIT_SCHEMA }
+  }
+};
+
+const TASK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'title', 'status'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    status: STATUS_SCHEMA,
+    priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+    complexity: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+    estimate: ESTIMATE_SCHEMA,
+    dependencies: { type: 'array', items: DEPENDENCY_ID_SCHEMA },
+    subtasks: { type: 'array', items: SUBTASK_SCHEMA },
+    implementation: { type: 'string' },
+    testStrategy: { type: 'string' },
+    acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+    epic: { type: ['string', 'null'] },
+    prdKey: { type: 'string' },
+    prdRemoved: { type: 'boolean' },
+    prdImported: {
+      type: 'object',
+      properties: {
+        description: { type: ['string', 'null'] },
+        priority: { type: ['string', 'null'] }
+      }
+    },
+    commits: { type: 'array', items: COMMIT_SCHEMA },
+    createdAt: { type: 'string' },
+    updatedAt: { type: 'string' }
+  }
+};
+
+// Subtasks removed by expand --force or clear-subtasks, kept for restore-subtasks
+const TRASH_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['id', 'taskId', 'subtasks'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      taskId: { type: 'integer', minimum: 1 },
+      reason: { type: 'string' },
+      removedAt: { type: 'string' },
+      subtasks: { type: 'array', items: SUBTASK_SCHEMA }
+    }
+  }
+};
+
+// A tag other than the default one (see lib/tags.js)
+const TAG_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: { type: 'array', items: TASK_SCHEMA },
+    trash: TRASH_SCHEMA,
+    description: { type: 'string' },
+    createdAt: { type: 'string' }
+  }
+};
+
+/**
+ * JSON Schema of tasks.json
+ * Unknown properties are allowed so files can carry extra data.
+ */
+const TASKS_FILE_SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: {
+    tasks: { type: 'array', items: TASK_SCHEMA },
+    metadata: {
+      type: 'object',
+      properties: {
+        created: { type: 'string' },
+        lastUpdated: { type: 'string' },
+        version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' },
+        revision: { type: 'integer', minimum: 0 },
+        currentTag: { type: 'string' }
+      }
+    },
+    trash: TRASH_SCHEMA,
+    tags: { type: 'object', additionalProperties: TAG_SCHEMA }
+  }
+};
+
+/**
+ * Format changes, oldest first. Each migration upgrades a file from the
+ * previous version to `version`; files are migrated one version at a time.
+ */
+const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    description: 'Store task dependencies as numbers and subtask dependencies as dotted IDs ("3.2")',
+    migrate(data) {
+      const normalizeAll = dependencies => dependencies.map(id => {
+        const normalized = normalizeDependencyId(id);
+        return normalized === null ? id : normalized;
+      });
+
+      (data.tasks || []).forEach(task => {
+        if (Array.isArray(task.dependencies)) {
+          task.dependencies = normalizeAll(task.dependencies);
+        }
+        (Array.isArray(task.subtasks) ? task.subtasks : []).forEach(subtask => {
+          if (Array.isArray(subtask.dependencies)) {
+            subtask.dependencies = normalizeAll(subtask.dependencies);
+          }
+        });
+      });
+    }
+  }
+];
+
+// Values for optional fields that are missing
+const TASK_DEFAULTS = { description: '', status: 'pending', priority: 'medium', dependencies: [], subtasks: [] };
+const SUBTASK_DEFAULTS = { description: '', status: 'pending', dependencies: [] };
+
+/**
+ * Compare two "major.minor.patch" versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is an object (and not an array or null)
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the format version of tasks data
+ * @param {Object} data - Tasks data
+ * @returns {string} Version ("1.0.0" for files without one)
+ */
+function getTasksFileVersion(data) {
+  return isObject(data.metadata) && data.metadata.version ? data.metadata.version : INITIAL_VERSION;
+}
+
+/**
+ * List the migrations tasks data still needs
+ * @param {Object} data - Tasks data
+ * @returns {Array<Object>} Migrations to apply, in order
+ * @throws {Error} UNSUPPORTED_VERSION error for files written by a newer version
+ */
+function getPendingMigrations(data) {
+  const version = getTasksFileVersion(data);
+
+  if (compareVersions(version, TASKS_FILE_VERSION) > 0) {
+    throw createTaskError(
+      'UNSUPPORTED_VERSION',
+      `The tasks file has format version ${version}, newer than the supported ${TASKS_FILE_VERSION}. Upgrade cursor-task.`
+    );
+  }
+
+  return MIGRATIONS.filter(migration => compareVersions(migration.version, version) > 0);
+}
+
+/**
+ * Apply pending migrations to tasks data
+ * @param {Object} data - Tasks data (mutated)
+ * @returns {Object} The versions before and after and the migrations applied ({ from, to, applied })
+ */
+function migrateTasksData(data) {
+  const from = getTasksFileVersion(data);
+  const pending = getPendingMigrations(data);
+
+  pending.forEach(migration => {
+    migration.migrate(data);
+    data.metadata = isObject(data.metadata) ? data.metadata : {};
+    data.metadata.version = migration.version;
+  });
+
+  return { from, to: getTasksFileVersion(data), applied: pending.map(migration => migration.version) };
+}
+
+/**
+ * Migrate a tasks file written by an older version in place
+ * The original file is copied to `<file>.<old version>.bak` first.
+ * @param {string} tasksPath - Path of the tasks file
+ * @returns {Promise<Object|null>} Versions, applied migrations and backup path, or null if up to date
+ */
+async function upgradeTasksFile(tasksPath) {
+  const file = await loadTasksData(tasksPath);
+  if (!isObject(file.tasksData) || getPendingMigrations(file.tasksData).length === 0) {
+    return null;
+  }
+
+  const backupPath = `${tasksPath}.${getTasksFileVersion(file.tasksData)}.bak`;
+  await fs.copy(tasksPath, backupPath);
+
+  const result = migrateTasksData(file.tasksData);
+  await withHistoryContext({ operation: 'upgrade', reason: `format ${result.from} to ${result.to}` }, () => saveTasksData(file));
+  return { ...result, backupPath };
+}
+
+/**
+ * Fill in missing optional fields of an object
+ * @param {Object} item - Task or subtask (mutated)
+ * @param {Object} defaults - Default values
+ */
+function applyDefaults(item, defaults) {
+  Object.entries(defaults).forEach(([field, value]) => {
+    if (item[field] === undefined || item[field] === null) {
+      item[field] = Array.isArray(value) ? [] : value;
+    }
+  });
+}
+
+/**
+ * Fill in missing optional fields of loaded tasks data
+ * @param {Object} data - Tasks data (mutated)
+ * @returns {Object} The same data
+ * @throws {Error} INVALID_TASKS_FILE error if the file is not a tasks file at all
+ */
+function normalizeTasksData(data) {
+  if (!isObject(data) || (data.tasks !== undefined && data.tasks !== null && !Array.isArray(data.tasks))) {
+    throw createTaskError('INVALID_TASKS_FILE', 'The tasks file does not contain a "tasks" array. Run "cursor-task validate" for details.');
+  }
+
+  data.tasks = data.tasks || [];
+  data.metadata = isObject(data.metadata) ? data.metadata : {};
+
+  const contexts = [data, ...Object.values(isObject(data.tags) ? data.tags : {}).filter(isObject)];
+  contexts.forEach(context => {
+    (Array.isArray(context.tasks) ? context.tasks : []).filter(isObject).forEach(task => {
+      applyDefaults(task, TASK_DEFAULTS);
+      (Array.isArray(task.subtasks) ? task.subtasks : []).filter(isObject).forEach(subtask => {
+        applyDefaults(subtask, SUBTASK_DEFAULTS);
+      });
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Find every problem in tasks data
+ * Checks the schema, duplicate IDs and the dependencies in one pass. Dependencies are checked
+ * between the tasks and subtasks that have an integer ID; malformed entries are schema issues.
+ * @param {Object} data - Tasks data
+ * @returns {Array<Object>} Problems ({ path, message }), empty when valid
+ */
+function validateTasksData(data) {
+  const issues = validateSchema(data, TASKS_FILE_SCHEMA);
+  if (!isObject(data) || !Array.isArray(data.tasks)) {
+    return issues;
+  }
+
+  // Each tag has its own IDs, so duplicates and dependencies are checked per tag
+  const contexts = [{ tasks: data.tasks, basePath: '$' }];
+  Object.entries(isObject(data.tags) ? data.tags : {}).forEach(([name, tag]) => {
+    const basePath = `$.tags.${name}`;
+    if (name === DEFAULT_TAG || !TAG_NAME_PATTERN.test(name)) {
+      issues.push({ path: basePath, message: name === DEFAULT_TAG ? 'uses the name of the default tag' : 'is not a valid tag name' });
+    }
+    if (isObject(tag) && Array.isArray(tag.tasks)) {
+      contexts.push({ tasks: tag.tasks, basePath });
+    }
+  });
+
+  const findDuplicates = (items, basePath) => {
+    const seen = new Map();
+    items.forEach((item, index) => {
+      if (!isObject(item) || item.id === undefined) {
+        return;
+      }
+      const path = `${basePath}[${index}].id`;
+      if (seen.has(item.id)) {
+        issues.push({ path, message: `duplicates the ID of ${seen.get(item.id)}` });
+      } else {
+        seen.set(item.id, path);
+      }
+    });
+  };
+
+  contexts.forEach(({ tasks, basePath }) => {
+    findDuplicates(tasks, `${basePath}.tasks`);
+    tasks.forEach((task, index) => {
+      if (isObject(task) && Array.isArray(task.subtasks)) {
+        findDuplicates(task.subtasks, `${basePath}.tasks[${index}].subtasks`);
+      }
+    });
+  });
+
+  const messages = {
+    self: issue => `depends on itself (${issue.dependencyId})`,
+    parent: issue => `depends on its own task (${issue.dependencyId})`,
+    missing: issue => `references missing task ${issue.dependencyId}`,
+    duplicate: issue => `lists ${issue.dependencyId} more than once`,
+    cycle: issue => `is part of a circular dependency: ${issue.cycle.join(' -> ')}`
+  };
+
+  // Copies of the well-formed items, with the dependency IDs that can be read
+  const hasId = item => isObject(item) && Number.isInteger(item.id);
+  const readable = item => ({
+    ...item,
+    dependencies: (Array.isArray(item.dependencies) ? item.dependencies : [])
+      .filter(id => normalizeDependencyId(id) !== null)
+  });
+
+  contexts.forEach(({ tasks, basePath }) => {
+    const paths = new Map();
+    const checked = [];
+    tasks.forEach((task, index) => {
+      if (!hasId(task)) {
+        return;
+      }
+      const subtasks = [];
+      paths.set(String(task.id), `${basePath}.tasks[${index}].dependencies`);
+      (Array.isArray(task.subtasks) ? task.subtasks : []).forEach((subtask, subtaskIndex) => {
+        if (hasId(subtask)) {
+          paths.set(`${task.id}.${subtask.id}`, `${basePath}.tasks[${index}].subtasks[${subtaskIndex}].dependencies`);
+          subtasks.push(readable(subtask));
+        }
+      });
+      checked.push({ ...readable(task), subtasks });
+    });
+
+    findDependencyIssues(checked).forEach(issue => {
+      const describe = messages[issue.type] || (() => `has an invalid dependency: ${issue.dependencyId}`);
+      issues.push({ path: paths.get(issue.taskId), message: describe(issue) });
+    });
+  });
+
+  return issues;
+}
+
+module.exports = {
+  TASKS_FILE_VERSION,
+  TASKS_FILE_SCHEMA,
+  MIGRATIONS,
+  compareVersions,
+  getTasksFileVersion,
+  getPendingMigrations,
+  migrateTasksData,
+  upgradeTasksFile,
+  normalizeTasksData,
+  validateTasksData
+};
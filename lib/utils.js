@@ -1,20 +1,30 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { execSync } = require('child_process');
+const { loadConfig, getConfig, DEFAULT_CONFIG } = require('./config');
+const { requestCompletion } = require('./ai-providers');
+const { loadTasksData, writeTasksData } = require('./storage');
+const { getStatusColor, isSatisfied } = require('./workflow');
+const { DEFAULT_TAG, resolveTag, selectTag } = require('./tags');
+const { createTaskError } = require('./errors');
 
-// Constants
-const DEFAULT_TASKS_FILE = 'tasks.json';
-const DEFAULT_TASKS_DIR = 'tasks';
-const DEFAULT_COMPLEXITY_REPORT = 'task-complexity-report.json';
-const DEFAULT_SUBTASKS = 5;
-const COMPLEXITY_THRESHOLD = 6;
+// Built-in defaults; projects override them under `tasks` in the config (see lib/config.js)
+const DEFAULT_TASKS_FILE = DEFAULT_CONFIG.tasks.file;
+const DEFAULT_TASKS_DIR = DEFAULT_CONFIG.tasks.dir;
+const DEFAULT_COMPLEXITY_REPORT = DEFAULT_CONFIG.tasks.complexityReport;
+const DEFAULT_SUBTASKS = DEFAULT_CONFIG.tasks.defaultSubtasks;
+const COMPLEXITY_THRESHOLD = DEFAULT_CONFIG.tasks.complexityThreshold;
+
+// Built-in task statuses; projects can change them (see lib/workflow.js)
+const TASK_STATUSES = Object.keys(DEFAULT_CONFIG.workflow.statuses);
 
 // MCP Tool Registration
-// This section registers the utilities as MCP tools that can run without confirmation
+// This section registers the utilities as MCP tools that can run without confirmation.
+// `args` lists the parameters in the order the function takes them.
 const MCP_TOOLS = {
   // Task file management tools
   loadTasks: {
     description: "Load tasks from the tasks.json file",
+    args: ['customPath'],
     parameters: {
       customPath: {
         type: "string",
@@ -25,6 +35,7 @@ const MCP_TOOLS = {
   },
   saveTasks: {
     description: "Save tasks to the tasks.json file",
+    args: ['tasks', 'customPath'],
     parameters: {
       tasks: {
         type: "object",
@@ -42,9 +53,11 @@ const MCP_TOOLS = {
   // Task management tools
   getTaskById: {
     description: "Get a task by its ID",
+    args: ['tasks', 'id'],
     parameters: {
       tasks: {
         type: "array",
+        items: { type: "object" },
         description: "Array of tasks to search through",
         required: true
       },
@@ -56,10 +69,12 @@ const MCP_TOOLS = {
     }
   },
   getNextTask: {
-    description: "Get the next task to work on based on priority and dependencies",
+    description: "Get the next task or subtask to work on, with the reasons it was ranked first",
+    args: ['tasks'],
     parameters: {
       tasks: {
         type: "array",
+        items: { type: "object" },
         description: "Array of tasks to search through",
         required: true
       }
@@ -69,6 +84,7 @@ const MCP_TOOLS = {
   // Utility tools
   formatTask: {
     description: "Format a task into a string representation",
+    args: ['task', 'detailed', 'isSubtask', 'parentId'],
     parameters: {
       task: {
         type: "object", 
@@ -94,6 +110,7 @@ const MCP_TOOLS = {
   },
   areDependenciesSatisfied: {
     description: "Check if a task's dependencies are satisfied",
+    args: ['task', 'allTasks'],
     parameters: {
       task: {
         type: "object",
@@ -102,6 +119,7 @@ const MCP_TOOLS = {
       },
       allTasks: {
         type: "array",
+        items: { type: "object" },
         description: "Array of all tasks",
         required: true
       }
@@ -109,11 +127,17 @@ const MCP_TOOLS = {
   },
   invokeCursorAgent: {
     description: "Invoke Cursor agent for AI-powered operations",
+    args: ['prompt', 'schema'],
     parameters: {
       prompt: {
         type: "string",
         description: "Prompt for the Cursor agent",
         required: true
+      },
+      schema: {
+        type: "object",
+        description: "Optional JSON Schema the response must match",
+        required: false
       }
     }
   }
@@ -121,14 +145,15 @@ const MCP_TOOLS = {
 
 /**
  * Get the path to the tasks.json file
- * @param {String} customPath - Custom path to tasks file
+ * Without a custom path, this is `tasks.file` from the config, in the project root.
+ * @param {String} customPath - Custom path to tasks file (relative to the cwd)
  * @returns {String} Path to tasks file
  */
 function getTasksFilePath(customPath) {
   if (customPath) {
     return path.resolve(process.cwd(), customPath);
   }
-  return path.resolve(process.cwd(), DEFAULT_TASKS_FILE);
+  return getConfig().tasks.file;
 }
 
 /**
@@ -136,23 +161,37 @@ function getTasksFilePath(customPath) {
  * @returns {String} Path to tasks directory
  */
 function getTasksDir() {
-  return path.resolve(process.cwd(), DEFAULT_TASKS_DIR);
+  return getConfig().tasks.dir;
+}
+
+/**
+ * Make sure the tasks directory exists
+ * @returns {Promise<String>} Path to tasks directory
+ */
+async function ensureTasksDirectory() {
+  const tasksDir = getTasksDir();
+  await fs.ensureDir(tasksDir);
+  return tasksDir;
 }
 
 /**
  * Get the path to the complexity report file
- * @param {String} customPath - Custom path to complexity report
+ * @param {String} customPath - Custom path to complexity report (relative to the cwd)
  * @returns {String} Path to complexity report
  */
 function getComplexityReportPath(customPath) {
   if (customPath) {
     return path.resolve(process.cwd(), customPath);
   }
-  return path.resolve(process.cwd(), DEFAULT_COMPLEXITY_REPORT);
+  return getConfig().tasks.complexityReport;
 }
 
 /**
  * Load tasks from tasks.json file
+ * Files written by older versions are migrated first and missing optional fields are
+ * filled in, as for the commands (see lib/tasks-schema.js).
+ * Only the tasks of the active tag are returned (see lib/tags.js); `metadata.tag` tells
+ * saveTasks where to write them back.
  * @param {String} customPath - Custom path to tasks file
  * @returns {Object} Tasks object
  */
@@ -160,26 +199,51 @@ async function loadTasks(customPath) {
   const tasksPath = getTasksFilePath(customPath);
   try {
     if (await fs.pathExists(tasksPath)) {
-      const tasksData = await fs.readJSON(tasksPath);
-      return tasksData;
+      // Required here: tasks-schema depends on modules that require this one
+      const { upgradeTasksFile, normalizeTasksData } = require('./tasks-schema');
+      await upgradeTasksFile(tasksPath);
+      const { document: tasksData } = await loadTasksData(tasksPath, { prepare: normalizeTasksData });
+      const { name } = resolveTag(tasksData);
+      return { ...selectTag(tasksData, name), metadata: { ...(tasksData.metadata || {}), tag: name } };
     }
     return { tasks: [] };
   } catch (error) {
-    throw new Error(`Failed to load tasks: ${error.message}`);
+    const failure = new Error(`Failed to load tasks: ${error.message}`);
+    failure.code = error.code;
+    throw failure;
   }
 }
 
 /**
  * Save tasks to tasks.json file
+ * Tasks loaded with loadTasks carry `metadata.revision`; the save fails if the file
+ * has been changed since, instead of overwriting the other change. They are saved to
+ * the tag they were loaded from (`metadata.tag`), otherwise to the active tag.
  * @param {Object} tasks - Tasks object
  * @param {String} customPath - Custom path to tasks file
  */
 async function saveTasks(tasks, customPath) {
   const tasksPath = getTasksFilePath(customPath);
+  const { tag: loadedTag, ...metadata } = tasks.metadata || {};
+  const revision = metadata.revision;
   try {
-    await fs.writeJSON(tasksPath, tasks, { spaces: 2 });
+    const document = (await fs.pathExists(tasksPath)) ? await fs.readJSON(tasksPath) : null;
+    const tag = loadedTag || (document ? resolveTag(document).name : DEFAULT_TAG);
+    
+    let tasksData = tasks.metadata ? { ...tasks, metadata } : tasks;
+    if (tag !== DEFAULT_TAG) {
+      // Other tags are stored under `tags`, next to the tasks of the default tag
+      selectTag(document || {}, tag);
+      const context = { ...tasks };
+      delete context.metadata;
+      tasksData = { ...document, tags: { ...document.tags, [tag]: context } };
+    }
+    
+    await writeTasksData(tasksPath, tasksData, { expectedRevision: Number.isInteger(revision) ? revision : undefined });
   } catch (error) {
-    throw new Error(`Failed to save tasks: ${error.message}`);
+    const failure = new Error(`Failed to save tasks: ${error.message}`);
+    failure.code = error.code;
+    throw failure;
   }
 }
 
@@ -199,15 +263,17 @@ function getTaskById(tasks, id) {
       throw new Error(`Task with ID ${parentId} not found`);
     }
     
-    if (!parentTask.subtasks || !parentTask.subtasks[subtaskId - 1]) {
+    // Subtask IDs are not positions: subtasks can be removed and restored
+    const subtaskIndex = (parentTask.subtasks || []).findIndex(subtask => subtask.id === subtaskId);
+    if (subtaskIndex === -1) {
       throw new Error(`Subtask ${subtaskId} of task ${parentId} not found`);
     }
     
     return {
-      task: parentTask.subtasks[subtaskId - 1],
+      task: parentTask.subtasks[subtaskIndex],
       parentTask,
       isSubtask: true,
-      subtaskIndex: subtaskId - 1
+      subtaskIndex
     };
   }
   
@@ -233,13 +299,6 @@ function getTaskById(tasks, id) {
 function formatTask(task, detailed = false, isSubtask = false, parentId = null) {
   const chalk = require('chalk');
   
-  // Status colors
-  const statusColors = {
-    'pending': chalk.yellow,
-    'in-progress': chalk.blue,
-    'done': chalk.green
-  };
-  
   // Priority colors
   const priorityColors = {
     'low': chalk.gray,
@@ -247,7 +306,7 @@ function formatTask(task, detailed = false, isSubtask = false, parentId = null)
     'high': chalk.red
   };
   
-  const status = statusColors[task.status] ? statusColors[task.status](task.status) : task.status;
+  const status = getStatusColor(task.status)(task.status);
   const priority = task.priority && priorityColors[task.priority] ? 
     priorityColors[task.priority](task.priority) : 
     (task.priority || 'medium');
@@ -270,9 +329,9 @@ function formatTask(task, detailed = false, isSubtask = false, parentId = null)
     
     if (!isSubtask && task.subtasks && task.subtasks.length > 0) {
       output += `  ${chalk.dim('Subtasks:')}\n`;
-      task.subtasks.forEach((subtask, index) => {
-        const subtaskStatus = statusColors[subtask.status] ? statusColors[subtask.status](subtask.status) : subtask.status;
-        output += `    ${chalk.bold(`[${task.id}.${index + 1}]`)} ${subtask.title} (${subtaskStatus})\n`;
+      task.subtasks.forEach(subtask => {
+        const subtaskStatus = getStatusColor(subtask.status)(subtask.status);
+        output += `    ${chalk.bold(`[${task.id}.${subtask.id}]`)} ${subtask.title} (${subtaskStatus})\n`;
       });
     }
   }
@@ -281,7 +340,7 @@ function formatTask(task, detailed = false, isSubtask = false, parentId = null)
 }
 
 /**
- * Check if a task's dependencies are satisfied
+ * Check if a task's dependencies are satisfied (done, or another status that satisfies dependents)
  * @param {Object} task - Task object
  * @param {Array} allTasks - Array of all tasks
  * @returns {Boolean} Whether dependencies are satisfied
@@ -292,68 +351,168 @@ function areDependenciesSatisfied(task, allTasks) {
   }
   
   return task.dependencies.every(depId => {
-    const dependency = allTasks.find(t => t.id === depId);
-    return dependency && dependency.status === 'done';
+    // Subtask dependencies are stored as dotted IDs (e.g., "3.2")
+    if (depId.toString().includes('.')) {
+      const [parentId, subtaskId] = depId.toString().split('.').map(Number);
+      const parentTask = allTasks.find(t => t.id === parentId);
+      const subtask = parentTask && (parentTask.subtasks || []).find(s => s.id === subtaskId);
+      return Boolean(subtask) && isSatisfied(subtask.status);
+    }
+    
+    const dependency = allTasks.find(t => t.id === Number(depId));
+    return Boolean(dependency) && isSatisfied(dependency.status);
   });
 }
 
 /**
  * Get the next task to work on
+ * Uses the same ranking as `cursor-task next` (see lib/next-task.js).
  * @param {Array} tasks - Array of tasks
- * @returns {Object} Next task to work on
+ * @returns {Object|null} Best task or subtask ({ id, type, title, status, score, reasons, task, parent }), or null
  */
 function getNextTask(tasks) {
-  // Filter tasks that are pending or in-progress and have all dependencies satisfied
-  const availableTasks = tasks.filter(task => 
-    (task.status === 'pending' || task.status === 'in-progress') && 
-    areDependenciesSatisfied(task, tasks)
-  );
+  // Required here: next-task depends on modules that require this one
+  const { pickNextTask } = require('./next-task');
+  return pickNextTask(tasks);
+}
+
+/**
+ * Get the printed width of a string, ignoring ANSI color codes
+ * @param {String} text - Text to measure
+ * @returns {Number} Visible length
+ */
+function visibleLength(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '').length;
+}
+
+/**
+ * Render rows as an aligned text table
+ * Column headers are taken from the keys of the first row.
+ * @param {Array<Object>} rows - Table rows
+ * @returns {String} Rendered table
+ */
+function createTableFromTasks(rows) {
+  const chalk = require('chalk');
   
-  if (availableTasks.length === 0) {
-    return null;
+  if (!rows || rows.length === 0) {
+    return '';
   }
   
-  // Sort by priority, dependency count, and ID
-  const priorityValues = { 'high': 3, 'medium': 2, 'low': 1 };
+  const headers = Object.keys(rows[0]);
+  const cell = (row, header) => (row[header] === undefined || row[header] === null ? '' : String(row[header]));
+  const widths = headers.map(header =>
+    Math.max(header.length, ...rows.map(row => visibleLength(cell(row, header))))
+  );
+  const pad = (text, width) => text + ' '.repeat(Math.max(0, width - visibleLength(text)));
   
-  return availableTasks.sort((a, b) => {
-    // First by priority (high to low)
-    const aPriority = priorityValues[a.priority] || priorityValues.medium;
-    const bPriority = priorityValues[b.priority] || priorityValues.medium;
-    
-    if (bPriority !== aPriority) {
-      return bPriority - aPriority;
+  const lines = [
+    headers.map((header, i) => chalk.bold(pad(header, widths[i]))).join(' │ '),
+    widths.map(width => '─'.repeat(width)).join('─┼─'),
+    ...rows.map(row => headers.map((header, i) => pad(cell(row, header), widths[i])).join(' │ '))
+  ];
+  
+  return lines.join('\n');
+}
+
+/**
+ * Compute a line-by-line diff of two texts
+ * @param {String} before - Original text
+ * @param {String} after - Updated text
+ * @returns {Array<Object>} Diff lines ({ type: "same" | "removed" | "added", line })
+ */
+function diffLines(before, after) {
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+  
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
-    
-    // Then by dependency count (fewer first)
-    const aDeps = a.dependencies ? a.dependencies.length : 0;
-    const bDeps = b.dependencies ? b.dependencies.length : 0;
-    
-    if (aDeps !== bDeps) {
-      return aDeps - bDeps;
+  }
+  
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      diff.push({ type: 'removed', line: a[i++] });
+    } else {
+      diff.push({ type: 'added', line: b[j++] });
     }
-    
-    // Finally by ID (lower first)
-    return a.id - b.id;
-  })[0];
+  }
+  while (i < a.length) {
+    diff.push({ type: 'removed', line: a[i++] });
+  }
+  while (j < b.length) {
+    diff.push({ type: 'added', line: b[j++] });
+  }
+  
+  return diff;
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {String} text - Text to tokenize
+ * @returns {Array<String>} Word tokens
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Measure how similar two strings are (Dice coefficient over character bigrams)
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} Similarity between 0 (unrelated) and 1 (identical)
+ */
+function textSimilarity(a, b) {
+  const normalize = text => tokenize(text).join(' ');
+  const first = normalize(a);
+  const second = normalize(b);
+  
+  if (first === second) {
+    return first ? 1 : 0;
+  }
+  if (first.length < 2 || second.length < 2) {
+    return 0;
+  }
+  
+  const bigrams = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const bigram = first.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  
+  let overlap = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const bigram = second.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+  
+  return (2 * overlap) / (first.length + second.length - 2);
 }
 
 /**
  * Invoke Cursor agent for AI-powered operations
+ * The request goes to the provider configured under `ai` in the project config.
  * @param {String} prompt - Prompt for the Cursor agent
- * @returns {Promise<String>} Response from Cursor agent
+ * @param {Object} schema - Optional JSON Schema the response must match
+ * @returns {Promise<String|Object>} Raw response, or parsed and validated JSON when a schema is given
  */
-async function invokeCursorAgent(prompt) {
+async function invokeCursorAgent(prompt, schema) {
   try {
-    // We'll use a placeholder for actually calling the Cursor agent
-    // In a real implementation, this would interface with Cursor's API
-    // or command palette directly
-    
-    console.log('Asking Cursor agent:', prompt);
-    
-    // In a real implementation, we would invoke the Cursor agent here
-    // For now, we'll return a placeholder message
-    return `[This is where the Cursor agent would respond to: "${prompt}"]`;
+    const config = loadConfig();
+    return await requestCompletion(prompt, schema, config.ai);
   } catch (error) {
     throw new Error(`Failed to invoke Cursor agent: ${error.message}`);
   }
@@ -362,18 +521,26 @@ async function invokeCursorAgent(prompt) {
 module.exports = {
   getTasksFilePath,
   getTasksDir,
+  ensureTasksDirectory,
   getComplexityReportPath,
   loadTasks,
   saveTasks,
+  createTaskError,
   getTaskById,
   formatTask,
   areDependenciesSatisfied,
   getNextTask,
+  visibleLength,
+  createTableFromTasks,
+  diffLines,
+  tokenize,
+  textSimilarity,
   invokeCursorAgent,
   DEFAULT_TASKS_FILE,
   DEFAULT_TASKS_DIR,
   DEFAULT_COMPLEXITY_REPORT,
   DEFAULT_SUBTASKS,
   COMPLEXITY_THRESHOLD,
+  TASK_STATUSES,
   MCP_TOOLS
 };
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * Status workflow for Cursor Task Master
+ *
+ * Statuses come from `workflow.statuses` in the project config, merged over
+ * the built-in ones. Each status has a color and flags that give it meaning:
+ * - selectable: `next` may pick items with this status
+ * - started: work has begun (a parent task follows its subtasks to in-progress)
+ * - satisfies: dependents of an item with this status may start
+ * - final: the item needs no more work (it is left out of `next`, and a task
+ *   whose subtasks are all final is complete)
+ * - from: the only statuses it can be reached from (any status when missing)
+ */
+
+const chalk = require('chalk');
+const { getConfig } = require('./config');
+const { createTaskError } = require('./errors');
+
+// Statuses every workflow has; the roll-up of subtasks to their task uses them
+const REQUIRED_STATUSES = ['pending', 'in-progress', 'done'];
+
+// Workflows by the configuration they were built from
+const workflows = new WeakMap();
+
+/**
+ * Build the workflow from a configuration
+ * @param {Object} config - Configuration from loadConfig
+ * @returns {Object} Statuses by name ({ statuses: Map<string, Object> })
+ * @throws {Error} INVALID_WORKFLOW error if a required status is missing or a `from` status is unknown
+ */
+function buildWorkflow(config) {
+  const statuses = new Map();
+
+  // A status set to false in the config is removed
+  Object.entries((config.workflow && config.workflow.statuses) || {}).forEach(([name, settings]) => {
+    if (settings) {
+      statuses.set(name, {
+        name,
+        color: settings.color || null,
+        selectable: Boolean(settings.selectable),
+        started: Boolean(settings.started),
+        satisfies: Boolean(settings.satisfies),
+        final: Boolean(settings.final),
+        from: Array.isArray(settings.from) ? settings.from : null
+      });
+    }
+  });
+
+  const missing = REQUIRED_STATUSES.find(name => !statuses.has(name));
+  if (missing) {
+    throw createTaskError('INVALID_WORKFLOW', `The workflow must define the status "${missing}".`);
+  }
+
+  for (const status of statuses.values()) {
+    const unknown = (status.from || []).find(name => !statuses.has(name));
+    if (unknown) {
+      throw createTaskError('INVALID_WORKFLOW', `Status "${status.name}" can be reached from unknown status "${unknown}".`);
+    }
+  }
+
+  return { statuses };
+}
+
+/**
+ * Get the workflow of the current project
+ * @returns {Object} Workflow ({ statuses })
+ */
+function getWorkflow() {
+  const config = getConfig();
+  if (!workflows.has(config)) {
+    workflows.set(config, buildWorkflow(config));
+  }
+  return workflows.get(config);
+}
+
+/**
+ * Get the names of all statuses, in the order of the config
+ * @returns {Array<string>} Status names
+ */
+function getStatusNames() {
+  return [...getWorkflow().statuses.keys()];
+}
+
+/**
+ * Get the definition of a status
+ * @param {string} name - Status name
+ * @returns {Object|null} Status ({ name, color, selectable, started, satisfies, final, from }), or null if unknown
+ */
+function getStatus(name) {
+  return getWorkflow().statuses.get(name) || null;
+}
+
+/**
+ * Check that a status exists
+ * @param {string} name - Status name
+ * @throws {Error} INVALID_STATUS error for unknown statuses
+ */
+function assertStatus(name) {
+  if (!getStatus(name)) {
+    throw createTaskError('INVALID_STATUS', `Invalid status: ${name}. Must be one of: ${getStatusNames().join(', ')}`);
+  }
+}
+
+/**
+ * Check whether an item can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  const status = getStatus(to);
+  return Boolean(status) && (!status.from || status.from.includes(from));
+}
+
+/**
+ * Check whether an item with a status satisfies the dependencies on it
+ * @param {string} name - Status name
+ * @returns {boolean} Whether dependents may start
+ */
+function isSatisfied(name) {
+  const status = getStatus(name);
+  return Boolean(status) && status.satisfies;
+}
+
+/**
+ * Check whether an item with a status needs no more work
+ * @param {string} name - Status name
+ * @returns {boolean} Whether the status is final
+ */
+function isFinal(name) {
+  const status = getStatus(name);
+  return Boolean(status) && status.final;
+}
+
+/**
+ * Check whether `next` may pick an item with a status
+ * @param {string} name - Status name
+ * @returns {boolean} Whether the status is selectable
+ */
+function isSelectable(name) {
+  const status = getStatus(name);
+  return Boolean(status) && status.selectable;
+}
+
+/**
+ * Check whether work on an item with a status has begun
+ * @param {string} name - Status name
+ * @returns {boolean} Whether the status counts as started
+ */
+function isStarted(name) {
+  const status = getStatus(name);
+  return Boolean(status) && status.started;
+}
+
+/**
+ * Get the color of a status
+ * @param {string} name - Status name
+ * @returns {Function} chalk color (unchanged text for statuses without a known color)
+ */
+function getStatusColor(name) {
+  const status = getStatus(name);
+  const color = status && status.color && chalk[status.color];
+  return typeof color === 'function' ? color : text => text;
+}
+
+module.exports = {
+  REQUIRED_STATUSES,
+  buildWorkflow,
+  getWorkflow,
+  getStatusNames,
+  getStatus,
+  assertStatus,
+  canTransition,
+  isSatisfied,
+  isFinal,
+  isSelectable,
+  isStarted,
+  getStatusColor
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createProvider, requestCompletion, extractJson } = require('../lib/ai-providers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const SCHEMA = {
+  type: 'object',
+  required: ['tasks'],
+  properties: { tasks: { type: 'array', items: { type: 'object', required: ['title'] } } }
+};
+
+test('JSON is extracted from bare, fenced and prose-wrapped responses', () => {
+  assert.deepStrictEqual(extractJson(' {"tasks": []} '), { tasks: [] });
+  assert.deepStrictEqual(extractJson('Here you go:\n```json\n{"tasks": [{"title": "A"}]}\n```\nDone.'), { tasks: [{ title: 'A' }] });
+  assert.deepStrictEqual(extractJson('The subtasks are [{"title": "A"}, {"title": "B"}] as asked.'), [{ title: 'A' }, { title: 'B' }]);
+  assert.throws(() => extractJson('No JSON here {"tasks": [}'), /valid JSON/);
+});
+
+test('fixture responses are parsed and checked against the schema', async () => {
+  const file = path.join(dir, 'ai-fixtures.json');
+  fs.writeFileSync(file, JSON.stringify({
+    responses: [
+      { match: 'Split the login task', response: { tasks: [{ title: 'Form' }, { title: 'Session' }] } },
+      { match: 'Split the billing task', response: 'Sure! {"tasks": [{"name": "Invoices"}]}' }
+    ]
+  }));
+  const aiConfig = { provider: 'fixture', fixture: { file } };
+
+  const result = await requestCompletion('Split the login task', SCHEMA, aiConfig);
+  assert.deepStrictEqual(result.tasks.map(task => task.title), ['Form', 'Session']);
+
+  await assert.rejects(requestCompletion('Split the billing task', SCHEMA, aiConfig),
+    /fixture response does not match the expected schema: .*title/);
+  await assert.rejects(requestCompletion('Split the docs task', SCHEMA, aiConfig), /No fixture matches prompt/);
+});
+
+test('a missing or unknown provider is reported', () => {
+  assert.throws(() => createProvider({}), /No AI provider configured/);
+  assert.throws(() => createProvider({ provider: 'llama' }), /Unknown AI provider "llama"\. Available providers: .*fixture/);
+  assert.throws(() => createProvider({ provider: 'command' }), /ai\.command\.command/);
+});
+
+test('a command that runs too long is stopped with the shell running it', { skip: process.platform === 'win32' }, async () => {
+  const marker = path.join(dir, 'finished');
+  const provider = createProvider({
+    provider: 'command',
+    command: { command: `(sleep 2; touch "${marker}") & wait`, timeout: 200 }
+  });
+
+  await assert.rejects(provider.complete('Plan the release'), /timed out after 200ms/);
+  await new Promise(resolve => setTimeout(resolve, 2500));
+  assert.strictEqual(fs.existsSync(marker), false);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scoreTaskComplexity, recommendSubtaskCount, buildExpansionCommand } = require('../lib/complexity');
+
+test('the heuristic scores involved, connected tasks higher', () => {
+  const small = scoreTaskComplexity({ title: 'Fix typo', dependencies: [] });
+  assert.deepStrictEqual(small, {
+    complexityScore: 3,
+    recommendedSubtasks: 2,
+    reasoning: 'Heuristic estimate: small, self-contained task.'
+  });
+
+  const involved = scoreTaskComplexity({
+    title: 'Migrate the auth database',
+    description: 'Encrypt the stored tokens and sync them to the cache',
+    dependencies: [1, 2, 3, 4],
+    acceptanceCriteria: ['a', 'b', 'c']
+  });
+  assert.strictEqual(involved.complexityScore, 9);
+  assert.match(involved.reasoning, /technically involved areas \(auth, encrypt, migrat\); 4 dependencies to integrate with; 3 acceptance criteria/);
+});
+
+test('scores map to a bounded subtask count and an expand command', () => {
+  assert.deepStrictEqual([1, 5, 10].map(recommendSubtaskCount), [2, 4, 8]);
+  assert.strictEqual(buildExpansionCommand({ id: 4, subtasks: [] }, 3), 'cursor-task expand --id 4 --num 3');
+  assert.strictEqual(buildExpansionCommand({ id: 4, subtasks: [{ id: 1 }] }, 3), 'cursor-task expand --id 4 --num 3 --force');
+});
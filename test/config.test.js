@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILES, DEFAULT_CONFIG, loadConfig } = require('../lib/config');
+
+test('paths are resolved against the project of each config file', () => {
+  const dirs = [1, 2].map(() => fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-')));
+  try {
+    dirs.forEach(dir => fs.writeFileSync(path.join(dir, CONFIG_FILES[0]), '{}'));
+    dirs.forEach(dir => {
+      const config = loadConfig(dir);
+      assert.strictEqual(config.tasks.file, path.join(dir, 'tasks.json'));
+      assert.strictEqual(config.tasks.dir, path.join(dir, 'tasks'));
+      assert.strictEqual(config.ai.fixture.file, path.join(dir, 'ai-fixtures.json'));
+    });
+    assert.strictEqual(path.isAbsolute(DEFAULT_CONFIG.tasks.dir), false);
+    assert.strictEqual(path.isAbsolute(DEFAULT_CONFIG.ai.fixture.file), false);
+  } finally {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+});
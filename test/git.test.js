@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTaskReferences } = require('../lib/git');
+
+test('numbers after common verbs are not task references', () => {
+  assert.deepStrictEqual(parseTaskReferences('Fix 2 typos in README'), []);
+  assert.deepStrictEqual(parseTaskReferences('Resolved 10 merge conflicts'), []);
+  assert.deepStrictEqual(parseTaskReferences('see 3 files'), []);
+  assert.deepStrictEqual(parseTaskReferences('Completed 4 of the 5 steps'), []);
+});
+
+test('closing verbs and "see" reference IDs with a "#"', () => {
+  assert.deepStrictEqual(parseTaskReferences('Fix #2: typo in README'), [{ id: 2, action: 'closes' }]);
+  assert.deepStrictEqual(parseTaskReferences('resolves #4 and #5'), [
+    { id: 4, action: 'closes' },
+    { id: 5, action: 'closes' }
+  ]);
+  assert.deepStrictEqual(parseTaskReferences('see #7'), [{ id: 7, action: 'refs' }]);
+  assert.deepStrictEqual(parseTaskReferences('closes #3.2'), [{ id: '3.2', action: 'closes' }]);
+});
+
+test('task keywords reference bare IDs', () => {
+  assert.deepStrictEqual(parseTaskReferences('Add login form (task 4)'), [{ id: 4, action: 'refs' }]);
+  assert.deepStrictEqual(parseTaskReferences('refs 3.2'), [{ id: '3.2', action: 'refs' }]);
+  assert.deepStrictEqual(parseTaskReferences('tasks 4, 5'), [
+    { id: 4, action: 'refs' },
+    { id: 5, action: 'refs' }
+  ]);
+  assert.deepStrictEqual(parseTaskReferences('Part of #2'), [{ id: 2, action: 'refs' }]);
+  assert.deepStrictEqual(parseTaskReferences('Fixes task 3.2'), [{ id: '3.2', action: 'closes' }]);
+});
+
+test('a closing reference wins over a plain one to the same task', () => {
+  assert.deepStrictEqual(parseTaskReferences('refs #4\n\ncloses #4'), [{ id: 4, action: 'closes' }]);
+  assert.deepStrictEqual(parseTaskReferences('closes #4, see #4'), [{ id: 4, action: 'closes' }]);
+});
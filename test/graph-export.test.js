@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildGraphView, renderMermaid, renderDot, toAdjacency } = require('../lib/graph-export');
+
+const TASKS = [
+  { id: 1, title: 'Schema', status: 'done', dependencies: [], subtasks: [] },
+  {
+    id: 2,
+    title: 'API',
+    status: 'pending',
+    dependencies: [1],
+    subtasks: [
+      { id: 1, title: 'Routes', status: 'done', dependencies: [] },
+      { id: 2, title: 'Auth "guard"', status: 'pending', dependencies: ['2.1'] }
+    ]
+  },
+  { id: 3, title: 'Client', status: 'pending', dependencies: ['2.2'], subtasks: [] },
+  { id: 4, title: 'Docs', status: 'pending', dependencies: [99], subtasks: [] }
+];
+
+const edges = view => view.edges.map(edge => `${edge.from}->${edge.to}`);
+
+test('subtask dependencies are drawn between their tasks unless subtasks are shown', () => {
+  const view = buildGraphView(TASKS);
+  assert.deepStrictEqual(view.nodes.map(node => node.id), [1, 2, 3, 4]);
+  assert.deepStrictEqual(edges(view), ['1->2', '2->3']);
+  assert.deepStrictEqual(toAdjacency(view).dependencies, { 1: [], 2: [1], 3: [2], 4: [] });
+
+  const detailed = buildGraphView(TASKS, { subtasks: true });
+  assert.deepStrictEqual(detailed.nodes.map(node => node.id), [1, 2, '2.1', '2.2', 3, 4]);
+  assert.deepStrictEqual(edges(detailed), ['1->2', '2.1->2.2', '2.2->3']);
+});
+
+test('a focused view keeps what the task depends on and what depends on it', () => {
+  assert.deepStrictEqual(buildGraphView(TASKS, { id: 2 }).nodes.map(node => node.id), [1, 2, 3]);
+  assert.deepStrictEqual(buildGraphView(TASKS, { id: 2, upstream: true }).nodes.map(node => node.id), [1, 2]);
+  assert.deepStrictEqual(buildGraphView(TASKS, { id: 1, downstream: true }).nodes.map(node => node.id), [1, 2, 3]);
+
+  // Subtasks are reached through their task
+  const view = buildGraphView(TASKS, { id: '2.2', subtasks: true, upstream: true });
+  assert.deepStrictEqual(view.nodes.map(node => node.id), [1, 2, '2.1', '2.2']);
+  assert.strictEqual(view.focus, '2.2');
+  assert.strictEqual(buildGraphView(TASKS, { id: 9 }), null);
+});
+
+test('Mermaid and DOT cluster subtasks with their task and escape titles', () => {
+  const view = buildGraphView(TASKS, { subtasks: true, id: 3, upstream: true });
+
+  const mermaid = renderMermaid(view).split('\n');
+  assert.strictEqual(mermaid[0], 'flowchart LR');
+  assert.ok(mermaid.includes('  subgraph cluster_2["Task 2"]'));
+  assert.ok(mermaid.includes('    t2_2["2.2: Auth #quot;guard#quot; (pending)"]'));
+  assert.ok(mermaid.includes('  t2_2 --> t3'));
+  assert.ok(mermaid.includes('  style t3 stroke-width:3px'));
+
+  const dot = renderDot(view);
+  assert.match(dot, /subgraph "cluster_2" \{\n {4}label="Task 2";/);
+  assert.match(dot, /"2\.2" \[label="2\.2: Auth \\"guard\\"\\n\(pending\)"/);
+  assert.match(dot, /"3" \[[^\]]*penwidth=3\];/);
+  assert.match(dot, /"2\.2" -> "3";/);
+});
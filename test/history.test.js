@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILES, setConfigOverrides } = require('../lib/config');
+const { TASKS_FILE_VERSION } = require('../lib/tasks-schema');
+const {
+  withHistoryContext,
+  diffTasksData,
+  readHistory,
+  recordChange,
+  getUndoState,
+  applyChanges
+} = require('../lib/history');
+const taskManager = require('../lib/taskManager');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+const tasksPath = path.join(dir, 'tasks.json');
+const configPath = path.join(dir, CONFIG_FILES[0]);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const TASKS = [
+  { id: 1, title: 'Set up project', description: '', status: 'pending', priority: 'high', dependencies: [], subtasks: [] },
+  { id: 2, title: 'Add CI', description: '', status: 'pending', priority: 'medium', dependencies: [1], subtasks: [] }
+];
+
+test.beforeEach(() => {
+  fs.rmSync(path.join(dir, 'tasks.history.jsonl'), { force: true });
+  fs.writeFileSync(tasksPath, JSON.stringify({ tasks: TASKS, metadata: { version: TASKS_FILE_VERSION } }, null, 2));
+  fs.writeFileSync(configPath, '{}');
+  setConfigOverrides({ configPath });
+});
+
+/**
+ * Read the tasks file without the metadata every write changes
+ * @returns {Object} Tasks file data
+ */
+function readFile() {
+  const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+  delete data.metadata.revision;
+  delete data.metadata.lastUpdated;
+  return data;
+}
+
+test('undo and redo bring back the exact file', async () => {
+  await taskManager.addTask(null, [2], 'low', { manual: true, title: 'Deploy' });
+  const added = readFile();
+  await taskManager.setTaskStatus(['1'], 'done');
+  const done = readFile();
+
+  await taskManager.undoChange();
+  assert.deepStrictEqual(readFile(), added);
+  await taskManager.undoChange();
+  assert.deepStrictEqual(readFile().tasks.map(task => task.id), [1, 2]);
+
+  await taskManager.redoChange();
+  assert.deepStrictEqual(readFile(), added);
+  await taskManager.redoChange();
+  assert.deepStrictEqual(readFile(), done);
+  await assert.rejects(taskManager.redoChange(), { code: 'NOTHING_TO_REDO' });
+});
+
+test('a new change clears what could be redone', async () => {
+  await taskManager.setTaskStatus(['1'], 'done');
+  await taskManager.undoChange();
+  assert.strictEqual(getUndoState(await readHistory(tasksPath)).redoable.length, 1);
+
+  await taskManager.setTaskStatus(['2'], 'in-progress');
+  const { undoable, redoable } = getUndoState(await readHistory(tasksPath));
+  assert.deepStrictEqual(redoable, []);
+  assert.strictEqual(undoable[undoable.length - 1].changes[0].after.status, 'in-progress');
+  await assert.rejects(taskManager.redoChange(), { code: 'NOTHING_TO_REDO' });
+});
+
+test('a task changed after the entry is not undone', async () => {
+  const before = { tasks: TASKS };
+  const after = { tasks: [{ ...TASKS[0], status: 'done' }, TASKS[1]] };
+  const changes = diffTasksData(before, after);
+
+  const current = { tasks: [{ ...TASKS[0], status: 'cancelled' }, TASKS[1]] };
+  assert.deepStrictEqual(applyChanges(current, changes, 'undo'), ['task 1']);
+  assert.strictEqual(current.tasks[0].status, 'cancelled');
+
+  const unchanged = JSON.parse(JSON.stringify(after));
+  assert.deepStrictEqual(applyChanges(unchanged, changes, 'undo'), []);
+  assert.deepStrictEqual(unchanged.tasks, TASKS);
+});
+
+test('entries record who made the change and why', async () => {
+  const after = { tasks: [{ ...TASKS[0], status: 'done' }, TASKS[1]], metadata: { revision: 2 } };
+  await withHistoryContext({ actor: 'mcp:test-client', operation: 'setTaskStatus', reason: 'Shipped in 1.2' }, () =>
+    recordChange(tasksPath, { tasks: TASKS }, after));
+  assert.strictEqual(await recordChange(tasksPath, after, after), null);
+
+  const [entry] = await readHistory(tasksPath);
+  assert.strictEqual(entry.id, 1);
+  assert.strictEqual(entry.actor, 'mcp:test-client');
+  assert.strictEqual(entry.operation, 'setTaskStatus');
+  assert.strictEqual(entry.reason, 'Shipped in 1.2');
+  assert.strictEqual(entry.revision, 2);
+  assert.deepStrictEqual(entry.changes.map(change => [change.type, change.id]), [['task', 1]]);
+});
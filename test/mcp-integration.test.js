@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setConfigOverrides } = require('../lib/config');
+const { TASKS_FILE_VERSION } = require('../lib/tasks-schema');
+const { getToolDefinitions, toInputSchema } = require('../lib/mcp-integration');
+
+const tools = new Map(getToolDefinitions().map(tool => [tool.name, tool]));
+const call = (name, params) => tools.get(`cursor_task_${name}`).handler(params);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test.beforeEach(() => {
+  const file = path.join(dir, 'tasks.json');
+  const tasks = [
+    { id: 1, title: 'Set up project', status: 'pending', priority: 'high', dependencies: [], subtasks: [] },
+    { id: 2, title: 'Login', status: 'pending', priority: 'medium', dependencies: [1], subtasks: [] }
+  ];
+  fs.writeFileSync(file, JSON.stringify({ tasks, metadata: { version: TASKS_FILE_VERSION } }));
+  setConfigOverrides({ tasksFile: file });
+});
+
+const rejectsParams = (promise, pattern) => assert.rejects(promise, error =>
+  error.code === 'INVALID_PARAMS' && error.issues.some(issue => pattern.test(`${issue.path} ${issue.message}`)));
+
+test('arguments are checked against the parameter declarations', async () => {
+  await rejectsParams(call('showTask', {}), /id/);
+  await rejectsParams(call('showTask', { id: null }), /id/);
+  await rejectsParams(call('showTask', { id: '1', verbose: true }), /verbose/);
+  await rejectsParams(call('setTaskStatus', { ids: ['1'], status: 'done', autoComplete: 'sometimes' }), /autoComplete/);
+  await rejectsParams(call('listTasks', { limit: 'ten' }), /limit/);
+  await assert.rejects(call('listTasks', []), { code: 'INVALID_PARAMS' });
+});
+
+test('arguments are coerced where the intent is clear', async () => {
+  const { task } = await call('showTask', { id: 2 });
+  assert.strictEqual(task.title, 'Login');
+
+  const { tasks } = await call('listTasks', { limit: '1', withSubtasks: 'false' });
+  assert.deepStrictEqual(tasks.map(item => item.id), [1]);
+});
+
+test('optional parameters given as null are left out', async () => {
+  const result = await call('listTasks', { status: null, query: null, sort: null, limit: null, columns: null, tag: null });
+  assert.strictEqual(result.total, 2);
+});
+
+test('declarations become a JSON Schema', () => {
+  assert.deepStrictEqual(toInputSchema({
+    id: { type: 'string', description: 'Task ID', required: true },
+    ids: { type: 'array', items: { type: 'string' }, description: 'IDs', required: false }
+  }), {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Task ID' },
+      ids: { type: 'array', items: { type: 'string' }, description: 'IDs' }
+    },
+    required: ['id']
+  });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CONFIG_FILES } = require('../lib/config');
+const { TASKS_FILE_VERSION } = require('../lib/tasks-schema');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cursor-task.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Run `cursor-task mcp` over stdio with the given messages
+ * @param {Array<Object>} messages - JSON-RPC messages, written one per line
+ * @returns {Map<number, Object>} Responses by request ID
+ */
+function runServer(messages) {
+  const child = spawnSync(process.execPath, [CLI, 'mcp'], {
+    cwd: dir,
+    input: messages.map(message => JSON.stringify(message)).join('\n') + '\n',
+    encoding: 'utf8',
+    timeout: 30000
+  });
+  assert.strictEqual(child.status, 0, child.stderr);
+  const responses = child.stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return new Map(responses.map(response => [response.id, response]));
+}
+
+test('the server answers initialize, tools/list and tools/call over stdio', () => {
+  fs.writeFileSync(path.join(dir, CONFIG_FILES[0]), '{}');
+  fs.writeFileSync(path.join(dir, 'tasks.json'), JSON.stringify({
+    tasks: [{ id: 1, title: 'Set up project', status: 'pending', priority: 'high', dependencies: [], subtasks: [] }],
+    metadata: { version: TASKS_FILE_VERSION }
+  }));
+  const callTool = (id, name, args) => ({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args } });
+
+  const responses = runServer([
+    { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', clientInfo: { name: 'test' } } },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+    callTool(3, 'cursor_task_setTaskStatus', { ids: ['1'], status: 'done' }),
+    callTool(4, 'cursor_task_showTask', { id: '1', verbose: true }),
+    callTool(5, 'cursor_task_deploy', {})
+  ]);
+
+  assert.strictEqual(responses.size, 5);
+  const { result: init } = responses.get(1);
+  assert.strictEqual(init.protocolVersion, '2025-03-26');
+  assert.strictEqual(init.serverInfo.name, 'cursor-task-master');
+
+  const showTask = responses.get(2).result.tools.find(tool => tool.name === 'cursor_task_showTask');
+  assert.deepStrictEqual(showTask.inputSchema.required, ['id']);
+
+  const status = responses.get(3).result;
+  assert.strictEqual(status.isError, false);
+  assert.deepStrictEqual(JSON.parse(status.content[0].text).updated, [1]);
+  const [task] = JSON.parse(fs.readFileSync(path.join(dir, 'tasks.json'), 'utf8')).tasks;
+  assert.strictEqual(task.status, 'done');
+
+  // Invalid arguments are a tool result the model can read; an unknown tool is a protocol error
+  const invalid = responses.get(4).result;
+  assert.strictEqual(invalid.isError, true);
+  const { error } = JSON.parse(invalid.content[0].text);
+  assert.strictEqual(error.code, 'INVALID_PARAMS');
+  assert.ok(error.issues.some(issue => issue.path.includes('verbose')), JSON.stringify(error.issues));
+  assert.deepStrictEqual(responses.get(5).error, { code: -32602, message: 'Unknown tool: cursor_task_deploy' });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rankNextTasks, pickNextTask } = require('../lib/next-task');
+
+const task = (id, fields = {}) => ({ id, title: `Task ${id}`, status: 'pending', priority: 'medium', dependencies: [], subtasks: [], ...fields });
+
+const TASKS = [
+  task(1, { status: 'done', priority: 'high' }),
+  task(2, { dependencies: [1], complexity: 4 }),
+  task(3, { priority: 'low', dependencies: [2] }),
+  task(4, {
+    status: 'in-progress',
+    priority: 'low',
+    subtasks: [
+      { id: 1, title: 'Schema', status: 'done', dependencies: [] },
+      { id: 2, title: 'Migration', status: 'pending', dependencies: [] },
+      { id: 3, title: 'Backfill', status: 'in-progress', dependencies: [] }
+    ]
+  }),
+  task(5, { priority: 'high' }),
+  task(6, { priority: 'high' }),
+  task(7, { status: 'review', priority: 'high' })
+];
+
+test('candidates are ranked by score, then by ID', () => {
+  const { candidates, blocked, onHold } = rankNextTasks(TASKS);
+
+  assert.deepStrictEqual(candidates.map(candidate => [candidate.id, candidate.score]), [
+    ['4.3', 110],
+    ['4.2', 50],
+    [2, 31],
+    [5, 30],
+    [6, 30]
+  ]);
+  assert.deepStrictEqual(blocked.map(item => [item.id, item.waitingOn.map(dependency => dependency.id)]), [[3, [2]]]);
+  assert.deepStrictEqual(onHold, [{ id: 7, type: 'task', title: 'Task 7', status: 'review' }]);
+});
+
+test('every part of a score is explained', () => {
+  const { candidates } = rankNextTasks(TASKS);
+
+  assert.deepStrictEqual(candidates.find(candidate => candidate.id === 2).reasons, [
+    { factor: 'priority', points: 20, detail: 'medium priority' },
+    { factor: 'unblocks', points: 5, detail: 'unblocks 1 item(s): 3' },
+    { factor: 'complexity', points: 6, detail: 'complexity 4/10' }
+  ]);
+  assert.deepStrictEqual(candidates.find(candidate => candidate.id === '4.2').reasons, [
+    { factor: 'parent-in-progress', points: 40, detail: 'task 4 is in-progress' },
+    { factor: 'priority', points: 10, detail: 'low priority (task 4)' }
+  ]);
+});
+
+test('subtasks wait for their parent\'s dependencies', () => {
+  const tasks = [
+    task(1),
+    task(2, { priority: 'high', dependencies: [1], subtasks: [{ id: 1, title: 'Form', status: 'pending', dependencies: [] }] })
+  ];
+
+  assert.strictEqual(pickNextTask(tasks).id, 1);
+  tasks[0].status = 'done';
+  assert.strictEqual(pickNextTask(tasks).id, '2.1');
+  tasks[1].subtasks[0].status = 'done';
+  assert.strictEqual(pickNextTask(tasks).id, 2);
+  tasks[1].status = 'done';
+  assert.strictEqual(pickNextTask(tasks), null);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractMarkers, parseMarkdownPrd, buildTasksFromDrafts, mergePrdTasks } = require('../lib/prd-parser');
+
+test('a trailing "after <title>" of an earlier task becomes a dependency', () => {
+  const { drafts } = parseMarkdownPrd([
+    '- Login page',
+    '- REST endpoints P0 after Login page',
+    '- Redirect after login',
+    '- Audit log after Billing'
+  ].join('\n'));
+
+  assert.deepStrictEqual(drafts.map(draft => draft.title), [
+    'Login page',
+    'REST endpoints',
+    'Redirect after login',
+    'Audit log after Billing'
+  ]);
+  assert.strictEqual(drafts[1].priority, 'high');
+
+  const tasks = buildTasksFromDrafts(drafts);
+  assert.deepStrictEqual(tasks.map(task => task.dependencies), [[], [1], [], []]);
+});
+
+test('markers are removed from the title', () => {
+  assert.deepStrictEqual(extractMarkers('User login [high] {#login} (depends on: 2, 3.1)'), {
+    title: 'User login',
+    priority: 'high',
+    dependsOn: ['2', '3.1'],
+    after: [],
+    key: 'login'
+  });
+  assert.deepStrictEqual(extractMarkers('OAuth login (after User login)').after, ['User login']);
+  assert.deepStrictEqual(extractMarkers('OAuth login after "User login"').after, ['User login']);
+});
+
+/**
+ * Build tasks from a Markdown PRD
+ * @param {Array<string>} lines - PRD lines
+ * @returns {Array<Object>} Tasks with IDs starting at 1
+ */
+function tasksFromPrd(lines) {
+  return buildTasksFromDrafts(parseMarkdownPrd(lines.join('\n')).drafts);
+}
+
+test('re-importing a PRD keeps progress and flags removed requirements', () => {
+  const tasks = tasksFromPrd([
+    '## Auth',
+    '- Login page [high]',
+    '- Password reset (after Login page)',
+    '- Audit log {#audit}'
+  ]);
+  tasks[0].status = 'done';
+  tasks[0].subtasks = [{ id: 1, title: 'Form', status: 'done', dependencies: [] }];
+
+  const result = mergePrdTasks(tasks, tasksFromPrd([
+    '## Auth',
+    '- OAuth login (after Login page)',
+    '- Login page [low]',
+    '  Email and password.',
+    '- Security audit trail {#audit}'
+  ]));
+
+  assert.deepStrictEqual(result, { added: [4], updated: [1, 3], unchanged: [], flagged: [2], restored: [] });
+  assert.strictEqual(tasks[0].status, 'done');
+  assert.strictEqual(tasks[0].priority, 'low');
+  assert.strictEqual(tasks[0].description, 'Email and password.');
+  assert.strictEqual(tasks[0].subtasks.length, 1);
+  assert.strictEqual(tasks[1].prdRemoved, true);
+  assert.strictEqual(tasks[2].title, 'Security audit trail');
+  assert.deepStrictEqual(tasks[3].dependencies, [1]);
+});
+
+test('append mode only adds new requirements', () => {
+  const tasks = tasksFromPrd(['- Login page [high]', '- Password reset']);
+  const result = mergePrdTasks(tasks, tasksFromPrd(['- Login page [low]', '- Signup']), { mode: 'append' });
+
+  assert.deepStrictEqual(result, { added: [3], updated: [], unchanged: [1], flagged: [], restored: [] });
+  assert.strictEqual(tasks[0].priority, 'high');
+  assert.strictEqual(tasks[1].prdRemoved, undefined);
+});
+
+test('re-importing a PRD keeps descriptions and priorities edited by hand', () => {
+  const tasks = tasksFromPrd(['- Login page [high]', '- Password reset', '- Signup [low]']);
+  tasks[0].description = 'Email and password, with a remember-me box';
+  tasks[1].priority = 'high';
+
+  const result = mergePrdTasks(tasks, tasksFromPrd([
+    '- Login page [high]',
+    '- Password reset',
+    '  Send a reset link by email.',
+    '- Signup [medium]'
+  ]));
+
+  assert.deepStrictEqual(result.updated, [2, 3]);
+  assert.strictEqual(tasks[0].description, 'Email and password, with a remember-me box');
+  assert.strictEqual(tasks[1].priority, 'high');
+  assert.strictEqual(tasks[1].description, 'Send a reset link by email.');
+  assert.strictEqual(tasks[2].priority, 'medium');
+});
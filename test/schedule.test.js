@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEstimate, formatEstimate, addWorkingHours, computeSchedule } = require('../lib/schedule');
+
+const SETTINGS = { hoursPerDay: 8, workDays: [1, 2, 3, 4, 5], workers: 1, defaultEstimate: 4 };
+
+// A Friday
+const START = new Date('2026-10-16T00:00:00Z');
+
+const TASKS = [
+  { id: 1, title: 'Set up project', status: 'pending', dependencies: [], estimate: 8, subtasks: [] },
+  { id: 2, title: 'Login', status: 'pending', dependencies: [1], estimate: 16, subtasks: [] },
+  { id: 3, title: 'Docs', status: 'pending', dependencies: [1], subtasks: [] },
+  { id: 4, title: 'Release', status: 'pending', dependencies: [2, '3.1'], estimate: 4, subtasks: [] },
+  { id: 5, title: 'Research', status: 'done', dependencies: [], estimate: 40, subtasks: [] }
+];
+
+test('estimates are read in hours, days and weeks', () => {
+  assert.strictEqual(parseEstimate('1w 2d 3h', SETTINGS), 59);
+  assert.strictEqual(parseEstimate('90m', SETTINGS), 1.5);
+  assert.strictEqual(parseEstimate(6, SETTINGS), 6);
+  assert.strictEqual(formatEstimate(20, SETTINGS), '2d 4h');
+  assert.throws(() => parseEstimate('soon', SETTINGS), { code: 'INVALID_ESTIMATE' });
+});
+
+test('working hours skip days off', () => {
+  assert.strictEqual(addWorkingHours(START, 8, SETTINGS), '2026-10-16');
+  assert.strictEqual(addWorkingHours(START, 9, SETTINGS), '2026-10-19');
+  assert.strictEqual(addWorkingHours(new Date('2026-10-17T00:00:00Z'), 4, SETTINGS), '2026-10-19');
+});
+
+test('the critical path is the longest chain of unfinished work', () => {
+  const schedule = computeSchedule(TASKS, { settings: SETTINGS, start: START });
+  const byId = new Map(schedule.tasks.map(entry => [entry.id, entry]));
+
+  assert.deepStrictEqual(schedule.criticalPath, [1, 2, 4]);
+  assert.strictEqual(schedule.criticalLength, 28);
+  assert.strictEqual(schedule.totalEffort, 32);
+  assert.deepStrictEqual(schedule.unestimated, [3]);
+  assert.strictEqual(byId.has(5), false);
+
+  const docs = byId.get(3);
+  assert.deepStrictEqual([docs.earliestStart, docs.latestStart, docs.slack, docs.critical], [8, 24, 16, false]);
+});
+
+test('the forecast follows the number of workers', () => {
+  const alone = computeSchedule(TASKS, { settings: SETTINGS, start: START, workers: 1 });
+  assert.strictEqual(alone.duration, 32);
+  assert.strictEqual(alone.completionDate, '2026-10-21');
+
+  const pair = computeSchedule(TASKS, { settings: SETTINGS, start: START, workers: 2 });
+  assert.strictEqual(pair.duration, 28);
+  assert.deepStrictEqual(new Set(pair.tasks.map(entry => entry.worker)), new Set([1, 2]));
+});
+
+test('circular dependencies name only the tasks in the cycle', () => {
+  const tasks = [
+    { id: 1, status: 'pending', dependencies: [2] },
+    { id: 2, status: 'pending', dependencies: [1] },
+    { id: 3, status: 'pending', dependencies: [1] }
+  ];
+  assert.throws(() => computeSchedule(tasks, { settings: SETTINGS }), {
+    code: 'CIRCULAR_DEPENDENCY',
+    message: /dependencies: 1, 2\./
+  });
+});
+
+test('a task estimate is kept when only some of its subtasks are estimated', () => {
+  const subtasks = [
+    { id: 1, status: 'pending', estimate: 2 },
+    { id: 2, status: 'pending' },
+    { id: 3, status: 'done' }
+  ];
+  const effort = tasks => computeSchedule(tasks, { settings: SETTINGS, start: START }).tasks[0];
+
+  const own = effort([{ id: 1, status: 'pending', dependencies: [], estimate: 12, subtasks }]);
+  assert.deepStrictEqual([own.effort, own.estimated], [12, true]);
+
+  const partial = effort([{ id: 1, status: 'pending', dependencies: [], subtasks }]);
+  assert.deepStrictEqual([partial.effort, partial.estimated], [6, false]);
+
+  const summed = effort([{ id: 1, status: 'pending', dependencies: [], estimate: 12, subtasks: subtasks.slice(0, 1) }]);
+  assert.deepStrictEqual([summed.effort, summed.estimated], [2, true]);
+});
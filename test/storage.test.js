@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const fsExtra = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const {
+  writeJsonAtomic,
+  getLockPath,
+  acquireLock,
+  releaseLock,
+  loadTasksData,
+  mergeTasksData,
+  saveTasksData,
+  writeTasksData
+} = require('../lib/storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const TASKS = [
+  { id: 1, title: 'Set up project', status: 'pending', dependencies: [] },
+  { id: 2, title: 'Add CI', status: 'pending', dependencies: [] }
+];
+
+/**
+ * Write a tasks file with two tasks at revision 1
+ * @param {string} name - File name
+ * @returns {string} Path of the file
+ */
+function writeTasks(name) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify({ tasks: TASKS, metadata: { revision: 1 } }));
+  return file;
+}
+
+const readTasks = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('a held lock makes a second writer wait for it', async () => {
+  const file = writeTasks('locked.json');
+  const lock = await acquireLock(file);
+
+  await assert.rejects(acquireLock(file, { timeout: 150 }), { code: 'LOCK_TIMEOUT' });
+
+  const write = writeTasksData(file, { tasks: [] });
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.strictEqual(readTasks(file).metadata.revision, 1);
+
+  await releaseLock(lock);
+  assert.strictEqual(await write, 2);
+  assert.deepStrictEqual(readTasks(file).tasks, []);
+  assert.strictEqual(fs.existsSync(getLockPath(file)), false);
+});
+
+test('a lock left by a dead process is recovered', async () => {
+  const file = writeTasks('stale.json');
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  fs.writeFileSync(getLockPath(file), JSON.stringify({ pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() }));
+
+  const lock = await acquireLock(file, { timeout: 150 });
+  assert.strictEqual(JSON.parse(fs.readFileSync(getLockPath(file), 'utf8')).pid, process.pid);
+  await releaseLock(lock);
+});
+
+test('changes to different tasks by two processes are merged', async () => {
+  const file = writeTasks('merge.json');
+  const first = await loadTasksData(file);
+  const second = await loadTasksData(file);
+
+  first.tasksData.tasks[0].status = 'done';
+  second.tasksData.tasks[1].title = 'Add CI pipeline';
+  second.tasksData.tasks.push({ id: 3, title: 'Deploy', status: 'pending', dependencies: [] });
+
+  assert.deepStrictEqual(await saveTasksData(first), { revision: 2, merged: false });
+  assert.deepStrictEqual(await saveTasksData(second), { revision: 3, merged: true });
+
+  const { tasks } = readTasks(file);
+  assert.deepStrictEqual(tasks.map(task => [task.id, task.title, task.status]), [
+    [1, 'Set up project', 'done'],
+    [2, 'Add CI pipeline', 'pending'],
+    [3, 'Deploy', 'pending']
+  ]);
+});
+
+test('the same task changed by two processes is a conflict', async () => {
+  const file = writeTasks('conflict.json');
+  const first = await loadTasksData(file);
+  const second = await loadTasksData(file);
+
+  first.tasksData.tasks[0].status = 'done';
+  second.tasksData.tasks[0].status = 'cancelled';
+  await saveTasksData(first);
+
+  await assert.rejects(saveTasksData(second), { code: 'TASKS_CONFLICT', message: /task 1/ });
+  assert.strictEqual(readTasks(file).tasks[0].status, 'done');
+
+  const { conflicts } = mergeTasksData(
+    { tasks: TASKS },
+    { tasks: [{ ...TASKS[0], title: 'Ours' }, TASKS[1]] },
+    { tasks: [{ ...TASKS[0], title: 'Theirs' }, TASKS[1]] }
+  );
+  assert.deepStrictEqual(conflicts, ['task 1']);
+});
+
+test('a write expecting an older revision is rejected', async () => {
+  const file = writeTasks('revision.json');
+  await assert.rejects(writeTasksData(file, { tasks: [] }, { expectedRevision: 0 }), { code: 'TASKS_CONFLICT' });
+  assert.strictEqual(await writeTasksData(file, { tasks: [] }, { expectedRevision: 1 }), 2);
+});
+
+test('a failed write leaves the original file intact', async () => {
+  const file = writeTasks('atomic.json');
+  const before = fs.readFileSync(file, 'utf8');
+  const { rename } = fsExtra;
+  fsExtra.rename = async () => {
+    throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+  };
+
+  try {
+    await assert.rejects(writeJsonAtomic(file, { tasks: [] }), { code: 'ENOSPC' });
+  } finally {
+    fsExtra.rename = rename;
+  }
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), before);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')), []);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { CONFIG_FILES, setConfigOverrides } = require('../lib/config');
+const { DEFAULT_TAG, setActiveTag, withTag, resolveTag, selectTag } = require('../lib/tags');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+const configPath = path.join(dir, CONFIG_FILES[0]);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Use a project configuration in the temporary directory
+ * @param {Object} config - Project configuration
+ */
+function useConfig(config) {
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  setConfigOverrides({ configPath });
+}
+
+const git = (...args) => spawnSync('git', args, { cwd: dir, encoding: 'utf8' });
+git('init', '-q');
+
+const DOCUMENT = {
+  tasks: [],
+  metadata: { currentTag: 'docs' },
+  tags: { 'feature-x': { tasks: [] }, docs: { tasks: [] } }
+};
+
+test('the tag comes from the option, then the git branch, then the current tag, then the default', { skip: git('--version').status !== 0 }, () => {
+  const environment = process.env.CURSOR_TASK_TAG;
+  delete process.env.CURSOR_TASK_TAG;
+  try {
+    git('symbolic-ref', 'HEAD', 'refs/heads/feature-x');
+    useConfig({});
+    assert.deepStrictEqual(resolveTag(DOCUMENT), { name: 'docs', source: 'current' });
+
+    useConfig({ tags: { fromGitBranch: true } });
+    assert.deepStrictEqual(resolveTag(DOCUMENT), { name: 'feature-x', source: 'branch' });
+
+    process.env.CURSOR_TASK_TAG = 'docs';
+    assert.deepStrictEqual(resolveTag(DOCUMENT), { name: 'docs', source: 'option' });
+    setActiveTag('release');
+    assert.deepStrictEqual(resolveTag(DOCUMENT), { name: 'release', source: 'option' });
+    assert.deepStrictEqual(withTag('hotfix', () => resolveTag(DOCUMENT)), { name: 'hotfix', source: 'option' });
+    setActiveTag(null);
+    delete process.env.CURSOR_TASK_TAG;
+
+    // A branch or current tag without a task list is skipped
+    git('symbolic-ref', 'HEAD', 'refs/heads/main');
+    assert.deepStrictEqual(resolveTag(DOCUMENT), { name: 'docs', source: 'current' });
+    assert.deepStrictEqual(resolveTag({ ...DOCUMENT, metadata: { currentTag: 'gone' } }), { name: DEFAULT_TAG, source: 'default' });
+  } finally {
+    setActiveTag(null);
+    if (environment === undefined) {
+      delete process.env.CURSOR_TASK_TAG;
+    } else {
+      process.env.CURSOR_TASK_TAG = environment;
+    }
+  }
+});
+
+test('the default tag is the file itself and unknown tags are rejected', () => {
+  assert.strictEqual(selectTag(DOCUMENT, DEFAULT_TAG), DOCUMENT);
+  assert.strictEqual(selectTag(DOCUMENT, 'docs'), DOCUMENT.tags.docs);
+  assert.throws(() => selectTag(DOCUMENT, 'mobile'), {
+    code: 'TAG_NOT_FOUND',
+    message: 'Tag "mobile" not found. Available tags: master, feature-x, docs'
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseQuery, filterTasks, selectTags, sortTasks, parseColumns, pickColumns } = require('../lib/task-query');
+
+const TASKS = [
+  { id: 1, title: 'Set up project', status: 'done', priority: 'high', dependencies: [], subtasks: [], epic: 'Setup' },
+  { id: 2, title: 'Login form', description: 'Sign in with email', status: 'pending', priority: 'high', dependencies: [1], subtasks: [{ id: 1 }], epic: 'Billing API', complexity: 7 },
+  { id: 3, title: 'REST endpoints', status: 'pending', priority: 'low', dependencies: [2], subtasks: [], epic: 'Billing API', estimate: 6 },
+  { id: 4, title: 'Docs', status: 'in-progress', priority: 'medium', dependencies: ['2.1'], subtasks: [], complexity: 3 }
+];
+
+const ids = tasks => tasks.map(task => task.id);
+
+test('terms, alternatives, negation and quoted values are parsed', () => {
+  const terms = parseQuery('priority:high status:pending,in-progress -has:subtasks text:"sign in" login');
+  assert.deepStrictEqual(terms.map(({ key, values, negate }) => ({ key, values, negate })), [
+    { key: 'priority', values: ['high'], negate: false },
+    { key: 'status', values: ['pending', 'in-progress'], negate: false },
+    { key: 'has', values: ['subtasks'], negate: true },
+    { key: 'text', values: ['sign in'], negate: false },
+    { key: 'text', values: ['login'], negate: false }
+  ]);
+});
+
+test('invalid queries are rejected', () => {
+  assert.throws(() => parseQuery('owner:me'), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseQuery('priority:urgent'), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseQuery('complexity:high'), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseQuery('blocked:maybe'), { code: 'INVALID_QUERY' });
+  assert.throws(() => parseQuery('status:someday'), { code: 'INVALID_STATUS' });
+});
+
+test('tasks are filtered by every term', () => {
+  assert.deepStrictEqual(ids(filterTasks(TASKS, '')), [1, 2, 3, 4]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'status:pending,in-progress -priority:low')), [2, 4]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'epic:billing-api')), [2, 3]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'blocked:true')), [3, 4]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'deps:2.1')), [4]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'complexity:>=5')), [2]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, '"sign in"')), [2]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'critical:true', { critical: new Set([3]) })), [3]);
+});
+
+test('tag: picks the tags to search and matches the tasks of those tags', () => {
+  const tags = ['master', 'api', 'web'];
+  assert.strictEqual(selectTags('priority:high', tags), null);
+  assert.deepStrictEqual(selectTags('tag:web,api status:pending', tags), ['api', 'web']);
+  assert.deepStrictEqual(selectTags('-tag:api', tags), ['master', 'web']);
+  assert.deepStrictEqual(selectTags('tag:api -tag:api', tags), []);
+  assert.throws(() => selectTags('tag:mobile', tags), { code: 'TAG_NOT_FOUND' });
+  assert.throws(() => selectTags('-tag:mobile', tags), { code: 'TAG_NOT_FOUND' });
+
+  assert.deepStrictEqual(ids(filterTasks(TASKS, 'tag:api priority:high', { tag: 'api' })), [1, 2]);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, '-tag:api', { tag: 'api' })), []);
+  assert.deepStrictEqual(ids(filterTasks(TASKS, '-tag:api status:done', { tag: 'web' })), [1]);
+});
+
+test('sorting keeps tasks without a value last', () => {
+  assert.deepStrictEqual(ids(sortTasks(TASKS, 'priority,-id')), [2, 1, 4, 3]);
+  assert.deepStrictEqual(ids(sortTasks(TASKS, '-complexity')), [2, 4, 1, 3]);
+  assert.deepStrictEqual(ids(sortTasks(TASKS, 'epic')), [2, 3, 1, 4]);
+  assert.throws(() => sortTasks(TASKS, 'owner'), { code: 'INVALID_SORT' });
+});
+
+test('columns always start with the ID', () => {
+  assert.deepStrictEqual(parseColumns('title,id,priority'), ['id', 'title', 'priority']);
+  assert.deepStrictEqual(pickColumns(TASKS[2], ['id', 'estimate', 'complexity']), { id: 3, estimate: 6 });
+  assert.throws(() => parseColumns('title,owner'), { code: 'INVALID_COLUMN' });
+});
@@ -0,0 +1,375 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILES, setConfigOverrides } = require('../lib/config');
+const { TASKS_FILE_VERSION } = require('../lib/tasks-schema');
+const taskManager = require('../lib/taskManager');
+
+const dirs = [];
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Point the task manager at a fresh project in a temporary directory
+ * @param {Array} tasks - Tasks to write
+ * @param {Object} config - Project configuration
+ * @returns {string} Path of the tasks file
+ */
+function useTasks(tasks, config = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'tasks.json');
+  const configPath = path.join(dir, CONFIG_FILES[0]);
+  fs.writeFileSync(file, JSON.stringify({ tasks, metadata: { version: TASKS_FILE_VERSION } }, null, 2));
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  setConfigOverrides({ configPath });
+  return file;
+}
+
+// Answers the Cursor agent from ai-fixtures.json next to the tasks file
+const AGENT = { ai: { provider: 'fixture' } };
+
+/**
+ * Write the agent's answers for a project set up with useTasks
+ * @param {string} file - Path of the tasks file
+ * @param {Array<Object>} responses - Fixture responses ({ match, response })
+ */
+function useAgentResponses(file, responses) {
+  fs.writeFileSync(path.join(path.dirname(file), 'ai-fixtures.json'), JSON.stringify({ responses }, null, 2));
+}
+
+const TASKS = [
+  {
+    id: 1,
+    title: 'Set up project',
+    description: 'Create the repository',
+    status: 'pending',
+    priority: 'high',
+    dependencies: [],
+    subtasks: [{ id: 1, title: 'Create repository', status: 'pending', dependencies: [] }]
+  }
+];
+
+test('invalid input rejects with a coded error', async () => {
+  useTasks(TASKS);
+  const rejects = (promise, code) => assert.rejects(promise, error => error.code === code);
+
+  await rejects(taskManager.expandTasks({ id: 99 }), 'TASK_NOT_FOUND');
+  await rejects(taskManager.expandTasks({}), 'INVALID_OPTIONS');
+  await rejects(taskManager.expandTasks({ id: 1, num: '3abc' }), 'INVALID_OPTIONS');
+  await rejects(taskManager.expandTasks({ id: 1, num: 2.5 }), 'INVALID_OPTIONS');
+  await rejects(taskManager.expandTasks({ id: 1, num: 0 }), 'INVALID_OPTIONS');
+  await rejects(taskManager.addDependency(1, 1), 'INVALID_DEPENDENCY');
+  await rejects(taskManager.addDependency(1, 99), 'TASK_NOT_FOUND');
+  await rejects(taskManager.addTask(null, [], 'urgent', { manual: true, title: 'Deploy' }), 'INVALID_PRIORITY');
+  await rejects(taskManager.addTask(null, [99], 'low', { manual: true, title: 'Deploy' }), 'TASK_NOT_FOUND');
+  await rejects(taskManager.clearSubtasks([1, 99]), 'TASK_NOT_FOUND');
+  await rejects(taskManager.restoreSubtasks(1), 'ENTRY_NOT_FOUND');
+  await rejects(taskManager.parsePrd(path.join(os.tmpdir(), 'missing-prd.md')), 'FILE_NOT_FOUND');
+});
+
+test('a rejected clear leaves every task untouched', async () => {
+  const file = useTasks(TASKS);
+  await assert.rejects(taskManager.clearSubtasks([1, 99]));
+  const { tasks } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(tasks[0].subtasks.length, 1);
+});
+
+test('checking subtasks in a task file rolls the status up to the task', async () => {
+  const file = useTasks([{ ...TASKS[0], subtasks: [
+    { id: 1, title: 'Create repository', status: 'pending', dependencies: [] },
+    { id: 2, title: 'Add CI', status: 'pending', dependencies: [] }
+  ] }]);
+  await taskManager.generateTaskFiles();
+  const taskFile = path.join(path.dirname(file), 'tasks', 'task_001.md');
+  fs.writeFileSync(taskFile, fs.readFileSync(taskFile, 'utf8').replace('- [ ] 1.', '- [x] 1.'));
+
+  const result = await taskManager.syncTaskFiles();
+  assert.deepStrictEqual(result.rolledUp, [{ id: 1, from: 'pending', to: 'in-progress' }]);
+
+  fs.writeFileSync(taskFile, fs.readFileSync(taskFile, 'utf8').replace('- [ ] 2.', '- [x] 2.'));
+  await taskManager.syncTaskFiles();
+  const [task] = JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+  assert.deepStrictEqual(task.subtasks.map(subtask => subtask.status), ['done', 'done']);
+  assert.strictEqual(task.status, 'done');
+});
+
+test('checking a subtask the workflow cannot complete is rejected', async () => {
+  const file = useTasks(TASKS, { workflow: { statuses: { done: { from: ['review'] } } } });
+  await taskManager.generateTaskFiles();
+  const taskFile = path.join(path.dirname(file), 'tasks', 'task_001.md');
+  fs.writeFileSync(taskFile, fs.readFileSync(taskFile, 'utf8').replace('- [ ] 1.', '- [x] 1.'));
+
+  const result = await taskManager.syncTaskFiles();
+  assert.deepStrictEqual(result.rejected, [{ id: '1.1', from: 'pending', to: 'done' }]);
+  assert.deepStrictEqual(result.changed, {});
+  const [task] = JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+  assert.strictEqual(task.subtasks[0].status, 'pending');
+  assert.strictEqual(task.status, 'pending');
+});
+
+test('set-status takes subtask IDs and rolls their status up to the task', async () => {
+  const file = useTasks([{ ...TASKS[0], subtasks: [
+    { id: 1, title: 'Create repository', status: 'pending', dependencies: [] },
+    { id: 2, title: 'Add CI', status: 'pending', dependencies: [] }
+  ] }]);
+  const statuses = () => {
+    const [task] = JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+    return [task.status, ...task.subtasks.map(subtask => subtask.status)];
+  };
+
+  let result = await taskManager.setTaskStatus(['1.1', '1.9'], 'done');
+  assert.deepStrictEqual(result.updated, ['1.1']);
+  assert.deepStrictEqual(result.notFound, ['1.9']);
+  assert.deepStrictEqual(result.rolledUp, [{ id: 1, from: 'pending', to: 'in-progress' }]);
+  assert.deepStrictEqual(statuses(), ['in-progress', 'done', 'pending']);
+
+  result = await taskManager.setTaskStatus(['1.2'], 'done', { autoComplete: false });
+  assert.deepStrictEqual(result.rolledUp, []);
+  assert.deepStrictEqual(statuses(), ['in-progress', 'done', 'done']);
+
+  await taskManager.setTaskStatus(['1'], 'done');
+  result = await taskManager.setTaskStatus(['1.1'], 'pending');
+  assert.deepStrictEqual(result.rolledUp, [{ id: 1, from: 'done', to: 'in-progress' }]);
+  assert.deepStrictEqual(statuses(), ['in-progress', 'pending', 'done']);
+});
+
+test('set-status rejects transitions the workflow does not allow', async () => {
+  useTasks(TASKS, { workflow: { statuses: { done: { from: ['review'] } } } });
+
+  await assert.rejects(taskManager.setTaskStatus(['1'], 'done'), { code: 'INVALID_TRANSITION' });
+  await assert.rejects(taskManager.setTaskStatus(['1'], 'shipped'), { code: 'INVALID_STATUS' });
+
+  const result = await taskManager.setTaskStatus(['1', '1.1'], 'review');
+  assert.deepStrictEqual(result.updated, [1, '1.1']);
+  const done = await taskManager.setTaskStatus(['1.1'], 'done');
+  assert.deepStrictEqual(done.updated, ['1.1']);
+});
+
+test('the trash keeps the latest entries of each task', async () => {
+  const file = useTasks([TASKS[0], { ...TASKS[0], id: 2, title: 'Add CI' }]);
+
+  await taskManager.clearSubtasks([2]);
+  for (let round = 0; round < 12; round++) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    data.tasks[0].subtasks = TASKS[0].subtasks;
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    await taskManager.clearSubtasks([1]);
+  }
+
+  const { trash } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(trash.filter(entry => entry.taskId === 1).length, 10);
+  assert.strictEqual(trash.filter(entry => entry.taskId === 2).length, 1);
+  const restored = await taskManager.restoreSubtasks(2);
+  assert.strictEqual(restored.entry.subtasks.length, 1);
+});
+
+test('list searches the tags a query names', async () => {
+  const file = useTasks(TASKS);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  data.tags = {
+    api: { tasks: [{ id: 1, title: 'Endpoints', status: 'pending', priority: 'high', dependencies: [], subtasks: [], estimate: 4 }] },
+    web: { tasks: [{ id: 1, title: 'Pages', status: 'done', priority: 'high', dependencies: [], subtasks: [] }] }
+  };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+  let result = await taskManager.listTasks({ query: 'priority:high' });
+  assert.deepStrictEqual(result.tasks.map(task => task.title), ['Set up project']);
+  assert.strictEqual(result.tasks[0].tag, undefined);
+
+  result = await taskManager.listTasks({ query: '-tag:master status:pending' });
+  assert.deepStrictEqual(result.tasks.map(task => [task.tag, task.id]), [['api', 1]]);
+  assert.deepStrictEqual(result.counts.pending, 1);
+  assert.deepStrictEqual(result.counts.done, 1);
+  assert.deepStrictEqual(result.columns.slice(0, 2), ['id', 'tag']);
+  assert.deepStrictEqual(result.critical, ['api:1']);
+
+  result = await taskManager.listTasks({ query: 'tag:master,web', columns: 'title' });
+  assert.deepStrictEqual(result.tasks, [
+    { id: 1, tag: 'master', title: 'Set up project' },
+    { id: 1, tag: 'web', title: 'Pages' }
+  ]);
+  await assert.rejects(taskManager.listTasks({ query: 'tag:mobile' }), { code: 'TAG_NOT_FOUND' });
+});
+
+test('expand splits a task with the agent and keeps replaced subtasks in the trash', async () => {
+  const file = useTasks([TASKS[0], { ...TASKS[0], id: 2, title: 'Add CI', subtasks: [] }], AGENT);
+  useAgentResponses(file, [{
+    match: 'Task 1: Set up project',
+    response: [{ title: 'Init git', description: 'Run git init' }, { title: 'Add README' }, { title: 'Add license' }]
+  }]);
+
+  let result = await taskManager.expandTasks({ all: true, num: 2 });
+  assert.deepStrictEqual(result.skipped, [1]);
+  assert.deepStrictEqual(result.expanded.map(entry => [entry.id, entry.source]), [[2, 'template']]);
+  assert.match(result.expanded[0].agentError, /No fixture matches prompt/);
+
+  result = await taskManager.expandTasks({ id: '1', num: '2', force: true });
+  assert.deepStrictEqual(result.expanded, [
+    { id: 1, title: 'Set up project', subtasks: 2, source: 'agent', agentError: undefined, trashEntry: 1 }
+  ]);
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(data.tasks[0].subtasks.map(subtask => [subtask.id, subtask.title, subtask.status]), [
+    [1, 'Init git', 'pending'],
+    [2, 'Add README', 'pending']
+  ]);
+  assert.strictEqual(data.tasks[1].subtasks.length, 2);
+  assert.deepStrictEqual(data.trash.map(entry => [entry.taskId, entry.reason, entry.subtasks[0].title]), [
+    [1, 'expand --force', 'Create repository']
+  ]);
+});
+
+test('dependencies are added, removed, validated and fixed', async () => {
+  const file = useTasks([TASKS[0], { ...TASKS[0], id: 2, title: 'Add CI', subtasks: [] }, { ...TASKS[0], id: 3, title: 'Deploy', subtasks: [] }]);
+  const dependencies = () => JSON.parse(fs.readFileSync(file, 'utf8')).tasks.map(task => task.dependencies);
+
+  let result = await taskManager.addDependency(2, 1);
+  assert.deepStrictEqual(result, { taskId: '2', dependencyId: '1', dependencies: [1], changed: true });
+  assert.strictEqual((await taskManager.addDependency('2', '1')).changed, false);
+  result = await taskManager.addDependency('1.1', 3);
+  assert.deepStrictEqual(result.dependencies, [3]);
+  await assert.rejects(taskManager.addDependency(1, 2), { code: 'CIRCULAR_DEPENDENCY' });
+  await assert.rejects(taskManager.addDependency(3, '2.1'), { code: 'TASK_NOT_FOUND' });
+  await assert.rejects(taskManager.addDependency('1.1', 1), { code: 'INVALID_DEPENDENCY' });
+  await assert.rejects(taskManager.addDependency('x', 1), { code: 'INVALID_ID' });
+
+  result = await taskManager.removeDependency(2, 1);
+  assert.deepStrictEqual(result, { taskId: '2', dependencyId: '1', dependencies: [], changed: true });
+  assert.strictEqual((await taskManager.removeDependency(2, 1)).changed, false);
+  assert.deepStrictEqual(dependencies(), [[], [], []]);
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  data.tasks[0].dependencies = [2];
+  data.tasks[1].dependencies = [1];
+  data.tasks[2].dependencies = [3, 99, 1, 1];
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+  result = await taskManager.validateDependencies();
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.issues.map(issue => [issue.type, issue.taskId, String(issue.dependencyId)]), [
+    ['self', '3', '3'],
+    ['missing', '3', '99'],
+    ['duplicate', '3', '1'],
+    ['cycle', '2', '1']
+  ]);
+
+  result = await taskManager.fixDependencies();
+  assert.deepStrictEqual(result.changes.map(change => change.type), ['self', 'missing', 'duplicate', 'cycle']);
+  assert.deepStrictEqual(dependencies(), [[2], [], [1]]);
+  assert.strictEqual((await taskManager.validateDependencies()).valid, true);
+});
+
+test('analyze-complexity scores open tasks with the agent and the heuristic and saves a report', async () => {
+  const file = useTasks([
+    { ...TASKS[0], subtasks: [] },
+    { ...TASKS[0], id: 2, title: 'Add CI', subtasks: [] },
+    { ...TASKS[0], id: 3, title: 'Write docs', status: 'done', subtasks: [] }
+  ], AGENT);
+  useAgentResponses(file, [{
+    match: 'Rate the implementation complexity',
+    response: { tasks: [{ taskId: 2, complexityScore: 8, recommendedSubtasks: 6, reasoning: 'Several pipelines' }] }
+  }]);
+  await assert.rejects(taskManager.analyzeComplexity({ threshold: 11 }), { code: 'INVALID_THRESHOLD' });
+
+  const result = await taskManager.analyzeComplexity({ threshold: 5 });
+  assert.strictEqual(result.meta.method, 'agent');
+  assert.deepStrictEqual(result.complexityAnalysis.map(entry => [entry.taskId, entry.complexityScore]), [[1, 3], [2, 8]]);
+  assert.strictEqual(result.complexityAnalysis[1].expansionCommand, 'cursor-task expand --id 2 --num 6');
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).tasks.map(task => task.complexity), [3, 8, undefined]);
+
+  const report = await taskManager.showComplexityReport(result.reportPath);
+  assert.strictEqual(report.threshold, 5);
+  assert.deepStrictEqual(report.complexityAnalysis.map(entry => entry.taskId), [2, 1]);
+  assert.strictEqual((await taskManager.showComplexityReport(result.reportPath, { threshold: 9 })).threshold, 9);
+  await assert.rejects(taskManager.showComplexityReport(path.join(path.dirname(file), 'missing.json')), { code: 'FILE_NOT_FOUND' });
+});
+
+test('update rewrites the open tasks after a change once it is confirmed', async () => {
+  const file = useTasks([
+    { ...TASKS[0], subtasks: [] },
+    { ...TASKS[0], id: 2, title: 'Store users', description: 'Save users in SQLite', dependencies: [1], subtasks: [] },
+    { ...TASKS[0], id: 3, title: 'Back up users', status: 'done', dependencies: [2], subtasks: [] },
+    { ...TASKS[0], id: 4, title: 'Add CI', subtasks: [] }
+  ], AGENT);
+  useAgentResponses(file, [{
+    match: 'Change: Use Postgres',
+    response: { tasks: [{ id: 2, description: 'Save users in Postgres', implementation: 'Use the pg client' }] }
+  }]);
+  const read = () => JSON.parse(fs.readFileSync(file, 'utf8')).tasks;
+
+  let proposed;
+  let result = await taskManager.updateTasks(1, 'Use Postgres', {
+    dependents: true,
+    confirm: async changes => {
+      proposed = changes;
+      return false;
+    }
+  });
+  assert.deepStrictEqual(result.targets, [2]);
+  assert.strictEqual(result.applied, false);
+  assert.deepStrictEqual(proposed, [{
+    id: 2,
+    title: 'Store users',
+    description: { before: 'Save users in SQLite', after: 'Save users in Postgres' },
+    implementation: { before: '', after: 'Use the pg client' }
+  }]);
+  assert.strictEqual(read()[1].description, 'Save users in SQLite');
+
+  await assert.rejects(taskManager.updateTasks(1, 'Use Postgres', { dependents: true }), { code: 'CONFIRMATION_REQUIRED' });
+  result = await taskManager.updateTasks(1, 'Use Postgres', { dependents: true, yes: true });
+  assert.deepStrictEqual(result.updated, [2]);
+  assert.strictEqual(result.applied, true);
+  assert.strictEqual(read()[1].description, 'Save users in Postgres');
+
+  // Tasks the agent leaves out get the change appended as a note
+  result = await taskManager.updateTasks(3, 'Use Postgres', { yes: true });
+  assert.deepStrictEqual(result.targets, [4]);
+  assert.match(read()[3].implementation, /^Update \(\d{4}-\d{2}-\d{2}\): Use Postgres$/);
+  await assert.rejects(taskManager.updateTasks(9, 'Use Postgres', { dependents: true, yes: true }), { code: 'TASK_NOT_FOUND' });
+});
+
+test('add-task drafts with the agent, falls back to the prompt and takes manual tasks', async () => {
+  const file = useTasks([TASKS[0], { ...TASKS[0], id: 2, title: 'Add CI', subtasks: [] }], AGENT);
+  useAgentResponses(file, [{
+    match: 'Request: Ship a Docker image',
+    response: { title: 'Docker image', description: 'Build and push an image', testStrategy: 'Run the container', suggestedDependencies: [2, 99] }
+  }]);
+
+  let result = await taskManager.addTask('Ship a Docker image', ['1.1'], 'high');
+  assert.deepStrictEqual(
+    [result.task.id, result.task.title, result.task.priority, result.task.dependencies, result.task.testStrategy],
+    [3, 'Docker image', 'high', ['1.1'], 'Run the container']
+  );
+  assert.deepStrictEqual(result.suggestedDependencies.map(suggestion => [suggestion.id, suggestion.score]), [[2, null]]);
+  assert.strictEqual(result.agentError, undefined);
+
+  result = await taskManager.addTask('Write the changelog. Keep it short.\nList every release.');
+  assert.deepStrictEqual([result.task.title, result.task.priority], ['Write the changelog', 'medium']);
+  assert.strictEqual(result.task.description, 'Write the changelog. Keep it short.\nList every release.');
+  assert.match(result.agentError, /No fixture matches prompt/);
+
+  result = await taskManager.addTask(null, [2, '2'], 'low', { manual: true, title: 'Cache CI builds', estimate: '2d' });
+  assert.deepStrictEqual([result.task.id, result.task.dependencies, result.task.estimate], [5, [2], 16]);
+  await assert.rejects(taskManager.addTask(null, [], 'low', { manual: true }), { code: 'INVALID_OPTIONS' });
+  await assert.rejects(taskManager.addTask(''), { code: 'INVALID_OPTIONS' });
+
+  const { tasks } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepStrictEqual(tasks.map(task => task.id), [1, 2, 3, 4, 5]);
+});
+
+test('graph writes Mermaid into a Markdown file and rejects bad options', async () => {
+  const file = useTasks([TASKS[0], { ...TASKS[0], id: 2, title: 'Add CI', dependencies: [1], subtasks: [] }]);
+  const output = path.join(path.dirname(file), 'docs', 'graph.md');
+
+  const result = await taskManager.exportGraph({ output });
+  assert.strictEqual(result.file, output);
+  assert.deepStrictEqual(result.graph.dependencies, { 1: [], 2: [1] });
+  assert.strictEqual(fs.readFileSync(output, 'utf8'), `\`\`\`mermaid\n${result.content}\`\`\`\n`);
+  assert.match((await taskManager.exportGraph({ format: 'dot' })).content, /"1" -> "2";/);
+
+  await assert.rejects(taskManager.exportGraph({ format: 'svg' }), { code: 'INVALID_FORMAT' });
+  await assert.rejects(taskManager.exportGraph({ upstream: true }), { code: 'INVALID_ID' });
+  await assert.rejects(taskManager.exportGraph({ id: 9 }), { code: 'TASK_NOT_FOUND' });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  TASKS_FILE_VERSION,
+  migrateTasksData,
+  normalizeTasksData,
+  validateTasksData
+} = require('../lib/tasks-schema');
+
+test('files without a version are migrated to the current format', () => {
+  const data = {
+    tasks: [
+      { id: 1, title: 'Set up project', dependencies: [] },
+      { id: 2, title: 'Login', dependencies: ['1', '1.2'], subtasks: [{ id: 1, title: 'Form', dependencies: ['2.2'] }] }
+    ]
+  };
+
+  const result = migrateTasksData(data);
+  assert.deepStrictEqual(result, { from: '1.0.0', to: TASKS_FILE_VERSION, applied: ['1.1.0'] });
+  assert.deepStrictEqual(data.tasks[1].dependencies, [1, '1.2']);
+  assert.deepStrictEqual(data.tasks[1].subtasks[0].dependencies, ['2.2']);
+  assert.deepStrictEqual(migrateTasksData(data).applied, []);
+});
+
+test('files from a newer version are refused', () => {
+  assert.throws(() => migrateTasksData({ tasks: [], metadata: { version: '99.0.0' } }), { code: 'UNSUPPORTED_VERSION' });
+});
+
+test('missing optional fields are filled in', () => {
+  const data = normalizeTasksData({ tasks: [{ id: 1, title: 'Set up project', subtasks: [{ id: 1, title: 'Repo' }] }] });
+  assert.strictEqual(data.tasks[0].status, 'pending');
+  assert.strictEqual(data.tasks[0].priority, 'medium');
+  assert.deepStrictEqual(data.tasks[0].subtasks[0].dependencies, []);
+  assert.throws(() => normalizeTasksData({ tasks: {} }), { code: 'INVALID_TASKS_FILE' });
+});
+
+test('schema and dependency issues are reported together', () => {
+  const issues = validateTasksData({
+    tasks: [
+      { id: 1, title: 'Set up project', status: 'pending', dependencies: [2, 'soon'], subtasks: [] },
+      { id: 2, title: 'Login', status: 'someday', dependencies: [1, 9], subtasks: [] },
+      { title: 'No ID', status: 'pending', dependencies: [], subtasks: [] }
+    ]
+  });
+  const paths = issues.map(issue => issue.path);
+
+  assert.ok(paths.includes('$.tasks[0].dependencies[1]'), 'invalid dependency ID');
+  assert.ok(paths.includes('$.tasks[1].status'), 'unknown status');
+  assert.ok(paths.includes('$.tasks[2].id'), 'missing ID');
+  assert.ok(issues.some(issue => issue.path === '$.tasks[1].dependencies' && /missing task 9/.test(issue.message)));
+  assert.ok(issues.some(issue => /circular dependency/.test(issue.message)));
+});
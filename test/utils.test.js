@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setConfigOverrides } = require('../lib/config');
+const { TASKS_FILE_VERSION } = require('../lib/tasks-schema');
+const { loadTasks } = require('../lib/utils');
+
+test('loadTasks migrates old files and fills in missing fields', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+  try {
+    const file = path.join(dir, 'tasks.json');
+    fs.writeFileSync(file, JSON.stringify({ tasks: [{ id: 1, title: 'Login', dependencies: ['2'] }, { id: 2, title: 'API' }] }));
+    setConfigOverrides({ tasksFile: file });
+
+    const { tasks, metadata } = await loadTasks();
+    assert.deepStrictEqual(tasks[0].dependencies, [2]);
+    assert.strictEqual(tasks[1].status, 'pending');
+    assert.deepStrictEqual(tasks[1].subtasks, []);
+    assert.strictEqual(metadata.version, TASKS_FILE_VERSION);
+    assert.ok(fs.existsSync(`${file}.1.0.0.bak`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILES, DEFAULT_CONFIG, mergeConfig, setConfigOverrides } = require('../lib/config');
+const { buildWorkflow, canTransition, assertStatus, isFinal, isSatisfied } = require('../lib/workflow');
+
+/**
+ * Use a project config with the given workflow statuses
+ * @param {Object} statuses - `workflow.statuses` of the config
+ */
+function useWorkflow(statuses) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-task-'));
+  const configPath = path.join(dir, CONFIG_FILES[0]);
+  fs.writeFileSync(configPath, JSON.stringify({ workflow: { statuses } }));
+  setConfigOverrides({ configPath });
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('the built-in workflow allows every transition', () => {
+  useWorkflow({});
+  assert.strictEqual(canTransition('pending', 'done'), true);
+  assert.strictEqual(canTransition('done', 'pending'), true);
+  assert.strictEqual(canTransition('pending', 'shipped'), false);
+  assert.strictEqual(isFinal('cancelled'), true);
+  assert.strictEqual(isSatisfied('cancelled'), true);
+  assert.throws(() => assertStatus('shipped'), { code: 'INVALID_STATUS' });
+});
+
+test('`from` limits the statuses a status can be reached from', () => {
+  useWorkflow({
+    done: { from: ['review'] },
+    shipped: { color: 'cyan', final: true, satisfies: true, from: ['done'] },
+    deferred: false
+  });
+  assert.strictEqual(canTransition('in-progress', 'done'), false);
+  assert.strictEqual(canTransition('review', 'done'), true);
+  assert.strictEqual(canTransition('done', 'shipped'), true);
+  assert.strictEqual(canTransition('review', 'shipped'), false);
+  assert.strictEqual(isFinal('shipped'), true);
+  assert.throws(() => assertStatus('deferred'), { code: 'INVALID_STATUS' });
+});
+
+test('workflows without a required status or with unknown `from` statuses are rejected', () => {
+  const build = statuses => buildWorkflow(mergeConfig(DEFAULT_CONFIG, { workflow: { statuses } }));
+  assert.throws(() => build({ 'in-progress': false }), { code: 'INVALID_WORKFLOW' });
+  assert.throws(() => build({ done: { from: ['approved'] } }), { code: 'INVALID_WORKFLOW' });
+});